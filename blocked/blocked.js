@@ -0,0 +1,121 @@
+/**
+ * Blocked Page for Despair Blocker
+ * Shown when a navigation is redirected by the network blocking rules, or when
+ * the overlay cannot be injected into a page (error pages, aggressive DOM resets).
+ * Renders with the same blockPage design as the in-page overlay.
+ */
+
+const FALLBACK_MESSAGE = 'Your future self blocked this page.';
+
+/**
+ * Read the original URL passed to this page
+ * Network redirects append it unencoded, so everything after "?url=" belongs to it,
+ * the background worker appends it encoded. Any site can open this page, so only
+ * http(s) URLs are returned, anything else comes back empty.
+ */
+function getBlockedUrl() {
+    const href = window.location.href;
+    const markerIndex = href.indexOf('?url=');
+    if (markerIndex === -1) {
+        return '';
+    }
+
+    let url = href.slice(markerIndex + '?url='.length);
+    try {
+        if (!/^https?:\/\//i.test(url)) {
+            url = decodeURIComponent(url);
+        }
+        return ['http:', 'https:'].includes(new URL(url).protocol) ? url : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Ask the background worker for the block details and render them
+ */
+async function renderBlockedPage() {
+    const url = getBlockedUrl();
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getBlockDetails', url });
+
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background worker');
+        }
+
+        // The window may have ended (or a pass granted) since the redirect
+        if (!response.details.blocked && url) {
+            window.location.replace(url);
+            return;
+        }
+
+        blockPage({ ...response.details, message: response.details.message || FALLBACK_MESSAGE, standalone: true });
+
+    } catch (error) {
+        console.error('Despair Blocker: Blocked page error:', error);
+
+        blockPage({
+            message: FALLBACK_MESSAGE,
+            enableTTS: false,
+            url,
+            rule: null,
+            windowEndsAt: null,
+            standalone: true
+        });
+    }
+}
+
+/**
+ * Re-check the block when the background worker reports a schedule change
+ * and offer to reload the site once it is no longer blocked
+ */
+async function handleBlockingStateChanged() {
+    const url = getBlockedUrl();
+    if (!url) {
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getBlockStatus', url });
+
+        if (response?.success && !response.blocked) {
+            unblockPage();
+            showReloadOffer(url);
+        }
+    } catch (error) {
+        console.error('Despair Blocker: Block re-check error:', error);
+    }
+}
+
+/**
+ * Show a notice with a button back to the original site
+ */
+function showReloadOffer(url) {
+    if (document.getElementById('reloadOffer')) {
+        return;
+    }
+
+    const offer = document.createElement('div');
+    offer.id = 'reloadOffer';
+    offer.className = 'reload-offer';
+
+    const text = document.createElement('p');
+    text.textContent = 'The blocking window is over. Your future self lets you go... for now.';
+
+    const reloadBtn = document.createElement('button');
+    reloadBtn.textContent = 'Reload Site';
+    reloadBtn.addEventListener('click', () => window.location.replace(url));
+
+    offer.appendChild(text);
+    offer.appendChild(reloadBtn);
+    document.body.appendChild(offer);
+}
+
+chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === 'blockingStateChanged') {
+        handleBlockingStateChanged();
+    }
+});
+
+document.addEventListener('DOMContentLoaded', renderBlockedPage);
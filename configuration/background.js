@@ -3,30 +3,36 @@
  * Handles alarm management, tab monitoring, and content script injection
  */
 
-// Default configuration for new installations
-const DEFAULT_CONFIG = {
-    blockedSites: [
-        'youtube.com',
-        'facebook.com',
-        'twitter.com',
-        'instagram.com',
-        'reddit.com',
-        'tiktok.com'
-    ],
-    schedule: {
-        enabled: true,
-        startTime: '09:00',
-        endTime: '17:00',
-        workDays: [1, 2, 3, 4, 5] // Monday to Friday (0 = Sunday)
-    },
-    despairMessages: [
-        "Hello from 3 hours from now. I didn't finish the project. I'm tired. I have to ask for an extension. All because you needed to watch one... more... cat video. Close this tab and go back to work.",
-        "It's me from the future. I'm sitting here at 11 PM, stressed and overwhelmed. The deadline is tomorrow and I'm nowhere near done. This could have been avoided if you just stayed focused.",
-        "Future you here. I'm disappointed. We had such good intentions this morning, but here we are again, scrolling mindlessly while our dreams slip away. Please, just close this tab.",
-        "Your future self is crying. Not literally, but emotionally. The presentation is in 2 hours and I'm frantically trying to put something together. Don't let this be our reality."
-    ],
-    enableTTS: true
-};
+importScripts(
+    '/configuration/site-rules.js',
+    '/configuration/schedule.js',
+    '/configuration/groups.js',
+    '/configuration/hard-mode.js',
+    '/configuration/block-history.js',
+    '/configuration/scorecard.js',
+    '/configuration/message-templates.js',
+    '/configuration/message-rotation.js',
+    '/configuration/message-packs.js',
+    '/configuration/speech.js',
+    '/configuration/themes.js',
+    '/configuration/config.js',
+    '/configuration/migrations.js'
+);
+
+// Extension page that network-blocked navigations are redirected to
+const BLOCKED_PAGE_PATH = 'blocked/blocked.html';
+
+// Renderer injected into blocked pages alongside the blockPage call
+const BLOCK_PAGE_SCRIPTS = ['configuration/speech.js', 'configuration/themes.js', 'configuration/block-page.js'];
+
+// Minutes a site stays quiet after its message was read out, when the settings ask for it
+const TTS_REPEAT_MINUTES = 60;
+
+// Days of daily budget usage kept in local storage
+const BUDGET_USAGE_DAYS = 7;
+
+// Completed focus sessions kept in local history
+const FOCUS_HISTORY_LIMIT = 100;
 
 /**
  * Initialize extension on startup
@@ -36,10 +42,43 @@ chrome.runtime.onStartup.addListener(async () => {
     await initializeExtension();
 });
 
-chrome.runtime.onInstalled.addListener(async () => {
+chrome.runtime.onInstalled.addListener(async (details) => {
+    if (details?.reason === 'update') {
+        await migrateStoredConfig();
+    }
+
     await initializeExtension();
 });
 
+/**
+ * Bring the stored config up to the current schema after an update
+ * A failed migration leaves the config as it was and keeps a copy in
+ * chrome.storage.local.configMigrationBackup for the options page.
+ */
+async function migrateStoredConfig() {
+    const { config } = await chrome.storage.sync.get(['config']);
+
+    if (!config || !needsConfigMigration(config)) {
+        return;
+    }
+
+    try {
+        const { config: migrated, fromVersion, applied } = migrateConfig(config);
+        await chrome.storage.sync.set({ config: migrated });
+        console.log(`Despair Blocker: Configuration migrated from schema ${fromVersion} through ${applied.join(', ')}`);
+    } catch (error) {
+        console.error('Despair Blocker: Configuration migration error:', error);
+        await chrome.storage.local.set({
+            configMigrationBackup: {
+                config,
+                fromVersion: getConfigSchemaVersion(config),
+                error: error.message,
+                failedAt: Date.now()
+            }
+        });
+    }
+}
+
 /**
  * Initialize extension with default settings
  */
@@ -49,13 +88,22 @@ async function initializeExtension() {
 
         if (!result.config) {
             // First time installation - set default config
-            await chrome.storage.sync.set({ config: DEFAULT_CONFIG });
+            await chrome.storage.sync.set({ config: getDefaultConfig() });
             console.log('Despair Blocker: Default configuration set');
         }
 
+        // The old permanent disable toggle is replaced by snoozes that expire
+        await chrome.storage.sync.remove(['temporaryDisabled', 'temperaryDisabled']);
+
         // Set up blocking schedule
         await setupBlockingSchedule();
 
+        // Compile network blocking rules for the current window
+        await syncNetworkRules();
+
+        // Daily budgets start over at midnight
+        setupBudgetReset();
+
     } catch (error) {
         console.error('Despair Blocker: Initialization error:', error);
     }
@@ -63,33 +111,32 @@ async function initializeExtension() {
 
 /**
  * Set up alarms for blocking schedule
- * Creates recurring alarms for start and end times
+ * Creates one-shot alarms for the next window start and end of any group,
+ * which are re-armed every time one of them fires
  */
 async function setupBlockingSchedule() {
     try {
         const { config } = await chrome.storage.sync.get(['config']);
 
-        if (!config || !config.schedule.enabled) {
+        // Clear existing schedule alarms
+        await chrome.alarms.clear('blockingStart');
+        await chrome.alarms.clear('blockingEnd');
+
+        if (!config) {
             return;
         }
 
-        // Clear existing alarms
-        await chrome.alarms.clearAll();
-
-        // Create alarms for start and end times
-        const startTime = parseTime(config.schedule.startTime);
-        const endTime = parseTime(config.schedule.endTime);
+        const now = new Date();
+        const nextStart = getNextGroupsTransition(config, now, 'start');
+        const nextEnd = getNextGroupsTransition(config, now, 'end');
 
-        // Set daily recurring alarms
-        chrome.alarms.create('blockingStart', {
-            when: getNextAlarmTime(startTime),
-            periodInMinutes: 24 * 60 // Daily
-        });
+        if (nextStart) {
+            chrome.alarms.create('blockingStart', { when: nextStart });
+        }
 
-        chrome.alarms.create('blockingEnd', {
-            when: getNextAlarmTime(endTime),
-            periodInMinutes: 24 * 60 // Daily
-        });
+        if (nextEnd) {
+            chrome.alarms.create('blockingEnd', { when: nextEnd });
+        }
 
         console.log('Despair Blocker: Blocking schedule set up');
 
@@ -99,35 +146,67 @@ async function setupBlockingSchedule() {
 }
 
 /**
- * Parse time string (HH:MM) to hours and minutes
+ * Handle alarm events
  */
-function parseTime(timeString) {
-    const [hours, minutes] = timeString.split(':').map(Number);
-    return { hours, minutes };
-}
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    console.log('Despair Blocker: Alarm triggered:', alarm.name);
 
-/**
- * Get next alarm time for given time
- */
-function getNextAlarmTime(time) {
-    const now = new Date();
-    const alarmTime = new Date();
-    alarmTime.setHours(time.hours, time.minutes, 0, 0);
+    if (alarm.name === 'blockingStart' || alarm.name === 'blockingEnd') {
+        // Re-arm the schedule alarms for the next window
+        await setupBlockingSchedule();
+
+        // Overlay blocking is checked on tab updates, network rules follow the window
+        await syncNetworkRules();
 
-    // If time has passed today, set for tomorrow
-    if (alarmTime <= now) {
-        alarmTime.setDate(alarmTime.getDate() + 1);
+        // Tabs opened before a window started (or still blocked after it ended) need a sweep
+        await enforceOnOpenTabs();
     }
 
-    return alarmTime.getTime();
-}
+    if (alarm.name === 'budgetExhausted') {
+        await handleBudgetExhausted();
+    }
+
+    if (alarm.name === 'snoozeEnd') {
+        await endSnooze();
+    }
+
+    if (alarm.name === 'temporaryPassExpiry') {
+        await handlePassExpiry();
+    }
+
+    if (alarm.name === 'focusPhaseEnd') {
+        await advanceFocusSession();
+    }
+
+    if (alarm.name === 'focusBadgeTick') {
+        await updateFocusBadge();
+    }
+
+    if (alarm.name === 'budgetReset') {
+        setupBudgetReset();
+        await syncNetworkRules();
+        await enforceOnOpenTabs();
+    }
+});
 
 /**
- * Handle alarm events
+ * Rebuild network rules whenever the configuration or snooze state changes
  */
-chrome.alarms.onAlarm.addListener((alarm) => {
-    console.log('Despair Blocker: Alarm triggered:', alarm.name);
-    // Alarms are mainly for scheduling - actual blocking is checked on tab updates
+chrome.storage.onChanged.addListener(async (changes, namespace) => {
+    // Hard mode undoes weakening changes written around the saveConfig message
+    if (namespace === 'sync' && changes.config?.oldValue && await isConfigLocked(changes.config.oldValue)) {
+        const weakening = findWeakeningChanges(changes.config.oldValue, changes.config.newValue);
+
+        if (weakening.length > 0) {
+            console.warn('Despair Blocker: Hard mode reverted a weakening change:', weakening);
+            await chrome.storage.sync.set({ config: changes.config.oldValue });
+            return;
+        }
+    }
+
+    if (namespace === 'sync' && (changes.config || changes.snoozedUntil)) {
+        await syncNetworkRules();
+    }
 });
 
 /**
@@ -139,6 +218,11 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
         return;
     }
 
+    // Count focused time on the new page when it has a daily budget
+    if (tab.active && changeInfo.status === 'loading') {
+        await startBudgetSession(tabId, tab.url);
+    }
+
     // Skip non-http(s) URLs
     if (!tab.url || (!tab.url.startsWith('http://') && !tab.url.startsWith('https://'))) {
         return;
@@ -149,18 +233,7 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 
         if (shouldBlock) {
             // Small delay to ensure page is ready
-            setTimeout(async () => {
-                try {
-                    // Inject blocking content script
-                    await chrome.scripting.executeScript({
-                        target: { tabId: tabId },
-                        func: blockPage,
-                        args: [await getRandomDespairMessage(), await getTTSEnabled()]
-                    });
-                } catch (injectionError) {
-                    console.error('Despair Blocker: Script injection error:', injectionError);
-                }
-            }, 500);
+            setTimeout(() => injectBlockPage(tabId, tab.url), 500);
         }
 
     } catch (error) {
@@ -175,6 +248,9 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
     try {
         const tab = await chrome.tabs.get(activeInfo.tabId);
 
+        // Focus moved, budget time now belongs to this tab (if anything)
+        await startBudgetSession(activeInfo.tabId, tab.url);
+
         if (!tab.url || (!tab.url.startsWith('http://') && !tab.url.startsWith('https://'))) {
             return;
         }
@@ -182,17 +258,7 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
         const shouldBlock = await shouldBlockCurrentSite(tab.url);
 
         if (shouldBlock) {
-            setTimeout(async () => {
-                try {
-                    await chrome.scripting.executeScript({
-                        target: { tabId: activeInfo.tabId },
-                        func: blockPage,
-                        args: [await getRandomDespairMessage(), await getTTSEnabled()]
-                    });
-                } catch (injectionError) {
-                    console.error('Despair Blocker: Script injection error on tab activation:', injectionError);
-                }
-            }, 100);
+            setTimeout(() => injectBlockPage(activeInfo.tabId, tab.url), 100);
         }
 
     } catch (error) {
@@ -200,465 +266,1245 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
     }
 });
 
+/**
+ * Stop counting budget time when its tab closes
+ */
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    const { budgetSession } = await chrome.storage.session.get(['budgetSession']);
+
+    if (budgetSession?.tabId === tabId) {
+        await stopBudgetSession();
+    }
+
+    // A block left open until the tab was closed
+    const { openBlockEvents = {} } = await chrome.storage.session.get(['openBlockEvents']);
+    if (openBlockEvents[tabId]) {
+        await closeBlockEvent(openBlockEvents[tabId].id, 'closedTab');
+    }
+});
+
 /**
  * Check if current site should be blocked based on URL and schedule
  */
 async function shouldBlockCurrentSite(url) {
-    try {
-        const { config, temporaryDisabled } = await chrome.storage.sync.get(['config', 'temporaryDisabled']);
+    return (await findBlockingRule(url)) !== null;
+}
 
-        // Check if blocking is temporarily disabled
-        if (temporaryDisabled) {
-            return false;
-        }
+/**
+ * Find the group and site rule responsible for blocking a URL right now
+ * Pass { ignoreBudget: true } to find rules that are only held back by a daily budget.
+ * Returns { group, rule } or null when the URL should not be blocked
+ */
+async function findBlockingRule(url, { ignoreBudget = false } = {}) {
+    try {
+        const { config } = await chrome.storage.sync.get(['config']);
 
         if (!config) {
-            return false;
+            return null;
         }
 
-        // Check if URL matches any blocked site
-        const hostname = new URL(url).hostname.toLowerCase();
-        const isBlockedSite = config.blockedSites.some(site =>
-            hostname.includes(site.toLowerCase()) || site.toLowerCase().includes(hostname)
-        );
+        // A focus session blocks its list regardless of schedule and snoozes
+        const focusSession = await getFocusSession();
+        const focusRule = focusSession?.phase === 'focus'
+            ? findMatchingSiteRule(getFocusGroup(config, focusSession).sites, url)
+            : null;
 
-        if (!isBlockedSite) {
-            return false;
+        // Check if blocking is snoozed, expired snoozes count as over even if the alarm was missed
+        if (!focusRule && await getSnoozedUntil()) {
+            return null;
         }
 
-        // Check if we're in blocking time period
-        if (!config.schedule.enabled) {
-            return true; // Always block if schedule is disabled
+        // Check if URL matches a group whose blocking window is open
+        const match = focusRule
+            ? { group: getFocusGroup(config, focusSession), rule: focusRule }
+            : findActiveGroupRule(config, url, new Date());
+        if (!match) {
+            return null;
         }
 
-        const now = new Date();
-        const currentDay = now.getDay();
-        const currentTime = now.getHours() * 60 + now.getMinutes();
+        // Allowlist exceptions override block rules
+        if (findMatchingSiteRule(config.allowedSites, url)) {
+            return null;
+        }
 
-        // Check if today is a work day
-        if (!config.schedule.workDays.includes(currentDay)) {
-            return false;
+        // Ignored blocks let the site through for a while
+        if (await hasTemporaryPass(url)) {
+            return null;
         }
 
-        // Check if current time is within blocking period
-        const startTime = parseTimeToMinutes(config.schedule.startTime);
-        const endTime = parseTimeToMinutes(config.schedule.endTime);
+        // Budgeted entries stay open until today's budget is used up
+        if (!ignoreBudget && !focusRule && await hasBudgetLeft(config, match.rule.raw)) {
+            return null;
+        }
 
-        return currentTime >= startTime && currentTime <= endTime;
+        return match;
 
     } catch (error) {
         console.error('Despair Blocker: Block check error:', error);
-        return false;
+        return null;
     }
 }
 
 /**
- * Convert time string to minutes since midnight
+ * Get the timestamp when a group's current blocking window ends
+ * Returns null when blocking has no scheduled end
  */
-function parseTimeToMinutes(timeString) {
-    const [hours, minutes] = timeString.split(':').map(Number);
-    return hours * 60 + minutes;
+function getBlockingWindowEnd(group, date) {
+    if (group.id === FOCUS_GROUP_ID) {
+        return group.endsAt;
+    }
+
+    return getScheduleWindowEnd(group.schedule, date);
 }
 
 /**
- * Get random despair message from configuration
+ * Build the URL of the extension-hosted blocked page for a blocked URL
+ * The original URL is encoded, so its own query and fragment stay part of it
  */
-async function getRandomDespairMessage() {
-    try {
-        const { config } = await chrome.storage.sync.get(['config']);
-        const messages = config?.despairMessages || DEFAULT_CONFIG.despairMessages;
-        return messages[Math.floor(Math.random() * messages.length)];
-    } catch (error) {
-        console.error('Despair Blocker: Message retrieval error:', error);
-        return DEFAULT_CONFIG.despairMessages[0];
-    }
+function getBlockedPageUrl(url) {
+    return `${chrome.runtime.getURL(BLOCKED_PAGE_PATH)}?url=${encodeURIComponent(url)}`;
 }
 
 /**
- * Check if TTS is enabled
+ * Collect everything the block page needs to render a block
  */
-async function getTTSEnabled() {
-    try {
-        const { config } = await chrome.storage.sync.get(['config']);
-        return config?.enableTTS ?? DEFAULT_CONFIG.enableTTS;
-    } catch (error) {
-        console.error('Despair Blocker: TTS check error:', error);
-        return DEFAULT_CONFIG.enableTTS;
+async function getBlockDetails(url, tabId) {
+    const match = await findBlockingRule(url);
+    const group = match ? match.group : null;
+    const { config } = await chrome.storage.sync.get(['config']);
+    const windowEndsAt = group ? getBlockingWindowEnd(group, new Date()) : null;
+    const tts = getTTSSettings(config);
+    const block = match ? await getTabBlock(tabId, url, match, tts) : null;
+    const message = block
+        ? renderMessageTemplate(block.message, await getMessageValues(url, windowEndsAt, config))
+        : null;
+    const speak = block ? block.speak : false;
+
+    // chrome.tts speaks from here, so the page's own audio settings do not matter
+    if (speak && tts.useChromeTTS) {
+        speakWithChromeTTS(message, tts);
     }
+
+    return {
+        blocked: match !== null,
+        eventId: block ? block.eventId : null,
+        url,
+        rule: match ? match.rule.raw : null,
+        group: group ? group.name : null,
+        budgetMinutes: match ? getSiteBudget(config, match.rule.raw) : null,
+        hardMode: await isConfigLocked(config),
+        challenge: await getUnlockChallenge(config),
+        scorecard: getScorecard(await getBlockHistory(), config),
+        windowEndsAt,
+        message,
+        enableTTS: speak && !tts.useChromeTTS,
+        tts,
+        theme: getBlockTheme(config)
+    };
 }
 
 /**
- * Function to be injected into blocked pages
- * Uses Shadow DOM for complete isolation from page CSP and React
+ * Get the block a tab shows for a URL, recording a new one when there is none
+ * Showing the same block again (re-injection, tab switches, sweeps) reuses the
+ * open event and the message picked for it, so the rotation only moves on per block
+ * and only a new block is read out.
+ * Without a tab nothing is recorded and every call is a new block.
+ * Returns { eventId, message, speak } with the message placeholders not filled in yet.
  */
-function blockPage(message, enableTTS) {
-    // Prevent multiple injections
-    if (document.getElementById('despair-blocker-overlay')) {
-        return;
+async function getTabBlock(tabId, url, match, tts) {
+    const { openBlockEvents = {} } = await chrome.storage.session.get(['openBlockEvents']);
+    const open = tabId !== undefined ? openBlockEvents[tabId] : null;
+
+    if (open && open.url === url) {
+        return { eventId: open.id, message: open.message, speak: false };
     }
 
-    // Create shadow host
-    const shadowHost = document.createElement('div');
-    shadowHost.id = 'despair-blocker-overlay';
-    shadowHost.style.cssText = `
-    position: fixed !important;
-    top: 0 !important;
-    left: 0 !important;
-    width: 100vw !important;
-    height: 100vh !important;
-    z-index: 2147483647 !important;
-    pointer-events: auto !important;
-  `;
-
-    // Create shadow root for complete isolation
-    const shadowRoot = shadowHost.attachShadow({ mode: 'closed' });
-
-    // Create overlay container
-    const overlayContainer = document.createElement('div');
-    overlayContainer.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100vw;
-    height: 100vh;
-    background: linear-gradient(135deg, #1a1a1a 0%, #2d1b2e 50%, #1a1a1a 100%);
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-    animation: despairFadeIn 1s ease-out;
-  `;
-
-    // Create main container
-    const despairContainer = document.createElement('div');
-    despairContainer.style.cssText = `
-    text-align: center;
-    max-width: 600px;
-    padding: 40px;
-    background: rgba(0, 0, 0, 0.8);
-    border-radius: 20px;
-    border: 2px solid #ff6b6b;
-    box-shadow: 0 20px 60px rgba(255, 107, 107, 0.3);
-    animation: despairPulse 2s ease-in-out infinite;
-    position: relative;
-  `;
-
-    // Create skull element
-    const skull = document.createElement('div');
-    skull.textContent = '💀';
-    skull.style.cssText = `
-    font-size: 4rem;
-    margin-bottom: 20px;
-    animation: despairFloat 3s ease-in-out infinite;
-  `;
-
-    // Create title
-    const title = document.createElement('h1');
-    title.textContent = 'BLOCKED BY DESPAIR';
-    title.style.cssText = `
-    color: #ff6b6b;
-    font-size: 2.5rem;
-    font-weight: bold;
-    margin: 0 0 30px 0;
-    text-shadow: 0 0 20px rgba(255, 107, 107, 0.5);
-    letter-spacing: 2px;
-  `;
-
-    // Create message
-    const messageDiv = document.createElement('div');
-    messageDiv.textContent = message;
-    messageDiv.style.cssText = `
-    color: #ffffff;
-    font-size: 1.2rem;
-    line-height: 1.6;
-    margin-bottom: 40px;
-    padding: 20px;
-    background: rgba(255, 107, 107, 0.1);
-    border-radius: 10px;
-    border-left: 4px solid #ff6b6b;
-  `;
-
-    // Create actions container
-    const actionsDiv = document.createElement('div');
-    actionsDiv.style.cssText = `
-    margin-bottom: 30px;
-  `;
-
-    // Create primary button
-    const primaryBtn = document.createElement('button');
-    primaryBtn.textContent = 'Go Back to Work';
-    primaryBtn.style.cssText = `
-    padding: 15px 30px;
-    margin: 0 10px;
-    border: none;
-    border-radius: 25px;
-    font-size: 1rem;
-    font-weight: bold;
-    cursor: pointer;
-    transition: all 0.3s ease;
-    text-transform: uppercase;
-    letter-spacing: 1px;
-    background: linear-gradient(45deg, #ff6b6b, #ff8e8e);
-    color: white;
-    box-shadow: 0 5px 15px rgba(255, 107, 107, 0.4);
-  `;
-
-    // Create secondary button
-    const secondaryBtn = document.createElement('button');
-    secondaryBtn.textContent = 'Ignore Future Me (Bad Choice)';
-    secondaryBtn.style.cssText = `
-    padding: 15px 30px;
-    margin: 0 10px;
-    border: 2px solid #444;
-    border-radius: 25px;
-    font-size: 1rem;
-    font-weight: bold;
-    cursor: pointer;
-    transition: all 0.3s ease;
-    text-transform: uppercase;
-    letter-spacing: 1px;
-    background: transparent;
-    color: #888;
-  `;
-
-    // Create footer
-    const footer = document.createElement('div');
-    footer.textContent = 'Your future self is watching... and judging.';
-    footer.style.cssText = `
-    color: #666;
-    font-size: 0.9rem;
-    font-style: italic;
-  `;
-
-    // Add CSS animations
-    const style = document.createElement('style');
-    style.textContent = `
-    @keyframes despairFadeIn {
-      from {
-        opacity: 0;
-        transform: scale(0.8);
-      }
-      to {
-        opacity: 1;
-        transform: scale(1);
-      }
-    }
-    
-    @keyframes despairPulse {
-      0%, 100% {
-        box-shadow: 0 20px 60px rgba(255, 107, 107, 0.3);
-      }
-      50% {
-        box-shadow: 0 20px 60px rgba(255, 107, 107, 0.5);
-              }
-    }
-    
-    @keyframes despairFloat {
-      0%, 100% {
-        transform: translateY(0px);
-      }
-      50% {
-        transform: translateY(-10px);
-      }
-    }
-  `;
-
-    // Add hover effects
-    primaryBtn.addEventListener('mouseenter', () => {
-        primaryBtn.style.transform = 'translateY(-2px)';
-        primaryBtn.style.boxShadow = '0 8px 25px rgba(255, 107, 107, 0.6)';
-    });
+    const event = tabId !== undefined
+        ? await addBlockEvent({ url, rule: match.rule.raw, group: match.group.name })
+        : null;
 
-    primaryBtn.addEventListener('mouseleave', () => {
-        primaryBtn.style.transform = 'translateY(0)';
-        primaryBtn.style.boxShadow = '0 5px 15px rgba(255, 107, 107, 0.4)';
-    });
+    // Escalation counts today's blocks of the site, this one included
+    const blockIndex = await countSiteBlocksToday(url) + (event ? 0 : 1);
+    const message = await getRandomDespairMessage(match.group, url, blockIndex);
 
-    secondaryBtn.addEventListener('mouseenter', () => {
-        secondaryBtn.style.background = 'rgba(255, 107, 107, 0.1)';
-        secondaryBtn.style.borderColor = '#ff6b6b';
-        secondaryBtn.style.color = '#ff6b6b';
-    });
+    if (event) {
+        openBlockEvents[tabId] = { id: event.id, url, message };
+        await chrome.storage.session.set({ openBlockEvents });
+    }
 
-    secondaryBtn.addEventListener('mouseleave', () => {
-        secondaryBtn.style.background = 'transparent';
-        secondaryBtn.style.borderColor = '#444';
-        secondaryBtn.style.color = '#888';
-    });
+    return { eventId: event ? event.id : null, message, speak: await shouldSpeakBlock(match.group, url, tts) };
+}
 
-    // Add event listeners for buttons
-    primaryBtn.addEventListener('click', () => {
-        try {
-            // Try to go back in history
-            if (window.history.length > 1) {
-                window.history.back();
-            } else {
-                // If no history, try to close tab or redirect to a productive page
-                window.location.href = 'about:blank';
-            }
-        } catch (error) {
-            // Fallback: just remove the overlay
-            shadowHost.remove();
-            document.documentElement.style.overflow = '';
-        }
-    });
+/**
+ * Record how a block ended and forget it as the tab's open event
+ */
+async function closeBlockEvent(eventId, outcome) {
+    const { openBlockEvents = {} } = await chrome.storage.session.get(['openBlockEvents']);
+
+    Object.keys(openBlockEvents)
+        .filter(tabId => openBlockEvents[tabId].id === eventId)
+        .forEach(tabId => delete openBlockEvents[tabId]);
+
+    await chrome.storage.session.set({ openBlockEvents });
+    await resolveBlockEvent(eventId, outcome);
+}
 
-    secondaryBtn.addEventListener('click', () => {
-        // Remove the overlay
-        shadowHost.remove();
-        // Restore page scrolling
-        document.documentElement.style.overflow = '';
+/**
+ * Inject the despair overlay into a tab
+ * Falls back to the extension blocked page when the overlay cannot be shown,
+ * e.g. on error pages or sites that reset their DOM
+ */
+async function injectBlockPage(tabId, url) {
+    try {
+        const details = await getBlockDetails(url, tabId);
 
-        // Optional: Log this action for analytics
         try {
-            chrome.runtime.sendMessage({
-                action: 'userIgnoredBlock',
-                url: window.location.href,
-                timestamp: Date.now()
-            }).catch(() => {
-                // Ignore errors if background script is not available
+            await chrome.scripting.executeScript({
+                target: { tabId },
+                files: BLOCK_PAGE_SCRIPTS
             });
-        } catch (error) {
-            // Ignore messaging errors
+            await chrome.scripting.executeScript({
+                target: { tabId },
+                func: (blockDetails) => blockPage(blockDetails),
+                args: [details]
+            });
+        } catch (injectionError) {
+            console.warn('Despair Blocker: Overlay injection failed, using blocked page:', injectionError);
+            await chrome.tabs.update(tabId, { url: getBlockedPageUrl(url) });
+            return;
         }
-    });
 
-    // Assemble the DOM structure
-    actionsDiv.appendChild(primaryBtn);
-    actionsDiv.appendChild(secondaryBtn);
-
-    despairContainer.appendChild(skull);
-    despairContainer.appendChild(title);
-    despairContainer.appendChild(messageDiv);
-    despairContainer.appendChild(actionsDiv);
-    despairContainer.appendChild(footer);
-
-    overlayContainer.appendChild(despairContainer);
-
-    // Append styles and content to shadow root
-    shadowRoot.appendChild(style);
-    shadowRoot.appendChild(overlayContainer);
-
-    // Insert shadow host into page
-    document.documentElement.appendChild(shadowHost);
-
-    // Text-to-speech if enabled
-    if (enableTTS && 'speechSynthesis' in window) {
-        setTimeout(() => {
-            try {
-                const utterance = new SpeechSynthesisUtterance(message);
-                utterance.rate = 0.8;
-                utterance.pitch = 0.7;
-                utterance.volume = 0.8;
-                speechSynthesis.speak(utterance);
-            } catch (error) {
-                console.log('Despair Blocker: TTS not available');
+        // Make sure the page did not throw the overlay away
+        setTimeout(() => verifyOverlayPresent(tabId, url), 2000);
+
+    } catch (error) {
+        console.error('Despair Blocker: Block page error:', error);
+    }
+}
+
+/**
+ * Bring every open tab in line with the current blocking state
+ * Blocks matching tabs when a window starts and lifts overlays when it ends.
+ * Blocked pages are told to re-check so they can offer to reload their site.
+ */
+async function enforceOnOpenTabs() {
+    try {
+        const tabs = await chrome.tabs.query({});
+
+        for (const tab of tabs) {
+            if (!tab.url || (!tab.url.startsWith('http://') && !tab.url.startsWith('https://'))) {
+                continue;
+            }
+
+            // Only tabs whose overlay does not match the blocking state get scripts
+            const blocked = await shouldBlockCurrentSite(tab.url);
+            const hasOverlay = await hasBlockOverlay(tab.id);
+
+            if (blocked && !hasOverlay) {
+                await injectBlockPage(tab.id, tab.url);
+            } else if (!blocked && hasOverlay) {
+                await liftBlockPage(tab.id);
             }
-        }, 1000);
+        }
+
+        chrome.runtime.sendMessage({ action: 'blockingStateChanged' }).catch(() => {
+            // No blocked pages are open
+        });
+
+    } catch (error) {
+        console.error('Despair Blocker: Open tab sweep error:', error);
+    }
+}
+
+/**
+ * Check if a tab shows the despair overlay
+ */
+async function hasBlockOverlay(tabId) {
+    try {
+        const [{ result }] = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: () => Boolean(document.getElementById('despair-blocker-overlay'))
+        });
+        return result === true;
+    } catch (error) {
+        // Tabs we cannot script show no overlay
+        return false;
+    }
+}
+
+/**
+ * Remove the despair overlay from a tab that is no longer blocked
+ */
+async function liftBlockPage(tabId) {
+    try {
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            files: BLOCK_PAGE_SCRIPTS
+        });
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            func: () => unblockPage()
+        });
+    } catch (error) {
+        // Tabs we cannot script never had an overlay
     }
+}
 
-    // Hide original page content
-    document.documentElement.style.overflow = 'hidden';
+/**
+ * Redirect to the blocked page if the overlay vanished without the user dismissing it
+ */
+async function verifyOverlayPresent(tabId, url) {
+    try {
+        const [{ result }] = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: () => Boolean(document.getElementById('despair-blocker-overlay')) ||
+                document.documentElement.dataset.despairDismissed === 'true'
+        });
 
-    // Add keyboard support (ESC to close)
-    const handleKeydown = (event) => {
-        if (event.key === 'Escape') {
-            shadowHost.remove();
-            document.documentElement.style.overflow = '';
-            document.removeEventListener('keydown', handleKeydown);
+        if (!result && await shouldBlockCurrentSite(url)) {
+            console.warn('Despair Blocker: Overlay was removed by the page, using blocked page');
+            await chrome.tabs.update(tabId, { url: getBlockedPageUrl(url) });
         }
+    } catch (error) {
+        // Tab closed or navigated away
+    }
+}
+
+/**
+ * Get the hostname a temporary pass is stored under
+ */
+function getPassHost(url) {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Get temporary passes that have not expired yet
+ */
+async function getActivePasses() {
+    const { temporaryPasses = {} } = await chrome.storage.local.get(['temporaryPasses']);
+    const now = Date.now();
+
+    return Object.fromEntries(
+        Object.entries(temporaryPasses).filter(([, expiresAt]) => expiresAt > now)
+    );
+}
+
+/**
+ * Check if a URL's host currently has a temporary pass
+ */
+async function hasTemporaryPass(url) {
+    const passes = await getActivePasses();
+    return Boolean(passes[getPassHost(url)]);
+}
+
+/**
+ * Count the blocks ignored today
+ * Challenges that were abandoned do not count
+ */
+async function getIgnoresToday() {
+    const { ignoredBlocks = [] } = await chrome.storage.local.get(['ignoredBlocks']);
+    const todayStart = new Date().setHours(0, 0, 0, 0);
+
+    return ignoredBlocks.filter(entry =>
+        entry.timestamp >= todayStart && (!entry.challenge || entry.challenge.outcome === 'passed')
+    ).length;
+}
+
+/**
+ * Get the unlock challenge the block page has to put in front of "Ignore"
+ * The countdown grows with every block ignored today
+ */
+async function getUnlockChallenge(config) {
+    const settings = getConfigSetting(config, 'unlockChallenge');
+    const ignoresToday = await getIgnoresToday();
+
+    return {
+        type: settings.type,
+        ignoresToday,
+        seconds: settings.countdownSeconds + ignoresToday * settings.countdownStepSeconds,
+        minReasonLength: settings.minReasonLength
     };
+}
+
+/**
+ * Let a host through for a few minutes after the user chose to ignore a block
+ */
+async function grantTemporaryPass(url) {
+    const { config } = await chrome.storage.sync.get(['config']);
+    const { passMinutes } = getConfigSetting(config, 'unlockChallenge');
+    const passes = await getActivePasses();
+    const expiresAt = Date.now() + passMinutes * 60 * 1000;
+
+    passes[getPassHost(url)] = expiresAt;
+    await chrome.storage.local.set({ temporaryPasses: passes });
+
+    // Rebuild network rules now and again once the pass runs out
+    await schedulePassExpiry(passes);
+    await syncNetworkRules();
+
+    return expiresAt;
+}
+
+/**
+ * Arm the expiry alarm for the pass that runs out first
+ */
+async function schedulePassExpiry(passes) {
+    const expiries = Object.values(passes);
+
+    if (expiries.length === 0) {
+        await chrome.alarms.clear('temporaryPassExpiry');
+        return;
+    }
+
+    chrome.alarms.create('temporaryPassExpiry', { when: Math.min(...expiries) });
+}
+
+/**
+ * Drop expired passes and block their sites again
+ */
+async function handlePassExpiry() {
+    const passes = await getActivePasses();
+
+    await chrome.storage.local.set({ temporaryPasses: passes });
+    await schedulePassExpiry(passes);
+    await syncNetworkRules();
+    await enforceOnOpenTabs();
+}
+
+/**
+ * End a pass early and block its site again
+ */
+async function revokeTemporaryPass(host) {
+    const passes = await getActivePasses();
+
+    delete passes[host];
+    await chrome.storage.local.set({ temporaryPasses: passes });
+    await schedulePassExpiry(passes);
+    await syncNetworkRules();
+    await enforceOnOpenTabs();
+}
+
+/**
+ * Check if hard mode locks a configuration right now
+ */
+async function isConfigLocked(config) {
+    return isHardModeLocked(config, await getFocusSession(), new Date());
+}
+
+/**
+ * Save a configuration unless it is invalid or hard mode forbids weakening it right now
+ * Returns { success, error }
+ */
+async function saveConfig(newConfig) {
+    const errors = validateConfig(newConfig);
+    if (errors.length > 0) {
+        return { success: false, error: `Cannot save: ${formatConfigError(errors[0])}` };
+    }
+
+    const { config } = await chrome.storage.sync.get(['config']);
 
-    document.addEventListener('keydown', handleKeydown);
+    if (await isConfigLocked(config)) {
+        const weakening = findWeakeningChanges(config, newConfig);
 
-    // Auto-remove on page unload
-    window.addEventListener('beforeunload', () => {
-        if (shadowHost.parentNode) {
-            shadowHost.remove();
+        if (weakening.length > 0) {
+            return {
+                success: false,
+                error: `Hard mode is on: ${weakening[0]} has to wait until the blocking window ends`
+            };
         }
-        document.documentElement.style.overflow = '';
-    });
+    }
+
+    await chrome.storage.sync.set({ config: newConfig });
+    return { success: true };
 }
 
 /**
- * Listen for messages from options page and popup
+ * Get the time a running snooze ends
+ * Returns null when blocking is not snoozed
  */
-chrome.runtime.onMessage.addListener(async (request, sender, sendResponse) => {
-    try {
-        if (request.action === 'updateSchedule') {
-            await setupBlockingSchedule();
-            sendResponse({ success: true });
-        } else if (request.action === 'userIgnoredBlock') {
-            // Track ignored blocks for analytics
-            console.log('User ignored block on:', request.url, 'at', new Date(request.timestamp));
-
-            // Store ignored block data
-            try {
-                const { ignoredBlocks = [] } = await chrome.storage.local.get(['ignoredBlocks']);
-                ignoredBlocks.push({
-                    url: request.url,
-                    timestamp: request.timestamp,
-                    date: new Date(request.timestamp).toISOString()
-                });
-
-                // Keep only last 100 ignored blocks to prevent storage bloat
-                if (ignoredBlocks.length > 100) {
-                    ignoredBlocks.splice(0, ignoredBlocks.length - 100);
-                }
+async function getSnoozedUntil() {
+    const { snoozedUntil } = await chrome.storage.sync.get(['snoozedUntil']);
+    return snoozedUntil && snoozedUntil > Date.now() ? snoozedUntil : null;
+}
 
-                await chrome.storage.local.set({ ignoredBlocks });
-            } catch (storageError) {
-                console.error('Error storing ignored block data:', storageError);
-            }
+/**
+ * Snooze blocking for a number of minutes, or until the current window ends
+ * Returns the snooze end, or null when there is no window end to snooze until
+ */
+async function snoozeBlocking(minutes, untilWindowEnd = false) {
+    const { config } = await chrome.storage.sync.get(['config']);
+    if (await isConfigLocked(config)) {
+        return null;
+    }
 
-            sendResponse({ success: true });
-        } else if (request.action === 'urlChanged') {
-            // Handle URL changes from content script
-            const shouldBlock = await shouldBlockCurrentSite(request.url);
-
-            if (shouldBlock && sender.tab) {
-                setTimeout(async () => {
-                    try {
-                        await chrome.scripting.executeScript({
-                            target: { tabId: sender.tab.id },
-                            func: blockPage,
-                            args: [await getRandomDespairMessage(), await getTTSEnabled()]
-                        });
-                    } catch (injectionError) {
-                        console.error('Despair Blocker: Script injection error on URL change:', injectionError);
-                    }
-                }, 500);
-            }
+    let snoozedUntil = Date.now() + minutes * 60 * 1000;
 
-            sendResponse({ success: true });
-        } else if (request.action === 'tabVisible') {
-            // Handle tab becoming visible
-            const shouldBlock = await shouldBlockCurrentSite(request.url);
-
-            if (shouldBlock && sender.tab) {
-                setTimeout(async () => {
-                    try {
-                        await chrome.scripting.executeScript({
-                            target: { tabId: sender.tab.id },
-                            func: blockPage,
-                            args: [await getRandomDespairMessage(), await getTTSEnabled()]
-                        });
-                    } catch (injectionError) {
-                        console.error('Despair Blocker: Script injection error on tab visible:', injectionError);
-                    }
-                }, 100);
-            }
+    if (untilWindowEnd) {
+        const now = new Date();
+
+        snoozedUntil = getActiveRuleGroups(config, now).length > 0
+            ? getNextGroupsTransition(config, now, 'end')
+            : null;
 
-            sendResponse({ success: true });
+        if (!snoozedUntil) {
+            return null;
         }
-    } catch (error) {
-        console.error('Despair Blocker: Message handling error:', error);
-        sendResponse({ success: false, error: error.message });
     }
 
-    // Return true to indicate we'll send a response asynchronously
-    return true;
-});
+    await chrome.storage.sync.set({ snoozedUntil });
+    chrome.alarms.create('snoozeEnd', { when: snoozedUntil });
+    await enforceOnOpenTabs();
+
+    return snoozedUntil;
+}
+
+/**
+ * Restore blocking when a snooze ends or the user resumes early
+ */
+async function endSnooze() {
+    await chrome.storage.sync.remove('snoozedUntil');
+    await chrome.alarms.clear('snoozeEnd');
+    await enforceOnOpenTabs();
+}
+
+/**
+ * Get the running focus session from local storage
+ * Returns { phase: 'focus' | 'break', startedAt, endsAt, workMinutes, breakMinutes } or null
+ */
+async function getFocusSession() {
+    const { focusSession } = await chrome.storage.local.get(['focusSession']);
+    return focusSession && focusSession.endsAt > Date.now() ? focusSession : null;
+}
+
+/**
+ * Start a focus session that blocks the focus list regardless of schedule
+ */
+async function startFocusSession() {
+    const { config } = await chrome.storage.sync.get(['config']);
+    const { workMinutes, breakMinutes } = getConfigSetting(config, 'focus');
+    const now = Date.now();
+
+    const focusSession = {
+        phase: 'focus',
+        startedAt: now,
+        endsAt: now + workMinutes * 60 * 1000,
+        workMinutes,
+        breakMinutes
+    };
+
+    await chrome.storage.local.set({ focusSession });
+    chrome.alarms.create('focusPhaseEnd', { when: focusSession.endsAt });
+    chrome.alarms.create('focusBadgeTick', { periodInMinutes: 1 });
+
+    await updateFocusBadge();
+    await syncNetworkRules();
+    await enforceOnOpenTabs();
+
+    return focusSession;
+}
+
+/**
+ * Move a focus session on when its phase ends
+ * A finished focus phase is recorded and followed by a break, a finished break ends the session
+ */
+async function advanceFocusSession() {
+    const { focusSession } = await chrome.storage.local.get(['focusSession']);
+    if (!focusSession) {
+        return;
+    }
+
+    if (focusSession.phase === 'focus') {
+        await recordFocusSession(focusSession);
+
+        const breakSession = {
+            ...focusSession,
+            phase: 'break',
+            endsAt: Date.now() + focusSession.breakMinutes * 60 * 1000
+        };
+
+        await chrome.storage.local.set({ focusSession: breakSession });
+        chrome.alarms.create('focusPhaseEnd', { when: breakSession.endsAt });
+
+        await updateFocusBadge();
+        await syncNetworkRules();
+        await enforceOnOpenTabs();
+        return;
+    }
+
+    await stopFocusSession();
+}
+
+/**
+ * End the focus session early or after its break
+ */
+async function stopFocusSession() {
+    const { focusSession } = await chrome.storage.local.get(['focusSession']);
+
+    await chrome.storage.local.remove('focusSession');
+    await chrome.alarms.clear('focusPhaseEnd');
+    await chrome.alarms.clear('focusBadgeTick');
+    await chrome.action.setBadgeText({ text: '' });
+
+    // Lift the blocks if the session was stopped during its focus phase
+    if (focusSession?.phase === 'focus') {
+        await syncNetworkRules();
+        await enforceOnOpenTabs();
+    }
+}
+
+/**
+ * Add a completed focus phase to the local history
+ */
+async function recordFocusSession(focusSession) {
+    try {
+        const { focusHistory = [] } = await chrome.storage.local.get(['focusHistory']);
+
+        focusHistory.push({
+            startedAt: focusSession.startedAt,
+            endedAt: Date.now(),
+            minutes: focusSession.workMinutes
+        });
+
+        // Keep only the most recent sessions to prevent storage bloat
+        if (focusHistory.length > FOCUS_HISTORY_LIMIT) {
+            focusHistory.splice(0, focusHistory.length - FOCUS_HISTORY_LIMIT);
+        }
+
+        await chrome.storage.local.set({ focusHistory });
+    } catch (error) {
+        console.error('Despair Blocker: Focus history error:', error);
+    }
+}
+
+/**
+ * Show the minutes left in the current focus phase on the toolbar badge
+ * Red while focusing, green during the break
+ */
+async function updateFocusBadge() {
+    const focusSession = await getFocusSession();
+
+    if (!focusSession) {
+        await chrome.action.setBadgeText({ text: '' });
+        return;
+    }
+
+    const minutesLeft = Math.ceil((focusSession.endsAt - Date.now()) / 60000);
+
+    await chrome.action.setBadgeBackgroundColor({
+        color: focusSession.phase === 'focus' ? '#ff6b6b' : '#28a745'
+    });
+    await chrome.action.setBadgeText({ text: `${minutesLeft}m` });
+}
+
+/**
+ * Get the daily budget in minutes for a blocked entry
+ * Returns null when the entry is blocked outright
+ */
+function getSiteBudget(config, entry) {
+    const minutes = config?.siteBudgets?.[entry];
+    return typeof minutes === 'number' && minutes > 0 ? minutes : null;
+}
+
+/**
+ * Get the seconds of focused time used today on an entry,
+ * including the session that is still running
+ */
+async function getBudgetUsedSeconds(entry) {
+    const { budgetUsage = {} } = await chrome.storage.local.get(['budgetUsage']);
+    const { budgetSession } = await chrome.storage.session.get(['budgetSession']);
+
+    let seconds = budgetUsage[getDayKey(new Date())]?.[entry] || 0;
+    if (budgetSession?.entry === entry) {
+        seconds += (Date.now() - budgetSession.lastTick) / 1000;
+    }
+
+    return seconds;
+}
+
+/**
+ * Check if an entry has a daily budget with time left today
+ */
+async function hasBudgetLeft(config, entry) {
+    const budget = getSiteBudget(config, entry);
+    if (budget === null) {
+        return false;
+    }
+
+    return (await getBudgetUsedSeconds(entry)) < budget * 60;
+}
+
+/**
+ * Describe the daily budget of the first budgeted entry matching a URL
+ * Returns null when no budgeted entry matches
+ */
+async function getBudgetStatus(url) {
+    const { config } = await chrome.storage.sync.get(['config']);
+
+    for (const group of getRuleGroups(config)) {
+        const rule = findMatchingSiteRule(group.sites, url);
+        const budget = rule ? getSiteBudget(config, rule.raw) : null;
+
+        if (budget !== null) {
+            const usedSeconds = await getBudgetUsedSeconds(rule.raw);
+            return {
+                entry: rule.raw,
+                budgetMinutes: budget,
+                usedMinutes: Math.floor(usedSeconds / 60),
+                remainingMinutes: Math.max(0, Math.ceil((budget * 60 - usedSeconds) / 60))
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Add the time since the last tick of the running session to today's usage
+ * Returns the session, or null when nothing is being counted
+ */
+async function flushBudgetSession() {
+    const { budgetSession } = await chrome.storage.session.get(['budgetSession']);
+    if (!budgetSession) {
+        return null;
+    }
+
+    const now = Date.now();
+    const { budgetUsage = {} } = await chrome.storage.local.get(['budgetUsage']);
+    const dayKey = getDayKey(new Date(now));
+    const today = budgetUsage[dayKey] || {};
+
+    today[budgetSession.entry] = (today[budgetSession.entry] || 0) + (now - budgetSession.lastTick) / 1000;
+    budgetUsage[dayKey] = today;
+
+    // Keep only the last few days to prevent storage bloat
+    Object.keys(budgetUsage)
+        .sort()
+        .slice(0, -BUDGET_USAGE_DAYS)
+        .forEach(oldDay => delete budgetUsage[oldDay]);
+
+    budgetSession.lastTick = now;
+    await chrome.storage.local.set({ budgetUsage });
+    await chrome.storage.session.set({ budgetSession });
+
+    return budgetSession;
+}
+
+/**
+ * Stop counting focused time
+ */
+async function stopBudgetSession() {
+    await flushBudgetSession();
+    await chrome.storage.session.remove('budgetSession');
+    await chrome.alarms.clear('budgetExhausted');
+}
+
+/**
+ * Start counting focused time for a tab when its site has a budget left
+ * Any running session is closed first, only one tab is focused at a time
+ */
+async function startBudgetSession(tabId, url) {
+    try {
+        await stopBudgetSession();
+
+        if (!url || (!url.startsWith('http://') && !url.startsWith('https://'))) {
+            return;
+        }
+
+        // Only time that would otherwise be blocked counts against the budget
+        const match = await findBlockingRule(url, { ignoreBudget: true });
+        if (!match) {
+            return;
+        }
+
+        const { config } = await chrome.storage.sync.get(['config']);
+        const entry = match.rule.raw;
+        const budget = getSiteBudget(config, entry);
+        if (budget === null) {
+            return;
+        }
+
+        const remainingSeconds = budget * 60 - await getBudgetUsedSeconds(entry);
+        if (remainingSeconds <= 0) {
+            return;
+        }
+
+        await chrome.storage.session.set({ budgetSession: { tabId, url, entry, lastTick: Date.now() } });
+        chrome.alarms.create('budgetExhausted', { when: Date.now() + remainingSeconds * 1000 });
+
+    } catch (error) {
+        console.error('Despair Blocker: Budget session error:', error);
+    }
+}
+
+/**
+ * Block the focused tab once its budget runs out
+ */
+async function handleBudgetExhausted() {
+    const budgetSession = await flushBudgetSession();
+    if (!budgetSession) {
+        return;
+    }
+
+    if (await shouldBlockCurrentSite(budgetSession.url)) {
+        await stopBudgetSession();
+        await syncNetworkRules();
+        await injectBlockPage(budgetSession.tabId, budgetSession.url);
+    } else {
+        // Alarms can fire a little early, keep counting
+        await startBudgetSession(budgetSession.tabId, budgetSession.url);
+    }
+}
+
+/**
+ * Arm the alarm that resets daily budgets at the next midnight
+ */
+function setupBudgetReset() {
+    const midnight = new Date();
+    midnight.setHours(24, 0, 0, 0);
+    chrome.alarms.create('budgetReset', { when: midnight.getTime() });
+}
+
+/**
+ * Compile blocked and allowed sites into declarativeNetRequest rules
+ * Only groups inside their blocking window (and a running focus session) get redirect rules.
+ * Allowlist rules get a higher priority so they always win over redirects
+ */
+async function buildNetworkRules(config, snoozed = false) {
+    const blockedPageUrl = chrome.runtime.getURL(BLOCKED_PAGE_PATH);
+    const rules = [];
+
+    const compileEntries = async (entries, priority, action, respectBudgets = false) => {
+        for (const entry of entries || []) {
+            const rule = parseSiteRule(entry);
+            if (!rule) {
+                continue;
+            }
+
+            // Budgeted entries are only redirected once today's budget is used up
+            if (respectBudgets && await hasBudgetLeft(config, rule.raw)) {
+                continue;
+            }
+
+            const regexFilter = siteRuleToRegexSource(rule);
+            const { isSupported } = await chrome.declarativeNetRequest.isRegexSupported({ regex: regexFilter });
+            if (!isSupported) {
+                // Still handled by the overlay fallback on tab updates
+                console.warn('Despair Blocker: Rule not supported at the network layer:', entry);
+                continue;
+            }
+
+            rules.push({
+                id: rules.length + 1,
+                priority,
+                action,
+                condition: {
+                    regexFilter,
+                    resourceTypes: ['main_frame']
+                }
+            });
+        }
+    };
+
+    await compileEntries(config.allowedSites, 2, { type: 'allow' });
+
+    // Temporary passes win over everything
+    const passHosts = Object.keys(await getActivePasses());
+    if (passHosts.length > 0) {
+        rules.push({
+            id: rules.length + 1,
+            priority: 3,
+            action: { type: 'allow' },
+            condition: {
+                requestDomains: passHosts,
+                resourceTypes: ['main_frame']
+            }
+        });
+    }
+
+    const redirect = {
+        type: 'redirect',
+        redirect: { regexSubstitution: `${blockedPageUrl}?url=\\0` }
+    };
+
+    // A running focus session blocks its whole list, budgets or not
+    const focusSession = await getFocusSession();
+    if (focusSession?.phase === 'focus') {
+        await compileEntries(getFocusGroup(config, focusSession).sites, 1, redirect);
+    }
+
+    if (!snoozed) {
+        for (const group of getActiveRuleGroups(config, new Date())) {
+            await compileEntries(group.sites, 1, redirect, true);
+        }
+    }
+
+    return rules;
+}
+
+/**
+ * Replace the dynamic declarativeNetRequest rules with the current state
+ * Rules only exist while network mode is on and a blocking window or focus session is running
+ */
+async function syncNetworkRules() {
+    try {
+        const { config } = await chrome.storage.sync.get(['config']);
+
+        const shouldEnforce = Boolean(config) && getConfigSetting(config, 'blockingMode') === 'network';
+
+        const addRules = shouldEnforce ? await buildNetworkRules(config, Boolean(await getSnoozedUntil())) : [];
+        const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+
+        await chrome.declarativeNetRequest.updateDynamicRules({
+            removeRuleIds: existingRules.map(rule => rule.id),
+            addRules
+        });
+
+        console.log(`Despair Blocker: ${addRules.length} network rules active`);
+
+    } catch (error) {
+        console.error('Despair Blocker: Network rule sync error:', error);
+    }
+}
+
+/**
+ * Get the next despair message for a group, or from the General messages
+ * Leaves out messages of disabled packs and messages whose conditions do not fit,
+ * then follows the rotation chosen in the settings. blockIndex is the 1-based
+ * number of today's block of the site, used by escalation.
+ */
+async function getRandomDespairMessage(group = null, url = null, blockIndex = 1) {
+    try {
+        const { config } = await chrome.storage.sync.get(['config']);
+        const pool = group?.despairMessages?.length
+            ? group.despairMessages
+            : getConfigSetting(config, 'despairMessages');
+        const enabled = pool.filter(message => isMessagePackEnabled(config, message));
+        const messages = filterMessagesForContext(config, enabled.length > 0 ? enabled : getDefaultConfig().despairMessages, {
+            url,
+            groupId: group?.id || GENERAL_GROUP_ID,
+            date: new Date(),
+            ignoresToday: await getIgnoresToday()
+        });
+        const rotation = getConfigSetting(config, 'messageRotation');
+
+        // Every group rotates through its own messages
+        const poolKey = group?.id || GENERAL_GROUP_ID;
+        const { messageRotationState = {} } = await chrome.storage.local.get(['messageRotationState']);
+        const bags = messageRotationState.bags || {};
+        const last = messageRotationState.last || {};
+        let message;
+
+        if (rotation === 'shuffle') {
+            const pick = pickFromShuffleBag(messages, bags[poolKey], last[poolKey]);
+            message = pick.message;
+            bags[poolKey] = pick.bag;
+        } else if (rotation === 'weighted') {
+            message = pickWeightedMessage(messages, messages.map(text => getMessageWeight(config, text)));
+        } else if (rotation === 'escalation') {
+            message = pickEscalationMessage(messages, blockIndex);
+        } else {
+            message = pickRandomMessage(messages);
+        }
+
+        last[poolKey] = message;
+        await chrome.storage.local.set({ messageRotationState: { bags, last } });
+
+        return message;
+    } catch (error) {
+        console.error('Despair Blocker: Message retrieval error:', error);
+        return getDefaultConfig().despairMessages[0];
+    }
+}
+
+/**
+ * Count today's recorded blocks of a URL's host
+ */
+async function countSiteBlocksToday(url) {
+    const host = getBlockEventHost(url);
+    const todayStart = new Date().setHours(0, 0, 0, 0);
+
+    return (await getBlockHistory())
+        .filter(event => event.host === host && event.timestamp >= todayStart)
+        .length;
+}
+
+/**
+ * Get the values filled into message placeholders for a block
+ */
+async function getMessageValues(url, windowEndsAt, config) {
+    const now = new Date();
+
+    return {
+        site: getBlockEventHost(url),
+        timeLeftInWindow: windowEndsAt ? formatMessageDuration(windowEndsAt - now.getTime()) : 'all day',
+        ignoresToday: await getIgnoresToday(),
+        minutesWastedToday: await getMinutesWastedToday(config),
+        deadline: formatMessageDeadline(config?.deadline, now) || 'your deadline',
+        dayOfWeek: now.toLocaleDateString([], { weekday: 'long' })
+    };
+}
+
+/**
+ * Count the minutes spent on blocked sites today
+ * Budget time used plus the time passes have been open after ignoring a block
+ */
+async function getMinutesWastedToday(config) {
+    const { budgetUsage = {} } = await chrome.storage.local.get(['budgetUsage']);
+    const budgetSeconds = Object.values(budgetUsage[getDayKey(new Date())] || {})
+        .reduce((total, seconds) => total + seconds, 0);
+
+    const passSeconds = getConfigSetting(config, 'unlockChallenge').passMinutes * 60;
+    const todayStart = new Date().setHours(0, 0, 0, 0);
+    const ignoredSeconds = (await getBlockHistory())
+        .filter(event => event.outcome === 'ignored' && event.resolvedAt >= todayStart)
+        .reduce((total, event) => total + Math.min(passSeconds, (Date.now() - event.resolvedAt) / 1000), 0);
+
+    return Math.round((budgetSeconds + ignoredSeconds) / 60);
+}
+
+/**
+ * Decide if the message of a block is read out
+ * With "once per site per hour" a site stays quiet for TTS_REPEAT_MINUTES
+ * after it was last read out.
+ */
+async function shouldSpeakBlock(group, url, tts) {
+    if (!await getTTSEnabled(group)) {
+        return false;
+    }
+
+    if (!tts.oncePerSitePerHour) {
+        return true;
+    }
+
+    const now = Date.now();
+    const host = getBlockEventHost(url);
+    const { ttsSpokenAt = {} } = await chrome.storage.local.get(['ttsSpokenAt']);
+
+    Object.keys(ttsSpokenAt).forEach(key => {
+        if (now - ttsSpokenAt[key] >= TTS_REPEAT_MINUTES * 60 * 1000) {
+            delete ttsSpokenAt[key];
+        }
+    });
+
+    const quiet = ttsSpokenAt[host] !== undefined;
+    if (!quiet) {
+        ttsSpokenAt[host] = now;
+    }
+
+    await chrome.storage.local.set({ ttsSpokenAt });
+    return !quiet;
+}
+
+/**
+ * Read a message out with chrome.tts after the configured delay
+ */
+function speakWithChromeTTS(message, tts) {
+    setTimeout(() => {
+        try {
+            chrome.tts.speak(message, getChromeTTSOptions(tts));
+        } catch (error) {
+            console.error('Despair Blocker: chrome.tts error:', error);
+        }
+    }, tts.delaySeconds * 1000);
+}
+
+/**
+ * Check if TTS is enabled for a group, or globally
+ */
+async function getTTSEnabled(group = null) {
+    try {
+        if (group) {
+            return group.enableTTS;
+        }
+
+        const { config } = await chrome.storage.sync.get(['config']);
+        return getConfigSetting(config, 'enableTTS');
+    } catch (error) {
+        console.error('Despair Blocker: TTS check error:', error);
+        return getDefaultConfig().enableTTS;
+    }
+}
+
+/**
+ * Listen for messages from options page, popup, content scripts and the blocked page
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    handleMessage(request, sender)
+        .then(sendResponse)
+        .catch((error) => {
+            console.error('Despair Blocker: Message handling error:', error);
+            sendResponse({ success: false, error: error.message });
+        });
+
+    // Return true to indicate we'll send a response asynchronously
+    return true;
+});
+
+/**
+ * Handle a runtime message and resolve with the response
+ */
+async function handleMessage(request, sender) {
+    if (request.action === 'updateSchedule') {
+        await setupBlockingSchedule();
+        return { success: true };
+    }
+
+    if (request.action === 'userIgnoredBlock') {
+        chrome.tts.stop();
+
+        // Track ignored blocks for analytics
+        console.log('User ignored block on:', request.url, 'at', new Date(request.timestamp));
+
+        // Store ignored block data
+        try {
+            const { ignoredBlocks = [] } = await chrome.storage.local.get(['ignoredBlocks']);
+            ignoredBlocks.push({
+                url: request.url,
+                timestamp: request.timestamp,
+                date: new Date(request.timestamp).toISOString(),
+                // { type, outcome: 'passed' | 'abandoned', attempts, reason, via: 'escape' }
+                challenge: request.challenge || null
+            });
+
+            // Keep only last 100 ignored blocks to prevent storage bloat
+            if (ignoredBlocks.length > 100) {
+                ignoredBlocks.splice(0, ignoredBlocks.length - 100);
+            }
+
+            await chrome.storage.local.set({ ignoredBlocks });
+
+            // An abandoned challenge leaves the block open
+            if (request.eventId && request.challenge?.outcome !== 'abandoned') {
+                await closeBlockEvent(request.eventId, 'ignored');
+            }
+        } catch (storageError) {
+            console.error('Error storing ignored block data:', storageError);
+        }
+
+        return { success: true };
+    }
+
+    if (request.action === 'blockOutcome') {
+        // Overlay reporting how a block ended, e.g. "Go Back to Work"
+        chrome.tts.stop();
+        await closeBlockEvent(request.eventId, request.outcome);
+        return { success: true };
+    }
+
+    if (request.action === 'urlChanged') {
+        // Handle URL changes from content script
+        if (sender.tab?.active) {
+            await startBudgetSession(sender.tab.id, request.url);
+        }
+
+        const shouldBlock = await shouldBlockCurrentSite(request.url);
+
+        if (shouldBlock && sender.tab) {
+            setTimeout(() => injectBlockPage(sender.tab.id, request.url), 500);
+        }
+
+        return { success: true };
+    }
+
+    if (request.action === 'tabVisible') {
+        // Handle tab becoming visible, its site may have a budget to count
+        if (sender.tab) {
+            await startBudgetSession(sender.tab.id, request.url);
+        }
+
+        const shouldBlock = await shouldBlockCurrentSite(request.url);
+
+        if (shouldBlock && sender.tab) {
+            setTimeout(() => injectBlockPage(sender.tab.id, request.url), 100);
+        }
+
+        return { success: true };
+    }
+
+    if (request.action === 'tabHidden') {
+        // Tab or window lost focus, stop counting its budget time
+        const { budgetSession } = await chrome.storage.session.get(['budgetSession']);
+
+        if (sender.tab && budgetSession?.tabId === sender.tab.id) {
+            await stopBudgetSession();
+        }
+
+        return { success: true };
+    }
+
+    if (request.action === 'snoozeBlocking') {
+        const snoozedUntil = await snoozeBlocking(request.minutes, request.untilWindowEnd);
+        return snoozedUntil
+            ? { success: true, snoozedUntil }
+            : { success: false, error: 'Blocking cannot be snoozed right now' };
+    }
+
+    if (request.action === 'resumeBlocking') {
+        await endSnooze();
+        return { success: true };
+    }
+
+    if (request.action === 'startFocusSession') {
+        return { success: true, focusSession: await startFocusSession() };
+    }
+
+    if (request.action === 'stopFocusSession') {
+        const { config } = await chrome.storage.sync.get(['config']);
+        if (await isConfigLocked(config)) {
+            return { success: false, error: 'Hard mode is on: the focus session cannot be stopped early' };
+        }
+
+        await stopFocusSession();
+        return { success: true };
+    }
+
+    if (request.action === 'saveConfig') {
+        return saveConfig(request.config);
+    }
+
+    if (request.action === 'getBudgetStatus') {
+        return { success: true, budget: await getBudgetStatus(request.url) };
+    }
+
+    if (request.action === 'ping' || request.action === 'pageLoaded') {
+        // Content script checking that the extension context is alive
+        return { success: true };
+    }
+
+    if (request.action === 'getBlockStatus') {
+        // Whether a URL is blocked right now, without showing or recording a block
+        return { success: true, blocked: await shouldBlockCurrentSite(request.url) };
+    }
+
+    if (request.action === 'getBlockDetails') {
+        // Blocked page asking what to show for the original URL
+        return { success: true, details: await getBlockDetails(request.url, sender.tab?.id) };
+    }
+
+    if (request.action === 'grantTemporaryPass') {
+        const { config } = await chrome.storage.sync.get(['config']);
+        if (await isConfigLocked(config)) {
+            return { success: false, error: 'Hard mode is on' };
+        }
+
+        const expiresAt = await grantTemporaryPass(request.url);
+        return { success: true, expiresAt };
+    }
+
+    if (request.action === 'getTemporaryPasses') {
+        const passes = Object.entries(await getActivePasses())
+            .map(([host, expiresAt]) => ({ host, expiresAt }))
+            .sort((a, b) => a.expiresAt - b.expiresAt);
+        return { success: true, passes };
+    }
+
+    if (request.action === 'revokeTemporaryPass') {
+        await revokeTemporaryPass(request.host);
+        return { success: true };
+    }
+
+    return { success: false, error: `Unknown action: ${request.action}` };
+}
 
 /**
  * Handle extension action click (when no popup is defined)
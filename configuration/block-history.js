@@ -0,0 +1,325 @@
+/**
+ * Block History for Despair Blocker
+ * Every block shown is stored as an event in chrome.storage.local:
+ *
+ *   { id, url, host, rule, group, timestamp, outcome, resolvedAt }
+ *
+ * outcome starts as null and becomes 'wentBack', 'ignored' or 'closedTab'
+ * once the user decides. The background worker records events, the
+ * dashboard summarizes them and the options page exports and imports them.
+ */
+
+const BLOCK_HISTORY_KEY = 'blockHistory';
+
+// Days of block events kept in local storage
+const BLOCK_HISTORY_DAYS = 90;
+
+const BLOCK_OUTCOMES = ['wentBack', 'ignored', 'closedTab'];
+
+// Columns of the CSV export, in order
+const BLOCK_HISTORY_CSV_COLUMNS = ['id', 'date', 'timestamp', 'url', 'host', 'rule', 'group', 'outcome', 'resolvedAt'];
+
+/**
+ * Get every stored block event, oldest first
+ */
+async function getBlockHistory() {
+    const result = await chrome.storage.local.get([BLOCK_HISTORY_KEY]);
+    return Array.isArray(result[BLOCK_HISTORY_KEY]) ? result[BLOCK_HISTORY_KEY] : [];
+}
+
+/**
+ * Store a new block event and drop events older than BLOCK_HISTORY_DAYS
+ * Returns the stored event with its id
+ */
+async function addBlockEvent({ url, rule, group, timestamp = Date.now() }) {
+    const cutoff = timestamp - BLOCK_HISTORY_DAYS * 24 * 60 * 60 * 1000;
+    const history = (await getBlockHistory()).filter(event => event.timestamp >= cutoff);
+
+    const event = {
+        id: `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        url,
+        host: getBlockEventHost(url),
+        rule: rule || null,
+        group: group || null,
+        timestamp,
+        outcome: null,
+        resolvedAt: null
+    };
+
+    history.push(event);
+    await chrome.storage.local.set({ [BLOCK_HISTORY_KEY]: history });
+
+    return event;
+}
+
+/**
+ * Record how a block ended
+ * Only the first outcome counts, later ones are ignored.
+ * Returns true when the event was updated.
+ */
+async function resolveBlockEvent(id, outcome) {
+    if (!BLOCK_OUTCOMES.includes(outcome)) {
+        return false;
+    }
+
+    const history = await getBlockHistory();
+    const event = history.find(entry => entry.id === id);
+
+    if (!event || event.outcome) {
+        return false;
+    }
+
+    event.outcome = outcome;
+    event.resolvedAt = Date.now();
+    await chrome.storage.local.set({ [BLOCK_HISTORY_KEY]: history });
+
+    return true;
+}
+
+/**
+ * Get the hostname a block event is grouped under
+ */
+function getBlockEventHost(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return url || '';
+    }
+}
+
+/**
+ * Get the local YYYY-MM-DD key of a date or timestamp
+ * Block history days and daily budget usage are both keyed by it
+ */
+function getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Keep the events that happened in the last `days` days, today included
+ */
+function filterRecentBlockEvents(events, days, now = new Date()) {
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - (days - 1));
+
+    return events.filter(event => event.timestamp >= start.getTime());
+}
+
+/**
+ * Count blocks and outcomes per day for the last `days` days, oldest first
+ * Returns [{ day, total, wentBack, ignored, closedTab }]
+ */
+function summarizeBlocksByDay(events, days, now = new Date()) {
+    const summary = [];
+    const byDay = {};
+
+    for (let offset = days - 1; offset >= 0; offset--) {
+        const date = new Date(now);
+        date.setDate(date.getDate() - offset);
+
+        const entry = { day: getDayKey(date.getTime()), total: 0, wentBack: 0, ignored: 0, closedTab: 0 };
+        byDay[entry.day] = entry;
+        summary.push(entry);
+    }
+
+    events.forEach(event => {
+        const entry = byDay[getDayKey(event.timestamp)];
+        if (!entry) {
+            return;
+        }
+
+        entry.total++;
+        if (event.outcome) {
+            entry[event.outcome]++;
+        }
+    });
+
+    return summary;
+}
+
+/**
+ * Count blocks and ignores per host, most blocked first
+ * Returns [{ host, total, ignored }]
+ */
+function summarizeBlocksBySite(events) {
+    const bySite = {};
+
+    events.forEach(event => {
+        const entry = bySite[event.host] || (bySite[event.host] = { host: event.host, total: 0, ignored: 0 });
+        entry.total++;
+        if (event.outcome === 'ignored') {
+            entry.ignored++;
+        }
+    });
+
+    return Object.values(bySite).sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Count blocks per hour of the day (index 0 = midnight to 1am)
+ */
+function summarizeBlocksByHour(events) {
+    const hours = new Array(24).fill(0);
+
+    events.forEach(event => {
+        hours[new Date(event.timestamp).getHours()]++;
+    });
+
+    return hours;
+}
+
+/**
+ * Get the share of blocks that were ignored, between 0 and 1
+ * Returns null when there are no blocks
+ */
+function getIgnoreRate(events) {
+    if (events.length === 0) {
+        return null;
+    }
+
+    return events.filter(event => event.outcome === 'ignored').length / events.length;
+}
+
+/**
+ * Keep the events between two YYYY-MM-DD days, both included
+ * A missing day leaves that side of the range open
+ */
+function filterBlockEventsByDate(events, fromDay, toDay) {
+    return events.filter(event => {
+        const day = getDayKey(event.timestamp);
+        return (!fromDay || day >= fromDay) && (!toDay || day <= toDay);
+    });
+}
+
+/**
+ * Check an imported event and bring it into the stored shape
+ * Returns null when the event cannot be used
+ */
+function normalizeBlockEvent(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return null;
+    }
+
+    const timestamp = Number(raw.timestamp);
+    if (!Number.isFinite(timestamp) || timestamp <= 0 || typeof raw.url !== 'string' || !raw.url) {
+        return null;
+    }
+
+    const resolvedAt = Number(raw.resolvedAt);
+
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        url: raw.url,
+        host: getBlockEventHost(raw.url),
+        rule: typeof raw.rule === 'string' && raw.rule ? raw.rule : null,
+        group: typeof raw.group === 'string' && raw.group ? raw.group : null,
+        timestamp,
+        outcome: BLOCK_OUTCOMES.includes(raw.outcome) ? raw.outcome : null,
+        resolvedAt: Number.isFinite(resolvedAt) && resolvedAt > 0 ? resolvedAt : null
+    };
+}
+
+/**
+ * Merge imported events into the stored history
+ * Events already stored (same id) are skipped, so importing twice is harmless.
+ * Returns { added, skipped }
+ */
+async function importBlockEvents(rawEvents) {
+    const cutoff = Date.now() - BLOCK_HISTORY_DAYS * 24 * 60 * 60 * 1000;
+    const history = await getBlockHistory();
+    const knownIds = new Set(history.map(event => event.id));
+    let skipped = 0;
+
+    rawEvents.forEach(raw => {
+        const event = normalizeBlockEvent(raw);
+
+        if (!event || knownIds.has(event.id) || event.timestamp < cutoff) {
+            skipped++;
+            return;
+        }
+
+        knownIds.add(event.id);
+        history.push(event);
+    });
+
+    history.sort((a, b) => a.timestamp - b.timestamp);
+    await chrome.storage.local.set({ [BLOCK_HISTORY_KEY]: history });
+
+    return { added: rawEvents.length - skipped, skipped };
+}
+
+/**
+ * Turn events into CSV with a header row
+ */
+function formatBlockHistoryCsv(events) {
+    const escapeField = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = events.map(event => BLOCK_HISTORY_CSV_COLUMNS.map(column => {
+        if (column === 'date') {
+            return escapeField(new Date(event.timestamp).toISOString());
+        }
+        return escapeField(event[column]);
+    }).join(','));
+
+    return [BLOCK_HISTORY_CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Read events back from CSV written by formatBlockHistoryCsv
+ * Columns are matched by their header, so reordered spreadsheets still import
+ */
+function parseBlockHistoryCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+    const columns = header.map(name => name.trim());
+
+    return records.map(cells => Object.fromEntries(
+        columns.map((column, index) => [column, cells[index] === '' ? null : cells[index]])
+    ));
+}
@@ -0,0 +1,642 @@
+/**
+ * Block Page Renderer for Despair Blocker
+ * Injected into blocked pages by the background worker and also used by
+ * the extension-hosted blocked page and the test blocks and theme preview
+ * of the popup and options page, so all of them share one visual design.
+ * Only function declarations live here because the file can be injected
+ * into the same page more than once. Requires speech.js and themes.js.
+ */
+
+/**
+ * Render the despair overlay
+ * Uses Shadow DOM for complete isolation from page CSP and React
+ *
+ * details.message       despair message to show
+ * details.enableTTS     speak the message aloud
+ * details.tts           voice settings from getTTSSettings (speech.js)
+ * details.theme         look and wording from getBlockTheme (themes.js), Despair when missing
+ * details.url           URL that was blocked
+ * details.rule          site rule that matched
+ * details.group         name of the rule group that matched
+ * details.budgetMinutes daily budget that has been used up (null = no budget)
+ * details.windowEndsAt  timestamp when the blocking window ends (null = no end)
+ * details.hardMode      hard mode lock is on, there is no way to ignore the block
+ * details.eventId       block history event this block is recorded as
+ * details.challenge     unlock challenge in front of "Ignore" ({ type, seconds, minReasonLength })
+ * details.scorecard     streak and today's score shown in the footer
+ * details.standalone    rendering on the extension blocked page instead of the site
+ * details.mode          'test' for a test block both buttons close, 'preview' for
+ *                       a still picture inside details.container
+ */
+function blockPage(details) {
+    const { message, enableTTS, tts, url, rule, group, budgetMinutes, windowEndsAt, hardMode, challenge, eventId, scorecard, standalone, mode, container } = details;
+    const challengeType = challenge?.type || 'none';
+    const theme = details.theme || getBlockTheme(null);
+    const isBlock = !mode;
+    const hostId = isBlock ? 'despair-blocker-overlay' : 'despair-blocker-test-overlay';
+
+    // Prevent multiple injections
+    if (mode !== 'preview' && document.getElementById(hostId)) {
+        if (isBlock) {
+            return;
+        }
+        document.getElementById(hostId).remove();
+    }
+
+    // A fresh block has not been dismissed yet
+    if (isBlock) {
+        delete document.documentElement.dataset.despairDismissed;
+    }
+
+    // Create shadow host
+    const shadowHost = document.createElement('div');
+    if (mode !== 'preview') {
+        shadowHost.id = hostId;
+    }
+    if (hardMode && isBlock) {
+        // Tells the content script to leave this overlay alone
+        shadowHost.dataset.hardMode = 'true';
+    }
+    shadowHost.style.cssText = mode === 'preview' ? `
+    position: absolute !important;
+    inset: 0 !important;
+  ` : `
+    position: fixed !important;
+    top: 0 !important;
+    left: 0 !important;
+    width: 100vw !important;
+    height: 100vh !important;
+    z-index: 2147483647 !important;
+    pointer-events: auto !important;
+  `;
+
+    // Create shadow root for complete isolation
+    const shadowRoot = shadowHost.attachShadow({ mode: 'closed' });
+
+    // Create overlay container
+    const overlayContainer = document.createElement('div');
+    overlayContainer.style.cssText = `
+    position: ${mode === 'preview' ? 'absolute' : 'fixed'};
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: ${theme.background};
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    ${mode === 'preview' ? '' : 'animation: despairFadeIn 1s ease-out;'}
+  `;
+
+    // Create main container
+    const despairContainer = document.createElement('div');
+    despairContainer.style.cssText = `
+    text-align: center;
+    max-width: 600px;
+    padding: 40px;
+    background: ${theme.panel};
+    border-radius: 20px;
+    border: 2px solid ${theme.accent};
+    box-shadow: 0 20px 60px ${getThemeColor(theme.accent, 0.3)};
+    ${theme.animated ? 'animation: despairPulse 2s ease-in-out infinite;' : ''}
+    position: relative;
+  `;
+
+    // Create skull element
+    const skull = document.createElement('div');
+    skull.textContent = theme.icon;
+    skull.style.cssText = `
+    font-size: 4rem;
+    margin-bottom: 20px;
+    ${theme.animated ? 'animation: despairFloat 3s ease-in-out infinite;' : ''}
+  `;
+
+    // Create title
+    const title = document.createElement('h1');
+    title.textContent = mode === 'test' ? `TEST: ${theme.title}` : theme.title;
+    title.style.cssText = `
+    color: ${theme.accent};
+    font-size: 2.5rem;
+    font-weight: bold;
+    margin: 0 0 30px 0;
+    ${theme.animated ? `text-shadow: 0 0 20px ${getThemeColor(theme.accent, 0.5)};` : ''}
+    letter-spacing: 2px;
+  `;
+
+    // Create message
+    const messageDiv = document.createElement('div');
+    messageDiv.textContent = message;
+    messageDiv.style.cssText = `
+    color: ${theme.text};
+    font-size: 1.2rem;
+    line-height: 1.6;
+    margin-bottom: 40px;
+    padding: 20px;
+    background: ${getThemeColor(theme.accent, 0.1)};
+    border-radius: 10px;
+    border-left: 4px solid ${theme.accent};
+  `;
+
+    // Create block details (blocked URL, matched rule and window end)
+    const infoDiv = document.createElement('div');
+    infoDiv.style.cssText = `
+    color: ${theme.muted};
+    font-size: 0.85rem;
+    line-height: 1.6;
+    margin: -20px 0 30px 0;
+    word-break: break-all;
+  `;
+
+    const infoLines = [];
+    if (standalone && url) {
+        infoLines.push(`Blocked: ${url}`);
+    }
+    if (rule) {
+        infoLines.push(group ? `Matched rule: ${rule} (${group})` : `Matched rule: ${rule}`);
+    }
+    if (budgetMinutes) {
+        infoLines.push(`Daily budget of ${budgetMinutes} minutes used up`);
+    }
+    infoLines.push(windowEndsAt
+        ? `Blocking ends at ${new Date(windowEndsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : 'Blocking has no scheduled end');
+
+    infoLines.forEach(line => {
+        const lineDiv = document.createElement('div');
+        lineDiv.textContent = line;
+        infoDiv.appendChild(lineDiv);
+    });
+
+    // Create actions container
+    const actionsDiv = document.createElement('div');
+    actionsDiv.style.cssText = `
+    margin-bottom: 30px;
+  `;
+
+    // Create primary button
+    const primaryBtn = document.createElement('button');
+    primaryBtn.textContent = theme.primaryLabel;
+    primaryBtn.style.cssText = `
+    padding: 15px 30px;
+    margin: 0 10px;
+    border: none;
+    border-radius: 25px;
+    font-size: 1rem;
+    font-weight: bold;
+    cursor: pointer;
+    transition: all 0.3s ease;
+    text-transform: uppercase;
+    letter-spacing: 1px;
+    background: ${theme.buttonBackground};
+    color: ${theme.buttonText};
+    box-shadow: 0 5px 15px ${getThemeColor(theme.accent, 0.4)};
+  `;
+
+    // Create secondary button
+    const secondaryBtn = document.createElement('button');
+    secondaryBtn.textContent = theme.secondaryLabel;
+    secondaryBtn.style.cssText = `
+    padding: 15px 30px;
+    margin: 0 10px;
+    border: 2px solid ${getThemeColor(theme.muted, 0.5)};
+    border-radius: 25px;
+    font-size: 1rem;
+    font-weight: bold;
+    cursor: pointer;
+    transition: all 0.3s ease;
+    text-transform: uppercase;
+    letter-spacing: 1px;
+    background: transparent;
+    color: ${theme.muted};
+  `;
+
+    // Create footer with the streak at stake
+    const footer = document.createElement('div');
+    footer.textContent = theme.footer || (scorecard ? getScorecardFooter(scorecard) : 'Your future self is watching... and judging.');
+    footer.style.cssText = `
+    color: ${theme.muted};
+    font-size: 0.9rem;
+    font-style: italic;
+  `;
+
+    // Add CSS animations
+    const style = document.createElement('style');
+    style.textContent = `
+    @keyframes despairFadeIn {
+      from {
+        opacity: 0;
+        transform: scale(0.8);
+      }
+      to {
+        opacity: 1;
+        transform: scale(1);
+      }
+    }
+    
+    @keyframes despairPulse {
+      0%, 100% {
+        box-shadow: 0 20px 60px ${getThemeColor(theme.accent, 0.3)};
+      }
+      50% {
+        box-shadow: 0 20px 60px ${getThemeColor(theme.accent, 0.5)};
+      }
+    }
+    
+    @keyframes despairFloat {
+      0%, 100% {
+        transform: translateY(0px);
+      }
+      50% {
+        transform: translateY(-10px);
+      }
+    }
+  `;
+
+    // Add hover effects
+    primaryBtn.addEventListener('mouseenter', () => {
+        primaryBtn.style.transform = 'translateY(-2px)';
+        primaryBtn.style.boxShadow = `0 8px 25px ${getThemeColor(theme.accent, 0.6)}`;
+    });
+
+    primaryBtn.addEventListener('mouseleave', () => {
+        primaryBtn.style.transform = 'translateY(0)';
+        primaryBtn.style.boxShadow = `0 5px 15px ${getThemeColor(theme.accent, 0.4)}`;
+    });
+
+    secondaryBtn.addEventListener('mouseenter', () => {
+        secondaryBtn.style.background = getThemeColor(theme.accent, 0.1);
+        secondaryBtn.style.borderColor = theme.accent;
+        secondaryBtn.style.color = theme.accent;
+    });
+
+    secondaryBtn.addEventListener('mouseleave', () => {
+        secondaryBtn.style.background = 'transparent';
+        secondaryBtn.style.borderColor = getThemeColor(theme.muted, 0.5);
+        secondaryBtn.style.color = theme.muted;
+    });
+
+    // Assemble the DOM structure
+    actionsDiv.appendChild(primaryBtn);
+    if (!hardMode) {
+        actionsDiv.appendChild(secondaryBtn);
+    }
+
+    despairContainer.appendChild(skull);
+    despairContainer.appendChild(title);
+    despairContainer.appendChild(messageDiv);
+    despairContainer.appendChild(infoDiv);
+    despairContainer.appendChild(actionsDiv);
+    despairContainer.appendChild(footer);
+
+    overlayContainer.appendChild(despairContainer);
+
+    // Append styles and content to shadow root
+    shadowRoot.appendChild(style);
+    shadowRoot.appendChild(overlayContainer);
+
+    // A preview is a still picture, nothing reacts
+    if (mode === 'preview') {
+        container.appendChild(shadowHost);
+        return;
+    }
+
+    // Insert shadow host into page
+    document.documentElement.appendChild(shadowHost);
+
+    // Text-to-speech if enabled
+    if (enableTTS && 'speechSynthesis' in window) {
+        const ttsSettings = tts || getDefaultTTSSettings();
+        setTimeout(() => {
+            try {
+                speechSynthesis.speak(createSpeechUtterance(message, ttsSettings));
+            } catch (error) {
+                console.log('Despair Blocker: TTS not available');
+            }
+        }, ttsSettings.delaySeconds * 1000);
+    }
+
+    if (mode === 'test') {
+        // Both buttons and Escape just close the test
+        const closeTest = () => {
+            shadowHost.remove();
+            document.removeEventListener('keydown', handleTestKeydown);
+            if ('speechSynthesis' in window) {
+                speechSynthesis.cancel();
+            }
+        };
+        const handleTestKeydown = (event) => {
+            if (event.key === 'Escape') {
+                closeTest();
+            }
+        };
+
+        primaryBtn.addEventListener('click', closeTest);
+        secondaryBtn.addEventListener('click', closeTest);
+        document.addEventListener('keydown', handleTestKeydown);
+        return;
+    }
+
+    // Add event listeners for buttons
+    primaryBtn.addEventListener('click', () => {
+        if (eventId) {
+            try {
+                chrome.runtime.sendMessage({ action: 'blockOutcome', eventId, outcome: 'wentBack' }).catch(() => {
+                    // Ignore errors if background script is not available
+                });
+            } catch (error) {
+                // Ignore messaging errors
+            }
+        }
+
+        try {
+            // Try to go back in history
+            if (window.history.length > 1) {
+                window.history.back();
+            } else {
+                // If no history, try to close tab or redirect to a productive page
+                window.location.href = 'about:blank';
+            }
+        } catch (error) {
+            // Fallback: just remove the overlay
+            shadowHost.remove();
+            document.documentElement.style.overflow = '';
+        }
+    });
+
+    const blockedUrl = url || window.location.href;
+
+    // Log the ignore together with the challenge that was (or was not) beaten
+    const logIgnore = (challengeResult) => {
+        try {
+            chrome.runtime.sendMessage({
+                action: 'userIgnoredBlock',
+                url: blockedUrl,
+                timestamp: Date.now(),
+                eventId,
+                challenge: challengeResult
+            }).catch(() => {
+                // Ignore errors if background script is not available
+            });
+        } catch (error) {
+            // Ignore messaging errors
+        }
+    };
+
+    const unlock = async (challengeResult) => {
+        // Remove the overlay
+        shadowHost.remove();
+        // Restore page scrolling
+        document.documentElement.style.overflow = '';
+        document.documentElement.dataset.despairDismissed = 'true';
+        document.removeEventListener('keydown', handleKeydown);
+
+        logIgnore(challengeResult);
+
+        // Keep the site open for a while under a temporary pass
+        try {
+            await chrome.runtime.sendMessage({ action: 'grantTemporaryPass', url: blockedUrl });
+        } catch (error) {
+            // Navigate anyway, the page will simply be blocked again
+        }
+
+        // On the blocked page, return to the original URL
+        if (standalone) {
+            window.location.replace(blockedUrl);
+        }
+    };
+
+    secondaryBtn.addEventListener('click', () => {
+        if (challengeType === 'none') {
+            unlock({ type: 'none', outcome: 'passed', attempts: 1 });
+            return;
+        }
+
+        const challengeDiv = createUnlockChallenge(challenge, message, {
+            onPassed: (result) => unlock({ type: challengeType, outcome: 'passed', ...result }),
+            onAbandoned: (result) => {
+                logIgnore({ type: challengeType, outcome: 'abandoned', ...result });
+                challengeDiv.replaceWith(actionsDiv);
+            }
+        }, theme);
+
+        actionsDiv.replaceWith(challengeDiv);
+    });
+
+    // Hide original page content
+    document.documentElement.style.overflow = 'hidden';
+
+    // Add keyboard support (ESC ignores the block like the button does)
+    const handleKeydown = (event) => {
+        if (event.key === 'Escape' && !standalone && !hardMode && challengeType === 'none') {
+            unlock({ type: 'none', outcome: 'passed', attempts: 1, via: 'escape' });
+        }
+    };
+
+    document.addEventListener('keydown', handleKeydown);
+
+    // Auto-remove on page unload
+    window.addEventListener('beforeunload', () => {
+        if (shadowHost.parentNode) {
+            shadowHost.remove();
+        }
+        document.documentElement.style.overflow = '';
+    });
+}
+
+/**
+ * Describe the streak and today's score for the overlay footer
+ */
+function getScorecardFooter({ streak, resistedToday, gaveInToday }) {
+    const today = `Today: resisted ${resistedToday}, gave in ${gaveInToday}.`;
+
+    if (streak > 0) {
+        return `🔥 ${streak}-day streak without giving in. ${today} Don't break it now.`;
+    }
+
+    return `No streak yet. ${today} Your future self is watching... and judging.`;
+}
+
+/**
+ * Build the unlock challenge shown in place of the overlay buttons
+ * Calls callbacks.onPassed or callbacks.onAbandoned with { attempts, reason }
+ */
+function createUnlockChallenge(challenge, message, callbacks, theme) {
+    const container = document.createElement('div');
+    container.style.cssText = `
+    margin-bottom: 30px;
+    color: ${theme.text};
+  `;
+
+    const prompt = document.createElement('p');
+    prompt.style.cssText = `
+    margin: 0 0 15px 0;
+    font-size: 1rem;
+  `;
+
+    const input = document.createElement(challenge.type === 'arithmetic' ? 'input' : 'textarea');
+    input.style.cssText = `
+    width: 100%;
+    box-sizing: border-box;
+    padding: 10px;
+    margin-bottom: 10px;
+    border: 2px solid ${getThemeColor(theme.muted, 0.5)};
+    border-radius: 10px;
+    background: transparent;
+    color: ${theme.text};
+    font-family: inherit;
+    font-size: 1rem;
+  `;
+
+    const hint = document.createElement('div');
+    hint.style.cssText = `
+    color: ${theme.muted};
+    font-size: 0.85rem;
+    min-height: 1.2em;
+    margin-bottom: 15px;
+  `;
+
+    const buttonStyle = `
+    padding: 12px 25px;
+    margin: 0 10px;
+    border: 2px solid ${getThemeColor(theme.muted, 0.5)};
+    border-radius: 25px;
+    font-size: 0.9rem;
+    font-weight: bold;
+    cursor: pointer;
+    text-transform: uppercase;
+    letter-spacing: 1px;
+    background: transparent;
+    color: ${theme.muted};
+  `;
+
+    const continueBtn = document.createElement('button');
+    continueBtn.textContent = 'Unlock Anyway';
+    continueBtn.style.cssText = buttonStyle;
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Never Mind';
+    cancelBtn.style.cssText = buttonStyle;
+
+    let attempts = 0;
+    let timer = null;
+    let check = () => true;
+
+    if (challenge.type === 'countdown') {
+        // Only counts down while the tab is actually looked at
+        let secondsLeft = challenge.seconds;
+        const ignores = challenge.ignoresToday || 0;
+
+        prompt.textContent = ignores > 0
+            ? `You already ignored your future self ${ignores} ${ignores === 1 ? 'time' : 'times'} today. Sit with that for a moment.`
+            : 'Sit with your decision for a moment.';
+        input.hidden = true;
+        continueBtn.disabled = true;
+
+        const tick = () => {
+            if (secondsLeft <= 0) {
+                clearInterval(timer);
+                hint.textContent = 'Still sure?';
+                continueBtn.disabled = false;
+                return;
+            }
+
+            hint.textContent = `Wait ${secondsLeft} seconds...`;
+            if (document.visibilityState === 'visible') {
+                secondsLeft--;
+            }
+        };
+
+        tick();
+        timer = setInterval(tick, 1000);
+    }
+
+    if (challenge.type === 'typeMessage') {
+        prompt.textContent = 'Type the message from your future self above, exactly as written.';
+        input.rows = 4;
+        input.addEventListener('paste', (event) => event.preventDefault());
+        check = () => input.value === message;
+    }
+
+    if (challenge.type === 'arithmetic') {
+        const a = 12 + Math.floor(Math.random() * 88);
+        const b = 3 + Math.floor(Math.random() * 7);
+        const c = 10 + Math.floor(Math.random() * 90);
+
+        prompt.textContent = `Solve this first: ${a} × ${b} + ${c} = ?`;
+        input.type = 'text';
+        input.inputMode = 'numeric';
+        check = () => parseInt(input.value.trim(), 10) === a * b + c;
+    }
+
+    if (challenge.type === 'reason') {
+        const minLength = challenge.minReasonLength;
+
+        prompt.textContent = `Explain to your future self why this can't wait (at least ${minLength} characters).`;
+        input.rows = 4;
+
+        const updateCount = () => {
+            const length = input.value.trim().length;
+            hint.textContent = `${length} / ${minLength} characters`;
+            continueBtn.disabled = length < minLength;
+        };
+
+        input.addEventListener('input', updateCount);
+        updateCount();
+        check = () => input.value.trim().length >= minLength;
+    }
+
+    continueBtn.addEventListener('click', () => {
+        attempts++;
+
+        if (!check()) {
+            hint.textContent = challenge.type === 'arithmetic'
+                ? 'Wrong answer. Try again.'
+                : 'Not quite. It has to match exactly.';
+            return;
+        }
+
+        clearInterval(timer);
+        callbacks.onPassed({
+            attempts,
+            reason: challenge.type === 'reason' ? input.value.trim() : undefined
+        });
+    });
+
+    cancelBtn.addEventListener('click', () => {
+        clearInterval(timer);
+        callbacks.onAbandoned({ attempts });
+    });
+
+    container.appendChild(prompt);
+    container.appendChild(input);
+    container.appendChild(hint);
+    container.appendChild(cancelBtn);
+    container.appendChild(continueBtn);
+
+    // Give the page's keyboard shortcuts no chance to steal the typing
+    input.addEventListener('keydown', (event) => event.stopPropagation());
+
+    return container;
+}
+
+/**
+ * Remove the despair overlay once the page is no longer blocked
+ * Returns true when an overlay was removed
+ */
+function unblockPage() {
+    const shadowHost = document.getElementById('despair-blocker-overlay');
+    if (!shadowHost) {
+        return false;
+    }
+
+    shadowHost.remove();
+    document.documentElement.style.overflow = '';
+
+    // Stop a message that is still being read out
+    if ('speechSynthesis' in window) {
+        speechSynthesis.cancel();
+    }
+
+    return true;
+}
@@ -0,0 +1,580 @@
+/**
+ * Configuration for Despair Blocker
+ * The one place that knows what chrome.storage.sync.config looks like.
+ * CONFIG_SCHEMA lists every setting with its type and limits, and drives:
+ *
+ *   getDefaultConfig()            a fresh config for new installations
+ *   normalizeConfig(config)       a complete config, invalid values replaced by defaults
+ *   validateConfig(config)        [{ path: 'groups[1].sites[0]', message }], empty when valid
+ *                                 (a config too big for chrome.storage.sync is invalid too)
+ *   getConfigSetting(config, key) one setting, always valid
+ *
+ * schemaVersion is stamped on new configs and raised by migrations.js.
+ * Loaded by the background worker, the popup and the options page.
+ * Requires site-rules.js, schedule.js, groups.js, message-templates.js,
+ * message-rotation.js, speech.js and themes.js.
+ */
+
+// Shape of the config written by this version, see migrations.js
+const CONFIG_SCHEMA_VERSION = 2;
+
+// chrome.storage.sync quota of one item, the whole config is stored as one
+const CONFIG_MAX_BYTES = 8192;
+
+// Supported ways of enforcing a block
+const BLOCKING_MODES = ['overlay', 'network'];
+
+// Friction put in front of the "Ignore" button on the overlay
+const UNLOCK_CHALLENGE_TYPES = ['none', 'countdown', 'typeMessage', 'arithmetic', 'reason'];
+
+// Allowed ranges for the unlock challenge numbers
+const UNLOCK_CHALLENGE_LIMITS = {
+    countdownSeconds: { min: 0, max: 600 },
+    countdownStepSeconds: { min: 0, max: 600 },
+    minReasonLength: { min: 10, max: 500 },
+    passMinutes: { min: 1, max: 120 }
+};
+
+// Every setting with its type, checked in this order
+// Groups come after schedule and enableTTS, message settings after message packs,
+// because they fall back to or refer to those.
+const CONFIG_SCHEMA = {
+    blockedSites: { type: 'siteList' },
+    allowedSites: { type: 'siteList' },
+    schedule: { type: 'schedule' },
+    despairMessages: { type: 'messageList', minItems: 1, minLength: 10 },
+    enableTTS: { type: 'boolean' },
+    tts: { type: 'tts' },
+    theme: { type: 'theme' },
+    messageRotation: { type: 'enum', values: MESSAGE_ROTATIONS },
+    messagePacks: { type: 'messagePacks' },
+    messageSettings: { type: 'messageSettings' },
+    deadline: { type: 'date' },
+    groups: { type: 'groups' },
+    siteBudgets: { type: 'siteBudgets' },
+    focus: {
+        type: 'object',
+        fields: {
+            workMinutes: { type: 'integer', min: 1, max: 240 },
+            breakMinutes: { type: 'integer', min: 1, max: 120 },
+            focusSites: { type: 'siteList' }
+        }
+    },
+    blockingMode: { type: 'enum', values: BLOCKING_MODES },
+    unlockChallenge: {
+        type: 'object',
+        fields: {
+            type: { type: 'enum', values: UNLOCK_CHALLENGE_TYPES },
+            ...Object.fromEntries(Object.entries(UNLOCK_CHALLENGE_LIMITS).map(([key, limits]) =>
+                [key, { type: 'integer', ...limits }]
+            ))
+        }
+    },
+    hardMode: { type: 'boolean' }
+};
+
+/**
+ * Get default configuration for new installations
+ */
+function getDefaultConfig() {
+    return {
+        schemaVersion: CONFIG_SCHEMA_VERSION,
+        blockedSites: [
+            '*.youtube.com',
+            '*.facebook.com',
+            '*.twitter.com',
+            '*.instagram.com',
+            '*.reddit.com',
+            '*.tiktok.com'
+        ],
+        allowedSites: [], // Exceptions that always win over blocked sites
+        schedule: {
+            enabled: true,
+            // Time ranges per weekday (0 = Sunday), 9 to 5 Monday to Friday
+            days: [
+                [],
+                [{ start: '09:00', end: '17:00' }],
+                [{ start: '09:00', end: '17:00' }],
+                [{ start: '09:00', end: '17:00' }],
+                [{ start: '09:00', end: '17:00' }],
+                [{ start: '09:00', end: '17:00' }],
+                []
+            ]
+        },
+        despairMessages: [
+            "Hello from 3 hours from now. I didn't finish the project. I'm tired. I have to ask for an extension. All because you needed to watch one... more... cat video. Close this tab and go back to work.",
+            "It's me from the future. I'm sitting here at 11 PM, stressed and overwhelmed. The deadline is tomorrow and I'm nowhere near done. This could have been avoided if you just stayed focused.",
+            "Future you here. I'm disappointed. We had such good intentions this morning, but here we are again, scrolling mindlessly while our dreams slip away. Please, just close this tab.",
+            "Your future self is crying. Not literally, but emotionally. The presentation is in 2 hours and I'm frantically trying to put something together. Don't let this be our reality."
+        ],
+        enableTTS: true,
+        tts: getDefaultTTSSettings(), // Voice, speed and timing of spoken messages, see speech.js
+        theme: getDefaultThemeSettings(), // Look and wording of the block overlay, see themes.js
+        messageRotation: 'shuffle', // One of MESSAGE_ROTATIONS
+        messagePacks: [], // Imported message packs, see message-packs.js
+        messageSettings: {}, // Per-message settings keyed by message text, e.g. { weight: 3 }
+        deadline: '', // YYYY-MM-DD filled into {deadline} in messages
+        groups: [], // Extra rule groups with their own sites, schedule and messages
+        siteBudgets: {}, // Daily minutes allowed per blocked entry before it is blocked
+        focus: {
+            workMinutes: 25,
+            breakMinutes: 5,
+            focusSites: [] // Stricter list for focus sessions, empty = all blocked sites
+        },
+        blockingMode: 'overlay', // 'overlay' injects into the page, 'network' redirects with declarativeNetRequest
+        unlockChallenge: {
+            type: 'none', // One of UNLOCK_CHALLENGE_TYPES
+            countdownSeconds: 10, // Wait before the first ignore of the day
+            countdownStepSeconds: 15, // Added to the wait for every ignore today
+            minReasonLength: 40, // Characters a written reason needs
+            passMinutes: 5 // How long a site stays open after unlocking
+        },
+        hardMode: false // Refuse weakening changes while a window or focus session is running
+    };
+}
+
+/**
+ * Check if a value is a plain object
+ */
+function isConfigObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get the path of a key below a parent path, quoting keys that are not identifiers
+ */
+function getConfigPath(parent, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${parent}.${key}` : `${parent}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Convert legacy single windows and drop malformed ranges
+ * Falls back to a copy of fallbackSchedule when the schedule is missing
+ */
+function fixSchedule(schedule, fallbackSchedule) {
+    if (!isConfigObject(schedule)) {
+        return JSON.parse(JSON.stringify(fallbackSchedule));
+    }
+
+    const enabled = typeof schedule.enabled === 'boolean'
+        ? schedule.enabled
+        : fallbackSchedule.enabled;
+    const fixed = normalizeSchedule(schedule);
+
+    fixed.enabled = enabled;
+    fixed.days = fixed.days.map(ranges => ranges.filter(range =>
+        isValidTimeString(range.start) && isValidTimeString(range.end) && range.start !== range.end
+    ));
+
+    return fixed;
+}
+
+/**
+ * Bring one value into shape for its schema rule
+ * config is the config being normalized, for rules that depend on other settings
+ */
+function fixConfigValue(value, rule, fallback, config) {
+    switch (rule.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? value : fallback;
+
+        case 'integer':
+            return Number.isInteger(value) && value >= rule.min && value <= rule.max ? value : fallback;
+
+        case 'enum':
+            return rule.values.includes(value) ? value : fallback;
+
+        case 'date':
+            return typeof value === 'string' && (!value || formatMessageDeadline(value)) ? value : fallback;
+
+        case 'siteList':
+            return Array.isArray(value) ? value.filter(site => typeof site === 'string') : fallback;
+
+        case 'messageList': {
+            const messages = Array.isArray(value) ? value.filter(message => typeof message === 'string') : [];
+            return messages.length >= (rule.minItems || 0) ? messages : fallback;
+        }
+
+        case 'object':
+            if (!isConfigObject(value)) {
+                return JSON.parse(JSON.stringify(fallback));
+            }
+            return Object.fromEntries(Object.entries(rule.fields).map(([key, field]) =>
+                [key, fixConfigValue(value[key], field, fallback[key], config)]
+            ));
+
+        case 'schedule':
+            return fixSchedule(value, fallback);
+
+        case 'tts':
+            return getTTSSettings({ tts: value });
+
+        case 'theme': {
+            const theme = isConfigObject(value) ? value : {};
+            const fixed = { ...fallback, ...theme, colors: { ...fallback.colors, ...theme.colors } };
+            return findThemeProblems(fixed).length === 0 ? fixed : fallback;
+        }
+
+        case 'siteBudgets':
+            return isConfigObject(value)
+                ? Object.fromEntries(Object.entries(value).filter(([, minutes]) =>
+                    Number.isInteger(minutes) && minutes > 0 && minutes <= 24 * 60
+                ))
+                : fallback;
+
+        case 'messagePacks':
+            return Array.isArray(value)
+                ? value
+                    .filter(pack => pack && typeof pack.id === 'string' && typeof pack.name === 'string')
+                    .map(pack => ({
+                        ...pack,
+                        author: typeof pack.author === 'string' ? pack.author : '',
+                        language: typeof pack.language === 'string' ? pack.language : '',
+                        enabled: pack.enabled !== false
+                    }))
+                : fallback;
+
+        case 'messageSettings': {
+            if (!isConfigObject(value)) {
+                return fallback;
+            }
+
+            const packs = Array.isArray(config.messagePacks) ? config.messagePacks : [];
+            const fixed = {};
+            Object.entries(value).forEach(([message, settings]) => {
+                if (!isConfigObject(settings)) {
+                    return;
+                }
+
+                const entry = { ...settings };
+                if (entry.weight !== undefined && !(Number.isInteger(entry.weight) && entry.weight >= 0 && entry.weight <= 10)) {
+                    delete entry.weight;
+                }
+                if (entry.conditions !== undefined && findMessageConditionProblems(entry.conditions).length > 0) {
+                    delete entry.conditions;
+                }
+                if (entry.packId !== undefined && !packs.some(pack => pack.id === entry.packId)) {
+                    delete entry.packId;
+                }
+                fixed[message] = entry;
+            });
+            return fixed;
+        }
+
+        case 'groups':
+            return Array.isArray(value)
+                ? value
+                    .filter(group => isConfigObject(group))
+                    .map((group, index) => ({
+                        id: typeof group.id === 'string' && group.id ? group.id : `${createGroupId()}-${index}`,
+                        name: typeof group.name === 'string' && group.name.trim() ? group.name.trim() : `Group ${index + 1}`,
+                        sites: Array.isArray(group.sites) ? group.sites.filter(site => typeof site === 'string') : [],
+                        schedule: fixSchedule(group.schedule, config.schedule),
+                        despairMessages: Array.isArray(group.despairMessages)
+                            ? group.despairMessages.filter(message => typeof message === 'string')
+                            : [],
+                        enableTTS: typeof group.enableTTS === 'boolean' ? group.enableTTS : config.enableTTS
+                    }))
+                : fallback;
+
+        default:
+            throw new Error(`Unknown config type "${rule.type}"`);
+    }
+}
+
+/**
+ * Get a complete configuration
+ * Missing or invalid settings are replaced by their defaults, malformed
+ * entries inside lists are dropped. Unknown keys are kept as they are.
+ */
+function normalizeConfig(config) {
+    const source = isConfigObject(config) ? config : {};
+    const defaults = getDefaultConfig();
+    const normalized = { ...source };
+
+    Object.entries(CONFIG_SCHEMA).forEach(([key, rule]) => {
+        normalized[key] = fixConfigValue(source[key], rule, defaults[key], normalized);
+    });
+
+    return normalized;
+}
+
+/**
+ * Get one setting, replaced by its default when it is invalid
+ */
+function getConfigSetting(config, key) {
+    const rule = CONFIG_SCHEMA[key];
+    if (!rule) {
+        throw new Error(`Unknown setting "${key}"`);
+    }
+
+    const defaults = getDefaultConfig();
+    return fixConfigValue(config?.[key], rule, defaults[key], { ...defaults, ...config });
+}
+
+/**
+ * Check a schedule, reporting problems below path
+ */
+function validateSchedule(schedule, path, errors) {
+    if (!isConfigObject(schedule)) {
+        errors.push({ path, message: 'must be a schedule object' });
+        return;
+    }
+
+    if (typeof schedule.enabled !== 'boolean') {
+        errors.push({ path: `${path}.enabled`, message: 'must be true or false' });
+    }
+
+    if (!Array.isArray(schedule.days) || schedule.days.length !== 7) {
+        errors.push({ path: `${path}.days`, message: 'must list time ranges for all 7 days' });
+        return;
+    }
+
+    schedule.days.forEach((ranges, day) => {
+        const dayPath = `${path}.days[${day}]`;
+        if (!Array.isArray(ranges)) {
+            errors.push({ path: dayPath, message: `must be a list of ${DAY_NAMES[day]} time ranges` });
+            return;
+        }
+
+        ranges.forEach((range, index) => {
+            if (!range || !isValidTimeString(range.start) || !isValidTimeString(range.end)) {
+                errors.push({ path: `${dayPath}[${index}]`, message: 'has an invalid time format' });
+            } else if (range.start === range.end) {
+                errors.push({ path: `${dayPath}[${index}]`, message: 'starts and ends at the same time' });
+            }
+        });
+    });
+
+    findScheduleOverlaps(schedule).forEach(overlap => {
+        errors.push({ path: `${path}.days`, message: `has overlapping windows: ${overlap}` });
+    });
+}
+
+/**
+ * Check a list of messages, reporting problems below path
+ */
+function validateMessageList(messages, rule, path, errors) {
+    if (!Array.isArray(messages)) {
+        errors.push({ path, message: 'must be a list of messages' });
+        return;
+    }
+
+    if (messages.length < (rule.minItems || 0)) {
+        errors.push({ path, message: `needs at least ${rule.minItems} message` });
+    }
+
+    messages.forEach((message, index) => {
+        const messagePath = `${path}[${index}]`;
+        if (typeof message !== 'string' || message.trim().length < (rule.minLength || 0)) {
+            errors.push({ path: messagePath, message: rule.minLength ? `must be text of at least ${rule.minLength} characters` : 'must be text' });
+            return;
+        }
+
+        findUnknownPlaceholders(message).forEach(name => {
+            errors.push({ path: messagePath, message: `uses unknown placeholder {${name}}` });
+        });
+    });
+}
+
+/**
+ * Check one value against its schema rule, adding { path, message } errors
+ * config is the whole config, for rules that refer to other settings
+ */
+function checkConfigValue(value, rule, path, errors, config) {
+    switch (rule.type) {
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push({ path, message: 'must be true or false' });
+            }
+            break;
+
+        case 'integer':
+            if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+                errors.push({ path, message: `must be a whole number from ${rule.min} to ${rule.max}` });
+            }
+            break;
+
+        case 'enum':
+            if (!rule.values.includes(value)) {
+                errors.push({ path, message: `must be one of: ${rule.values.join(', ')}` });
+            }
+            break;
+
+        case 'date':
+            if (typeof value !== 'string' || (value && !formatMessageDeadline(value))) {
+                errors.push({ path, message: 'must be a YYYY-MM-DD date or empty' });
+            }
+            break;
+
+        case 'siteList':
+            if (!Array.isArray(value)) {
+                errors.push({ path, message: 'must be a list of sites' });
+                break;
+            }
+            value.forEach((site, index) => {
+                if (typeof site !== 'string' || !parseSiteRule(site)) {
+                    errors.push({ path: `${path}[${index}]`, message: 'is not a valid site rule' });
+                }
+            });
+            break;
+
+        case 'messageList':
+            validateMessageList(value, rule, path, errors);
+            break;
+
+        case 'object':
+            if (!isConfigObject(value)) {
+                errors.push({ path, message: 'must be an object' });
+                break;
+            }
+            Object.entries(rule.fields).forEach(([key, field]) => {
+                checkConfigValue(value[key], field, getConfigPath(path, key), errors, config);
+            });
+            break;
+
+        case 'schedule':
+            validateSchedule(value, path, errors);
+            break;
+
+        case 'tts':
+            if (!isConfigObject(value)) {
+                errors.push({ path, message: 'must be an object' });
+                break;
+            }
+            Object.entries(getTTSLimits()).forEach(([key, { min, max }]) => {
+                if (typeof value[key] !== 'number' || value[key] < min || value[key] > max) {
+                    errors.push({ path: `${path}.${key}`, message: `must be a number from ${min} to ${max}` });
+                }
+            });
+            ['voice', 'lang'].forEach(key => {
+                if (typeof value[key] !== 'string') {
+                    errors.push({ path: `${path}.${key}`, message: 'must be text' });
+                }
+            });
+            ['oncePerSitePerHour', 'useChromeTTS'].forEach(key => {
+                if (typeof value[key] !== 'boolean') {
+                    errors.push({ path: `${path}.${key}`, message: 'must be true or false' });
+                }
+            });
+            break;
+
+        case 'theme':
+            findThemeProblems(value).forEach(problem => {
+                errors.push({ path, message: problem });
+            });
+            break;
+
+        case 'siteBudgets':
+            if (!isConfigObject(value)) {
+                errors.push({ path, message: 'must be an object' });
+                break;
+            }
+            Object.entries(value).forEach(([site, minutes]) => {
+                if (!Number.isInteger(minutes) || minutes < 1 || minutes > 24 * 60) {
+                    errors.push({ path: getConfigPath(path, site), message: 'must be between 1 and 1440 minutes' });
+                }
+            });
+            break;
+
+        case 'messagePacks':
+            if (!Array.isArray(value)) {
+                errors.push({ path, message: 'must be a list' });
+                break;
+            }
+            value.forEach((pack, index) => {
+                if (typeof pack?.id !== 'string' || typeof pack?.name !== 'string' || !pack.name.trim()) {
+                    errors.push({ path: `${path}[${index}]`, message: 'needs an id and a name' });
+                }
+            });
+            break;
+
+        case 'messageSettings':
+            if (!isConfigObject(value)) {
+                errors.push({ path, message: 'must be an object' });
+                break;
+            }
+            Object.entries(value).forEach(([message, settings]) => {
+                const settingsPath = getConfigPath(path, message);
+                if (!isConfigObject(settings)) {
+                    errors.push({ path: settingsPath, message: 'must be an object' });
+                    return;
+                }
+                if (settings.weight !== undefined && !(Number.isInteger(settings.weight) && settings.weight >= 0 && settings.weight <= 10)) {
+                    errors.push({ path: `${settingsPath}.weight`, message: 'must be a whole number from 0 to 10' });
+                }
+                if (settings.conditions !== undefined) {
+                    findMessageConditionProblems(settings.conditions).forEach(problem => {
+                        errors.push({ path: `${settingsPath}.conditions`, message: problem });
+                    });
+                }
+                if (settings.packId !== undefined && !(Array.isArray(config.messagePacks) && config.messagePacks.some(pack => pack?.id === settings.packId))) {
+                    errors.push({ path: `${settingsPath}.packId`, message: 'refers to a message pack that is not installed' });
+                }
+            });
+            break;
+
+        case 'groups':
+            if (!Array.isArray(value)) {
+                errors.push({ path, message: 'must be a list' });
+                break;
+            }
+            value.forEach((group, index) => {
+                const groupPath = `${path}[${index}]`;
+                if (!isConfigObject(group)) {
+                    errors.push({ path: groupPath, message: 'must be an object' });
+                    return;
+                }
+                if (typeof group.name !== 'string' || !group.name.trim()) {
+                    errors.push({ path: `${groupPath}.name`, message: 'must not be empty' });
+                }
+                checkConfigValue(group.sites, { type: 'siteList' }, `${groupPath}.sites`, errors, config);
+                validateSchedule(group.schedule, `${groupPath}.schedule`, errors);
+                validateMessageList(group.despairMessages, {}, `${groupPath}.despairMessages`, errors);
+                checkConfigValue(group.enableTTS, { type: 'boolean' }, `${groupPath}.enableTTS`, errors, config);
+            });
+            break;
+
+        default:
+            throw new Error(`Unknown config type "${rule.type}"`);
+    }
+}
+
+/**
+ * Check a configuration against CONFIG_SCHEMA
+ * Returns [{ path, message }] in schema order, empty when the config is valid
+ */
+function validateConfig(config) {
+    if (!isConfigObject(config)) {
+        return [{ path: 'config', message: 'must be an object' }];
+    }
+
+    const errors = [];
+    Object.entries(CONFIG_SCHEMA).forEach(([key, rule]) => {
+        checkConfigValue(config[key], rule, key, errors, config);
+    });
+
+    const size = getConfigSize(config);
+    if (size > CONFIG_MAX_BYTES) {
+        errors.push({
+            path: 'config',
+            message: `takes ${(size / 1024).toFixed(1)} KB, Chrome sync stores at most ${CONFIG_MAX_BYTES / 1024} KB. Remove some messages or message packs`
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Get the bytes chrome.storage.sync counts for a config, its key included
+ */
+function getConfigSize(config) {
+    return new TextEncoder().encode(`config${JSON.stringify(config)}`).length;
+}
+
+/**
+ * Format a validation error for the user, e.g. "groups[1].sites[0] is not a valid site rule"
+ */
+function formatConfigError(error) {
+    return `${error.path} ${error.message}`;
+}
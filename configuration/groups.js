@@ -0,0 +1,108 @@
+/**
+ * Rule Groups for Despair Blocker
+ * A group bundles its own sites, schedule, messages and TTS setting:
+ *
+ *   { id: 'streaming', name: 'Streaming', sites: [...], schedule: {...}, despairMessages: [...], enableTTS: true }
+ *
+ * The top-level blockedSites, schedule, despairMessages and enableTTS keep
+ * working as the built-in "General" group. Extra groups live in config.groups.
+ * Requires site-rules.js and schedule.js.
+ */
+
+const GENERAL_GROUP_ID = 'general';
+const FOCUS_GROUP_ID = 'focus';
+
+/**
+ * List every rule group, General first
+ * Groups without messages of their own borrow the General messages
+ */
+function getRuleGroups(config) {
+    if (!config) {
+        return [];
+    }
+
+    const general = {
+        id: GENERAL_GROUP_ID,
+        name: 'General',
+        sites: config.blockedSites || [],
+        schedule: config.schedule,
+        despairMessages: config.despairMessages || [],
+        enableTTS: config.enableTTS !== false
+    };
+
+    const groups = (Array.isArray(config.groups) ? config.groups : []).map(group => ({
+        ...group,
+        sites: Array.isArray(group.sites) ? group.sites : [],
+        despairMessages: Array.isArray(group.despairMessages) && group.despairMessages.length > 0
+            ? group.despairMessages
+            : general.despairMessages,
+        enableTTS: group.enableTTS !== false
+    }));
+
+    return [general, ...groups];
+}
+
+/**
+ * Find the group blocking a URL at the given moment
+ * A site listed in several groups is blocked while any of their schedules is active.
+ * Returns { group, rule } or null when no active group matches.
+ */
+function findActiveGroupRule(config, url, date) {
+    for (const group of getRuleGroups(config)) {
+        const rule = findMatchingSiteRule(group.sites, url);
+        if (rule && isWithinSchedule(group.schedule, date)) {
+            return { group, rule };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * List the groups whose schedule is active at the given moment
+ */
+function getActiveRuleGroups(config, date) {
+    return getRuleGroups(config).filter(group => isWithinSchedule(group.schedule, date));
+}
+
+/**
+ * Get the earliest schedule transition of any group
+ * Returns null when no group schedule ever changes state
+ */
+function getNextGroupsTransition(config, date, type) {
+    const transitions = getRuleGroups(config)
+        .map(group => getNextScheduleTransition(group.schedule, date, type))
+        .filter(time => time !== null);
+
+    return transitions.length > 0 ? Math.min(...transitions) : null;
+}
+
+/**
+ * Build the group enforced during a focus session
+ * Uses the stricter focus list when set, otherwise every configured site.
+ * The session end replaces the schedule.
+ */
+function getFocusGroup(config, session) {
+    const groups = getRuleGroups(config);
+    const focusSites = config?.focus?.focusSites || [];
+    const sites = focusSites.length > 0
+        ? focusSites
+        : [...new Set(groups.flatMap(group => group.sites))];
+
+    return {
+        id: FOCUS_GROUP_ID,
+        name: 'Focus session',
+        sites,
+        schedule: null,
+        endsAt: session.endsAt,
+        despairMessages: groups[0]?.despairMessages || [],
+        enableTTS: groups[0]?.enableTTS !== false
+    };
+}
+
+/**
+ * Create an id for a new group
+ */
+function createGroupId() {
+    return `group-${Date.now().toString(36)}`;
+}
@@ -0,0 +1,126 @@
+/**
+ * Hard Mode for Despair Blocker
+ * While a scheduled blocking window or a focus session is running, hard mode
+ * refuses every change that would let a blocked site through sooner.
+ * Windows of groups without a schedule (always blocking) do not lock,
+ * otherwise hard mode could never be turned off again.
+ * Requires schedule.js and groups.js.
+ */
+
+/**
+ * Check if hard mode currently locks the configuration
+ */
+function isHardModeLocked(config, focusSession, date) {
+    if (!config || !config.hardMode) {
+        return false;
+    }
+
+    if (focusSession && focusSession.phase === 'focus' && focusSession.endsAt > date.getTime()) {
+        return true;
+    }
+
+    return getRuleGroups(config).some(group => {
+        const schedule = normalizeSchedule(group.schedule);
+        return group.sites.length > 0 && schedule && schedule.enabled && isWithinSchedule(schedule, date);
+    });
+}
+
+/**
+ * Mark every minute of the week a schedule blocks
+ * A missing or disabled schedule blocks around the clock
+ */
+function getWeeklyCoverage(schedule) {
+    const normalized = normalizeSchedule(schedule);
+    const alwaysOn = !normalized || !normalized.enabled;
+    const coverage = new Array(MINUTES_PER_WEEK).fill(alwaysOn);
+
+    if (alwaysOn) {
+        return coverage;
+    }
+
+    normalized.days.forEach((ranges, day) => {
+        ranges.forEach(range => {
+            if (!isValidTimeString(range.start) || !isValidTimeString(range.end)) {
+                return;
+            }
+
+            const start = day * MINUTES_PER_DAY + timeStringToMinutes(range.start);
+            const length = (timeStringToMinutes(range.end) - timeStringToMinutes(range.start) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+
+            for (let minute = 0; minute < length; minute++) {
+                coverage[(start + minute) % MINUTES_PER_WEEK] = true;
+            }
+        });
+    });
+
+    return coverage;
+}
+
+/**
+ * List the ways a new configuration would weaken blocking compared to the old one
+ * Returns readable descriptions, empty when nothing gets weaker
+ */
+function findWeakeningChanges(oldConfig, newConfig) {
+    const changes = [];
+
+    if (!oldConfig) {
+        return changes;
+    }
+
+    if (!newConfig) {
+        return ['removing the configuration'];
+    }
+
+    if (oldConfig.hardMode && !newConfig.hardMode) {
+        changes.push('turning off hard mode');
+    }
+
+    // The overlay can be closed from the page, network blocking cannot
+    if (oldConfig.blockingMode === 'network' && newConfig.blockingMode !== 'network') {
+        changes.push('switching from network blocking to the overlay');
+    }
+
+    const newGroups = getRuleGroups(newConfig);
+
+    getRuleGroups(oldConfig).forEach(oldGroup => {
+        const newGroup = newGroups.find(group => group.id === oldGroup.id);
+
+        if (!newGroup) {
+            changes.push(`removing the ${oldGroup.name} group`);
+            return;
+        }
+
+        const removedSites = oldGroup.sites.filter(site => !newGroup.sites.includes(site));
+        if (removedSites.length > 0) {
+            changes.push(`removing ${removedSites.join(', ')} from ${oldGroup.name}`);
+        }
+
+        const newCoverage = getWeeklyCoverage(newGroup.schedule);
+        if (getWeeklyCoverage(oldGroup.schedule).some((blocked, minute) => blocked && !newCoverage[minute])) {
+            changes.push(`shrinking the ${oldGroup.name} schedule`);
+        }
+    });
+
+    const oldAllowed = oldConfig.allowedSites || [];
+    const addedAllowed = (newConfig.allowedSites || []).filter(site => !oldAllowed.includes(site));
+    if (addedAllowed.length > 0) {
+        changes.push(`allowing ${addedAllowed.join(', ')}`);
+    }
+
+    // An empty focus list blocks everything, so only removals from a remaining list count
+    const oldFocusSites = oldConfig.focus?.focusSites || [];
+    const newFocusSites = newConfig.focus?.focusSites || [];
+    const removedFocusSites = oldFocusSites.filter(site => !newFocusSites.includes(site));
+    if (newFocusSites.length > 0 && removedFocusSites.length > 0) {
+        changes.push(`removing ${removedFocusSites.join(', ')} from the focus list`);
+    }
+
+    const oldBudgets = oldConfig.siteBudgets || {};
+    Object.entries(newConfig.siteBudgets || {}).forEach(([site, minutes]) => {
+        if (!oldBudgets[site] || minutes > oldBudgets[site]) {
+            changes.push(`raising the daily budget for ${site}`);
+        }
+    });
+
+    return changes;
+}
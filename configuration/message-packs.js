@@ -0,0 +1,177 @@
+/**
+ * Message Packs for Despair Blocker
+ * A pack is a shareable JSON file of despair messages:
+ *
+ *   { format: 'despair-blocker-message-pack', id: 'exam-season', name: 'Exam Season', author: 'Sam',
+ *     language: 'en', messages: ['Plain message', { text: 'At night', conditions: { timeRanges: [...] } }] }
+ *
+ * Imported messages join the General messages and remember their pack in
+ * config.messageSettings[text].packId. The packs themselves are listed in
+ * config.messagePacks as { id, name, author, language, enabled }.
+ * Requires message-rotation.js.
+ */
+
+const MESSAGE_PACK_FORMAT = 'despair-blocker-message-pack';
+
+/**
+ * Turn a pack name into an id, used when the file does not bring one
+ */
+function createMessagePackId(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'pack';
+}
+
+/**
+ * Check an imported pack file and bring it into shape
+ * Throws an Error naming the first problem found.
+ * Returns { pack: { id, name, author, language }, messages: [{ text, conditions }] }
+ */
+function parseMessagePack(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('A message pack has to be a JSON object');
+    }
+    if (raw.format !== undefined && raw.format !== MESSAGE_PACK_FORMAT) {
+        throw new Error(`Unknown pack format "${raw.format}"`);
+    }
+    if (typeof raw.name !== 'string' || !raw.name.trim()) {
+        throw new Error('The pack needs a name');
+    }
+    if (!Array.isArray(raw.messages) || raw.messages.length === 0) {
+        throw new Error('The pack has no messages');
+    }
+
+    const messages = [];
+    raw.messages.forEach((entry, index) => {
+        const text = typeof entry === 'string' ? entry.trim() : typeof entry?.text === 'string' ? entry.text.trim() : '';
+        if (!text) {
+            throw new Error(`Message ${index + 1} has no text`);
+        }
+
+        const conditions = typeof entry === 'object' ? entry.conditions : undefined;
+        if (conditions !== undefined) {
+            const problems = findMessageConditionProblems(conditions);
+            if (problems.length > 0) {
+                throw new Error(`Conditions of message ${index + 1}: ${problems.join(', ')}`);
+            }
+        }
+
+        if (!messages.some(message => message.text === text)) {
+            messages.push({ text, conditions });
+        }
+    });
+
+    const name = raw.name.trim();
+
+    return {
+        pack: {
+            id: typeof raw.id === 'string' && raw.id.trim() ? createMessagePackId(raw.id) : createMessagePackId(name),
+            name,
+            author: typeof raw.author === 'string' ? raw.author.trim() : '',
+            language: typeof raw.language === 'string' ? raw.language.trim() : ''
+        },
+        messages
+    };
+}
+
+/**
+ * List the messages that came from a pack, in list order
+ */
+function getMessagePackMessages(config, packId) {
+    return (config.despairMessages || []).filter(message => config.messageSettings?.[message]?.packId === packId);
+}
+
+/**
+ * Add a parsed pack to the config, or update the pack with the same id
+ * Messages already in the list are not added twice and stay with whoever
+ * added them, messages dropped from the pack are removed. An updated pack
+ * keeps its enabled state.
+ * Returns { added, removed, updated }
+ */
+function applyMessagePack(config, { pack, messages }) {
+    config.messagePacks = config.messagePacks || [];
+    config.messageSettings = config.messageSettings || {};
+
+    const existing = config.messagePacks.find(entry => entry.id === pack.id);
+    const texts = messages.map(message => message.text);
+
+    const dropped = getMessagePackMessages(config, pack.id).filter(message => !texts.includes(message));
+    config.despairMessages = config.despairMessages.filter(message => !dropped.includes(message));
+    dropped.forEach(message => delete config.messageSettings[message]);
+
+    let added = 0;
+    messages.forEach(({ text, conditions }) => {
+        if (config.despairMessages.includes(text)) {
+            // Messages the user or another pack already has stay theirs
+            if (config.messageSettings[text]?.packId !== pack.id) {
+                return;
+            }
+        } else {
+            config.despairMessages.push(text);
+            added++;
+        }
+
+        const settings = { ...config.messageSettings[text], packId: pack.id };
+        if (conditions) {
+            settings.conditions = conditions;
+        } else {
+            delete settings.conditions;
+        }
+        config.messageSettings[text] = settings;
+    });
+
+    if (existing) {
+        Object.assign(existing, pack);
+    } else {
+        config.messagePacks.push({ ...pack, enabled: true });
+    }
+
+    return { added, removed: dropped.length, updated: Boolean(existing) };
+}
+
+/**
+ * Remove a pack and every message that came from it
+ * Returns the number of messages removed
+ */
+function removeMessagePack(config, packId) {
+    const messages = getMessagePackMessages(config, packId);
+
+    config.despairMessages = config.despairMessages.filter(message => !messages.includes(message));
+    messages.forEach(message => delete config.messageSettings[message]);
+    config.messagePacks = (config.messagePacks || []).filter(pack => pack.id !== packId);
+
+    return messages.length;
+}
+
+/**
+ * Check if a message may be shown, messages of disabled packs may not
+ */
+function isMessagePackEnabled(config, message) {
+    const packId = config?.messageSettings?.[message]?.packId;
+    if (!packId) {
+        return true;
+    }
+
+    const pack = (config.messagePacks || []).find(entry => entry.id === packId);
+    return !pack || pack.enabled !== false;
+}
+
+/**
+ * Build the pack file of an installed pack, with its current messages and conditions
+ */
+function buildMessagePack(config, packId) {
+    const pack = (config.messagePacks || []).find(entry => entry.id === packId);
+    if (!pack) {
+        return null;
+    }
+
+    return {
+        format: MESSAGE_PACK_FORMAT,
+        id: pack.id,
+        name: pack.name,
+        author: pack.author,
+        language: pack.language,
+        messages: getMessagePackMessages(config, packId).map(text => {
+            const conditions = getMessageConditions(config, text);
+            return conditions ? { text, conditions } : text;
+        })
+    };
+}
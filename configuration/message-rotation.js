@@ -0,0 +1,222 @@
+/**
+ * Message Rotation for Despair Blocker
+ * Messages whose conditions do not fit the block are left out first,
+ * then the rotation decides which of the rest is shown next:
+ *
+ *   random      a fresh random pick every time
+ *   shuffle     a shuffled bag, every message once before any repeats
+ *   weighted    random, favouring messages with a higher weight
+ *   escalation  top to bottom, one step harsher with every block of a site today
+ *
+ * Per-message weights and conditions live in config.messageSettings, keyed by message text:
+ *
+ *   { weight: 3, conditions: { sites: ['youtube.com'], groups: ['general'], timeRanges: [{ start: '22:00', end: '06:00' }],
+ *     weekdays: [1], minIgnoresToday: 2 } }
+ *
+ * The background worker keeps the shuffle bags in chrome.storage.local.
+ * Requires site-rules.js and schedule.js.
+ */
+
+const MESSAGE_ROTATIONS = ['random', 'shuffle', 'weighted', 'escalation'];
+
+// Weight of a message without settings of its own
+const DEFAULT_MESSAGE_WEIGHT = 1;
+
+/**
+ * Get the weight of a message
+ */
+function getMessageWeight(config, message) {
+    const weight = config?.messageSettings?.[message]?.weight;
+    return Number.isInteger(weight) && weight >= 0 ? weight : DEFAULT_MESSAGE_WEIGHT;
+}
+
+/**
+ * Pick any message
+ */
+function pickRandomMessage(messages) {
+    return messages[Math.floor(Math.random() * messages.length)];
+}
+
+/**
+ * Pick a message with a chance proportional to its weight
+ * All zero weights fall back to a random pick
+ */
+function pickWeightedMessage(messages, weights) {
+    const candidates = messages
+        .map((message, index) => ({ message, weight: weights[index] }))
+        .filter(candidate => candidate.weight > 0);
+
+    const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+    if (total === 0) {
+        return pickRandomMessage(messages);
+    }
+
+    let roll = Math.random() * total;
+    for (const candidate of candidates) {
+        roll -= candidate.weight;
+        if (roll < 0) {
+            return candidate.message;
+        }
+    }
+
+    return candidates[candidates.length - 1].message;
+}
+
+/**
+ * Take the next message out of a shuffle bag
+ * Refills the bag when it runs empty, without starting on the message just shown.
+ * Returns { message, bag } with the bag left over.
+ */
+function pickFromShuffleBag(messages, bag, last) {
+    // Messages removed since the bag was filled drop out
+    let remaining = (Array.isArray(bag) ? bag : []).filter(message => messages.includes(message));
+
+    if (remaining.length === 0) {
+        remaining = [...messages];
+        for (let i = remaining.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [remaining[i], remaining[j]] = [remaining[j], remaining[i]];
+        }
+
+        if (remaining.length > 1 && remaining[0] === last) {
+            remaining.push(remaining.shift());
+        }
+    }
+
+    const [message, ...rest] = remaining;
+    return { message, bag: rest };
+}
+
+/**
+ * Pick the message for the nth block of a site today
+ * Messages are ordered mildest first, the last one repeats once reached
+ */
+function pickEscalationMessage(messages, blocksToday) {
+    return messages[Math.min(Math.max(blocksToday, 1), messages.length) - 1];
+}
+
+/**
+ * Get the conditions of a message, null when it always applies
+ */
+function getMessageConditions(config, message) {
+    const conditions = config?.messageSettings?.[message]?.conditions;
+    return conditions && typeof conditions === 'object' ? conditions : null;
+}
+
+/**
+ * Check if a message's conditions fit a block
+ * context is { url, groupId, date, ignoresToday }. Sites and groups are
+ * alternatives, every other condition that is set has to hold.
+ */
+function matchesMessageConditions(conditions, context) {
+    if (!conditions) {
+        return true;
+    }
+
+    const sites = conditions.sites || [];
+    const groups = conditions.groups || [];
+    if ((sites.length > 0 || groups.length > 0) &&
+        !(context.url && findMatchingSiteRule(sites, context.url)) &&
+        !groups.includes(context.groupId)) {
+        return false;
+    }
+
+    const weekdays = conditions.weekdays || [];
+    if (weekdays.length > 0 && !weekdays.includes(context.date.getDay())) {
+        return false;
+    }
+
+    const timeRanges = conditions.timeRanges || [];
+    if (timeRanges.length > 0) {
+        const minutes = context.date.getHours() * 60 + context.date.getMinutes();
+        const inRange = timeRanges.some(range => {
+            const start = timeStringToMinutes(range.start);
+            const end = timeStringToMinutes(range.end);
+            return start <= end
+                ? minutes >= start && minutes < end
+                : minutes >= start || minutes < end;
+        });
+
+        if (!inRange) {
+            return false;
+        }
+    }
+
+    return !(conditions.minIgnoresToday > 0 && context.ignoresToday < conditions.minIgnoresToday);
+}
+
+/**
+ * Keep the messages whose conditions fit a block
+ * When none fit, the messages without conditions are used, and failing that all of them
+ */
+function filterMessagesForContext(config, messages, context) {
+    const matching = messages.filter(message => matchesMessageConditions(getMessageConditions(config, message), context));
+    if (matching.length > 0) {
+        return matching;
+    }
+
+    const unconditional = messages.filter(message => !getMessageConditions(config, message));
+    return unconditional.length > 0 ? unconditional : messages;
+}
+
+/**
+ * Describe a message's conditions in a few words, empty when it always applies
+ * groups is the list from getRuleGroups, used to show group names
+ */
+function describeMessageConditions(conditions, groups = []) {
+    if (!conditions) {
+        return '';
+    }
+
+    const parts = [];
+    const targets = [
+        ...(conditions.sites || []),
+        ...(conditions.groups || []).map(id => `${groups.find(group => group.id === id)?.name || id} group`)
+    ];
+
+    if (targets.length > 0) {
+        parts.push(`on ${targets.join(', ')}`);
+    }
+    if ((conditions.timeRanges || []).length > 0) {
+        parts.push(conditions.timeRanges.map(range => formatTimeRange(range)).join(', '));
+    }
+    if ((conditions.weekdays || []).length > 0) {
+        parts.push(conditions.weekdays.map(day => DAY_NAMES[day]).join(', '));
+    }
+    if (conditions.minIgnoresToday > 0) {
+        parts.push(`after ${conditions.minIgnoresToday}+ ignores today`);
+    }
+
+    return parts.join(' · ');
+}
+
+/**
+ * List what is wrong with a message's conditions, empty when they are fine
+ */
+function findMessageConditionProblems(conditions) {
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+        return ['conditions must be an object'];
+    }
+
+    const problems = [];
+    const { sites = [], groups = [], timeRanges = [], weekdays = [], minIgnoresToday = 0 } = conditions;
+
+    if (!Array.isArray(sites) || sites.some(site => !parseSiteRule(site))) {
+        problems.push('sites must be valid site rules');
+    }
+    if (!Array.isArray(groups) || groups.some(group => typeof group !== 'string' || !group)) {
+        problems.push('groups must be group ids');
+    }
+    if (!Array.isArray(timeRanges) || timeRanges.some(range =>
+        !isValidTimeString(range?.start) || !isValidTimeString(range?.end) || range.start === range.end)) {
+        problems.push('time ranges need a start and a different end in HH:MM');
+    }
+    if (!Array.isArray(weekdays) || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        problems.push('weekdays must be numbers from 0 (Sunday) to 6');
+    }
+    if (!Number.isInteger(minIgnoresToday) || minIgnoresToday < 0 || minIgnoresToday > 100) {
+        problems.push('minimum ignores today must be a whole number from 0 to 100');
+    }
+
+    return problems;
+}
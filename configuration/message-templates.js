@@ -0,0 +1,120 @@
+/**
+ * Message Templates for Despair Blocker
+ * Despair messages can hold placeholders that are filled in at block time:
+ *
+ *   "It's {dayOfWeek} and you are on {site} again. {timeLeftInWindow} to go."
+ *
+ * Unknown placeholders stay in the text as written, the options page flags them.
+ */
+
+// Supported placeholders with a description and the value used for previews
+const MESSAGE_VARIABLES = {
+    site: { description: 'the blocked site', sample: 'youtube.com' },
+    timeLeftInWindow: { description: 'time until the blocking window ends', sample: '2 h 15 min' },
+    ignoresToday: { description: 'blocks ignored today', sample: '3' },
+    minutesWastedToday: { description: 'minutes spent on blocked sites today', sample: '47' },
+    deadline: { description: 'your deadline from the settings', sample: 'Friday, October 23 (in 4 days)' },
+    dayOfWeek: { description: 'the day of the week', sample: 'Monday' }
+};
+
+const MESSAGE_PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * List the placeholder names a message uses, without duplicates
+ */
+function findMessagePlaceholders(message) {
+    const names = [...String(message).matchAll(MESSAGE_PLACEHOLDER_PATTERN)].map(match => match[1]);
+    return [...new Set(names)];
+}
+
+/**
+ * List the placeholders of a message that are not in MESSAGE_VARIABLES
+ */
+function findUnknownPlaceholders(message) {
+    return findMessagePlaceholders(message).filter(name => !Object.hasOwn(MESSAGE_VARIABLES, name));
+}
+
+/**
+ * Fill in the placeholders of a message
+ * Placeholders without a value are left as they are
+ */
+function renderMessageTemplate(message, values) {
+    return String(message).replace(MESSAGE_PLACEHOLDER_PATTERN, (placeholder, name) =>
+        Object.hasOwn(MESSAGE_VARIABLES, name) && values[name] !== undefined && values[name] !== null
+            ? String(values[name])
+            : placeholder
+    );
+}
+
+/**
+ * Get the preview value of every placeholder
+ */
+function getSampleMessageValues() {
+    return Object.fromEntries(
+        Object.entries(MESSAGE_VARIABLES).map(([name, variable]) => [name, variable.sample])
+    );
+}
+
+/**
+ * Format a duration in milliseconds as "2 h 15 min"
+ */
+function formatMessageDuration(milliseconds) {
+    const minutes = Math.ceil(milliseconds / 60000);
+
+    if (minutes < 1) {
+        return 'less than a minute';
+    }
+
+    const hours = Math.floor(minutes / 60);
+    if (hours === 0) {
+        return `${minutes} min`;
+    }
+
+    return minutes % 60 === 0 ? `${hours} h` : `${hours} h ${minutes % 60} min`;
+}
+
+/**
+ * Read a YYYY-MM-DD deadline as local midnight
+ * Returns null unless it names a real calendar day
+ */
+function parseMessageDeadline(deadline) {
+    const parts = typeof deadline === 'string' && deadline.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!parts) {
+        return null;
+    }
+
+    // Date rolls days like 2026-02-30 over into the next month
+    const [year, month, day] = parts.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    if (isNaN(date.getTime()) || date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+
+    return date;
+}
+
+/**
+ * Format a YYYY-MM-DD deadline as "Friday, October 23 (in 4 days)"
+ * Returns null when no valid deadline is set
+ */
+function formatMessageDeadline(deadline, now = new Date()) {
+    const date = parseMessageDeadline(deadline);
+    if (!date) {
+        return null;
+    }
+
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+
+    const days = Math.round((date - today) / (24 * 60 * 60 * 1000));
+    const label = date.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' });
+
+    if (days === 0) {
+        return `${label} (today)`;
+    }
+    if (days === 1) {
+        return `${label} (tomorrow)`;
+    }
+
+    return days > 0 ? `${label} (in ${days} days)` : `${label} (${-days} days ago)`;
+}
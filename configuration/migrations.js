@@ -0,0 +1,104 @@
+/**
+ * Config Migrations for Despair Blocker
+ * Stored configs carry a schemaVersion. Every change to the shape of the
+ * config adds a step to CONFIG_MIGRATIONS that lifts a config from the
+ * previous version to its own, and raises CONFIG_SCHEMA_VERSION in config.js.
+ *
+ * Configs saved before versioning have no schemaVersion and count as 0.
+ * The background worker migrates the stored config after an update, the
+ * options page migrates imported files. Steps get a copy and may change it.
+ * Requires site-rules.js and schedule.js.
+ */
+
+// Ordered steps, each one lifting a config to its version
+const CONFIG_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'plain domains keep matching their subdomains',
+        migrate(config) {
+            // allowedSites arrived together with site rules. Before that an entry
+            // matched any host containing it, so youtube.com also blocked m.youtube.com.
+            if (Array.isArray(config.allowedSites)) {
+                return config;
+            }
+
+            config.blockedSites = (Array.isArray(config.blockedSites) ? config.blockedSites : []).map(site => {
+                const rule = parseSiteRule(site);
+                return rule?.type === 'domain' && !rule.includeSubdomains && !rule.path
+                    ? `*.${rule.host}`
+                    : normalizeSiteEntry(site);
+            });
+            config.allowedSites = [];
+
+            return config;
+        }
+    },
+    {
+        version: 2,
+        description: 'single daily windows become per-day time ranges',
+        migrate(config) {
+            const migrateSchedule = schedule =>
+                schedule && typeof schedule === 'object' && !Array.isArray(schedule.days)
+                    ? normalizeSchedule(schedule)
+                    : schedule;
+
+            config.schedule = migrateSchedule(config.schedule);
+            if (Array.isArray(config.groups)) {
+                config.groups.forEach(group => {
+                    if (group && typeof group === 'object') {
+                        group.schedule = migrateSchedule(group.schedule);
+                    }
+                });
+            }
+
+            return config;
+        }
+    }
+];
+
+/**
+ * Get the schema version a config was saved with, 0 before versioning
+ */
+function getConfigSchemaVersion(config) {
+    return Number.isInteger(config?.schemaVersion) ? config.schemaVersion : 0;
+}
+
+/**
+ * Check if a config has to be migrated before it is used
+ */
+function needsConfigMigration(config) {
+    return getConfigSchemaVersion(config) < CONFIG_SCHEMA_VERSION;
+}
+
+/**
+ * Run every migration step above the config's version, in order
+ * The config passed in is left untouched. Throws an Error naming the step
+ * that failed, or when the config comes from a newer version.
+ * Returns { config, fromVersion, applied: [versions] }
+ */
+function migrateConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('Settings have to be a JSON object');
+    }
+
+    const fromVersion = getConfigSchemaVersion(config);
+    if (fromVersion > CONFIG_SCHEMA_VERSION) {
+        throw new Error(`Settings come from a newer version of Despair Blocker (schema ${fromVersion})`);
+    }
+
+    let migrated = JSON.parse(JSON.stringify(config));
+    const applied = [];
+
+    CONFIG_MIGRATIONS.filter(migration => migration.version > fromVersion).forEach(migration => {
+        try {
+            migrated = migration.migrate(migrated);
+        } catch (error) {
+            throw new Error(`Upgrade to schema ${migration.version} (${migration.description}) failed: ${error.message}`);
+        }
+
+        migrated.schemaVersion = migration.version;
+        applied.push(migration.version);
+    });
+
+    return { config: migrated, fromVersion, applied };
+}
@@ -0,0 +1,227 @@
+/**
+ * Schedule Utilities for Despair Blocker
+ * A schedule holds a list of time ranges for every weekday:
+ *
+ *   { enabled: true, days: [[...sunday], [{ start: '09:00', end: '17:00' }], ...] }
+ *
+ * days is indexed like Date.getDay() (0 = Sunday). A range whose end is
+ * earlier than its start wraps past midnight and belongs to the day it starts on.
+ */
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/**
+ * Validate time string format (HH:MM)
+ */
+function isValidTimeString(timeString) {
+    return typeof timeString === 'string' && TIME_PATTERN.test(timeString);
+}
+
+/**
+ * Convert time string to minutes since midnight
+ */
+function timeStringToMinutes(timeString) {
+    const [hours, minutes] = timeString.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Check if a range wraps past midnight
+ */
+function isOvernightRange(range) {
+    return timeStringToMinutes(range.end) < timeStringToMinutes(range.start);
+}
+
+/**
+ * Format a range for display, e.g. "22:00–06:00"
+ */
+function formatTimeRange(range) {
+    return `${range.start}–${range.end}`;
+}
+
+/**
+ * Build an empty week of ranges
+ */
+function createEmptyWeek() {
+    return DAY_NAMES.map(() => []);
+}
+
+/**
+ * Normalize a schedule into the per-weekday ranges format
+ * Converts the legacy { startTime, endTime, workDays } shape
+ */
+function normalizeSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') {
+        return null;
+    }
+
+    const enabled = schedule.enabled !== false;
+
+    if (Array.isArray(schedule.days)) {
+        const days = createEmptyWeek().map((empty, day) =>
+            Array.isArray(schedule.days[day])
+                ? schedule.days[day]
+                    .filter(range => range && typeof range === 'object')
+                    .map(range => ({ start: range.start, end: range.end }))
+                : empty
+        );
+        return { enabled, days };
+    }
+
+    // Legacy single window shared by all work days
+    const days = createEmptyWeek();
+    if (isValidTimeString(schedule.startTime) && isValidTimeString(schedule.endTime)) {
+        (Array.isArray(schedule.workDays) ? schedule.workDays : []).forEach(day => {
+            if (days[day]) {
+                days[day].push({ start: schedule.startTime, end: schedule.endTime });
+            }
+        });
+    }
+
+    return { enabled, days };
+}
+
+/**
+ * Check if a moment falls inside the schedule
+ * Range ends are exclusive so a window closes exactly at its end time
+ */
+function isWithinSchedule(schedule, date) {
+    const normalized = normalizeSchedule(schedule);
+
+    if (!normalized || !normalized.enabled) {
+        return true; // Always block if schedule is disabled
+    }
+
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+    const currentTime = date.getHours() * 60 + date.getMinutes();
+
+    // Ranges starting today
+    const inToday = normalized.days[today].some(range => {
+        const start = timeStringToMinutes(range.start);
+        const end = timeStringToMinutes(range.end);
+        return isOvernightRange(range)
+            ? currentTime >= start
+            : currentTime >= start && currentTime < end;
+    });
+
+    // Overnight ranges that started yesterday
+    const inYesterday = normalized.days[yesterday].some(range =>
+        isOvernightRange(range) && currentTime < timeStringToMinutes(range.end)
+    );
+
+    return inToday || inYesterday;
+}
+
+/**
+ * List every range start and end between yesterday and a week from the given date
+ */
+function listScheduleBoundaries(schedule, date) {
+    const normalized = normalizeSchedule(schedule);
+    const boundaries = [];
+
+    if (!normalized) {
+        return boundaries;
+    }
+
+    for (let offset = -1; offset <= 7; offset++) {
+        const day = new Date(date);
+        day.setDate(day.getDate() + offset);
+        day.setHours(0, 0, 0, 0);
+
+        normalized.days[day.getDay()].forEach(range => {
+            const start = new Date(day);
+            start.setMinutes(timeStringToMinutes(range.start));
+
+            const end = new Date(day);
+            end.setMinutes(timeStringToMinutes(range.end) + (isOvernightRange(range) ? MINUTES_PER_DAY : 0));
+
+            boundaries.push({ type: 'start', time: start.getTime() });
+            boundaries.push({ type: 'end', time: end.getTime() });
+        });
+    }
+
+    return boundaries.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Get the next moment a blocking window opens ('start') or closes ('end')
+ * Adjacent or overlapping ranges are treated as one window.
+ * Returns null when the schedule never changes state.
+ */
+function getNextScheduleTransition(schedule, date, type) {
+    const normalized = normalizeSchedule(schedule);
+
+    if (!normalized || !normalized.enabled) {
+        return null;
+    }
+
+    const transition = listScheduleBoundaries(normalized, date).find(boundary => {
+        if (boundary.type !== type || boundary.time <= date.getTime()) {
+            return false;
+        }
+
+        const before = isWithinSchedule(normalized, new Date(boundary.time - 60 * 1000));
+        const after = isWithinSchedule(normalized, new Date(boundary.time));
+        return type === 'start' ? !before && after : before && !after;
+    });
+
+    return transition ? transition.time : null;
+}
+
+/**
+ * Get the timestamp when the window active at the given date ends
+ * Returns null when blocking has no scheduled end
+ */
+function getScheduleWindowEnd(schedule, date) {
+    return getNextScheduleTransition(schedule, date, 'end');
+}
+
+/**
+ * Find ranges that overlap each other, including overnight ranges
+ * running into the next day. Returns readable descriptions.
+ */
+function findScheduleOverlaps(schedule) {
+    const normalized = normalizeSchedule(schedule);
+    const overlaps = [];
+
+    if (!normalized) {
+        return overlaps;
+    }
+
+    // Place every range on a single week long timeline
+    const intervals = [];
+    normalized.days.forEach((ranges, day) => {
+        ranges.forEach(range => {
+            if (!isValidTimeString(range.start) || !isValidTimeString(range.end)) {
+                return;
+            }
+
+            const start = day * MINUTES_PER_DAY + timeStringToMinutes(range.start);
+            const length = (timeStringToMinutes(range.end) - timeStringToMinutes(range.start) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+            intervals.push({ day, range, start, end: start + length });
+        });
+    });
+
+    const intersects = (a, b) => {
+        // Compare in both week alignments so Saturday night wraps into Sunday
+        return [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK].some(shift =>
+            a.start < b.end + shift && b.start + shift < a.end
+        );
+    };
+
+    for (let i = 0; i < intervals.length; i++) {
+        for (let j = i + 1; j < intervals.length; j++) {
+            if (intersects(intervals[i], intervals[j])) {
+                const a = intervals[i];
+                const b = intervals[j];
+                overlaps.push(`${DAY_NAMES[a.day]} ${formatTimeRange(a.range)} overlaps ${DAY_NAMES[b.day]} ${formatTimeRange(b.range)}`);
+            }
+        }
+    }
+
+    return overlaps;
+}
@@ -0,0 +1,81 @@
+/**
+ * Scorecard for Despair Blocker
+ * Turns the block history into a daily "resisted vs. gave in" score and a
+ * streak of scheduled days without a single ignored block.
+ * Days without a blocking window neither extend nor break a streak.
+ * Requires schedule.js, groups.js and block-history.js.
+ */
+
+/**
+ * Check if any group with sites blocks at some point of a day
+ * Uses the current schedules, older days are judged by today's settings
+ */
+function hasBlockingWindow(config, date) {
+    return getRuleGroups(config).some(group => {
+        const schedule = normalizeSchedule(group.schedule);
+        return group.sites.length > 0 && (!schedule || !schedule.enabled || schedule.days[date.getDay()].length > 0);
+    });
+}
+
+/**
+ * Score the last `days` days, oldest first
+ * Every block that was not ignored counts as resisted.
+ * Returns [{ day, resisted, gaveIn }]
+ */
+function getDailyScores(events, days, now = new Date()) {
+    return summarizeBlocksByDay(events, days, now).map(entry => ({
+        day: entry.day,
+        resisted: entry.total - entry.ignored,
+        gaveIn: entry.ignored
+    }));
+}
+
+/**
+ * Count streaks of scheduled days with zero ignores
+ * History starts at the first recorded block, today counts until the first ignore.
+ * Returns { current, best }
+ */
+function getIgnoreStreaks(events, config, now = new Date()) {
+    if (events.length === 0) {
+        return { current: 0, best: 0 };
+    }
+
+    const ignoredDays = new Set(events
+        .filter(event => event.outcome === 'ignored')
+        .map(event => getDayKey(event.timestamp)));
+
+    const date = new Date(Math.min(...events.map(event => event.timestamp)));
+    date.setHours(0, 0, 0, 0);
+
+    let current = 0;
+    let best = 0;
+
+    while (date <= now) {
+        if (ignoredDays.has(getDayKey(date.getTime()))) {
+            current = 0;
+        } else if (hasBlockingWindow(config, date)) {
+            current++;
+            best = Math.max(best, current);
+        }
+
+        date.setDate(date.getDate() + 1);
+    }
+
+    return { current, best };
+}
+
+/**
+ * Summarize today's score and the streaks
+ * Returns { streak, bestStreak, resistedToday, gaveInToday }
+ */
+function getScorecard(events, config, now = new Date()) {
+    const { current, best } = getIgnoreStreaks(events, config, now);
+    const [today] = getDailyScores(events, 1, now);
+
+    return {
+        streak: current,
+        bestStreak: best,
+        resistedToday: today.resisted,
+        gaveInToday: today.gaveIn
+    };
+}
@@ -0,0 +1,211 @@
+/**
+ * Site Rule Engine for Despair Blocker
+ * Parses blocked site entries and matches them against page URLs
+ *
+ * Supported entry formats:
+ *   example.com            exact domain (www. is treated as the same host)
+ *   *.example.com          domain and all of its subdomains
+ *   example.com/path       exact domain limited to a path prefix
+ *   *.example.com/path     subdomain wildcard limited to a path prefix
+ *   *tube.com/watch*       glob over host and path (* matches anything)
+ *   *tube.com              glob over the host only
+ *   /^https:\/\/.+$/i      regular expression tested against the full URL
+ */
+
+const HOST_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+const REGEX_ENTRY_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+/**
+ * Normalize a user supplied site entry for consistent storage
+ * Removes protocol and www, lowercases the host and drops a trailing slash
+ */
+function normalizeSiteEntry(entry) {
+    const trimmed = String(entry || '').trim();
+
+    // Regular expressions are stored exactly as written
+    if (REGEX_ENTRY_PATTERN.test(trimmed)) {
+        return trimmed;
+    }
+
+    const withoutProtocol = trimmed
+        .replace(/^[a-z]+:\/\//i, '') // Remove protocol
+        .replace(/^www\./i, '');      // Remove www
+
+    const slashIndex = withoutProtocol.indexOf('/');
+    const host = slashIndex === -1 ? withoutProtocol : withoutProtocol.slice(0, slashIndex);
+    const path = slashIndex === -1 ? '' : withoutProtocol.slice(slashIndex);
+
+    return (host.toLowerCase() + path).replace(/\/$/, ''); // Remove trailing slash
+}
+
+/**
+ * Parse a site entry into a rule object
+ * Returns null when the entry is not a valid rule
+ */
+function parseSiteRule(entry) {
+    if (typeof entry !== 'string' || !entry.trim()) {
+        return null;
+    }
+
+    const raw = normalizeSiteEntry(entry);
+
+    // Opt-in regular expressions: /pattern/flags
+    const regexMatch = raw.match(REGEX_ENTRY_PATTERN);
+    if (regexMatch) {
+        try {
+            return { type: 'regex', raw, regex: new RegExp(regexMatch[1], regexMatch[2]) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const slashIndex = raw.indexOf('/');
+    let host = slashIndex === -1 ? raw : raw.slice(0, slashIndex);
+    const path = slashIndex === -1 ? '' : raw.slice(slashIndex);
+
+    let includeSubdomains = false;
+    if (host.startsWith('*.')) {
+        includeSubdomains = true;
+        host = host.slice(2);
+    }
+
+    // Any other wildcard turns the entry into a glob over host and path
+    if (host.includes('*') || path.includes('*')) {
+        return { type: 'glob', raw, regex: globToRegExp(raw), hostOnly: slashIndex === -1 };
+    }
+
+    if (!HOST_PATTERN.test(host)) {
+        return null;
+    }
+
+    return { type: 'domain', raw, host, includeSubdomains, path };
+}
+
+/**
+ * Convert a glob pattern to regular expression source, wildcard is the source for *
+ * A leading *. also matches the bare domain, like it does for domain entries
+ */
+function globToSource(glob, wildcard = '.*') {
+    const includeSubdomains = glob.startsWith('*.');
+    const source = (includeSubdomains ? glob.slice(2) : glob)
+        .split('*')
+        .map(escapeRegExp)
+        .join(wildcard);
+
+    return includeSubdomains ? `(${wildcard}\\.)?${source}` : source;
+}
+
+/**
+ * Convert a glob pattern to an anchored regular expression
+ */
+function globToRegExp(glob) {
+    return new RegExp(`^${globToSource(glob)}$`, 'i');
+}
+
+/**
+ * Check whether a parsed rule matches a URL
+ */
+function matchesSiteRule(rule, url) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return false;
+    }
+
+    if (rule.type === 'regex') {
+        rule.regex.lastIndex = 0;
+        return rule.regex.test(parsedUrl.href);
+    }
+
+    const hostname = parsedUrl.hostname.toLowerCase().replace(/^www\./, '');
+    const target = parsedUrl.pathname + parsedUrl.search;
+
+    if (rule.type === 'glob') {
+        if (rule.hostOnly) {
+            return rule.regex.test(hostname);
+        }
+        return rule.regex.test(hostname + target) || rule.regex.test(hostname + parsedUrl.pathname);
+    }
+
+    const hostMatches = hostname === rule.host ||
+        (rule.includeSubdomains && hostname.endsWith(`.${rule.host}`));
+
+    return hostMatches && matchesPathPrefix(target, rule.path);
+}
+
+/**
+ * Check a path (with query) against a path prefix on segment boundaries
+ * so that /r/all matches /r/all/top but not /r/allergies
+ */
+function matchesPathPrefix(target, prefix) {
+    if (!prefix) {
+        return true;
+    }
+
+    if (!target.startsWith(prefix)) {
+        return false;
+    }
+
+    if (target.length === prefix.length || /[/?=&]$/.test(prefix)) {
+        return true;
+    }
+
+    return ['/', '?', '&', '#'].includes(target.charAt(prefix.length));
+}
+
+/**
+ * Find the first site entry matching a URL
+ * Returns the parsed rule or null when nothing matches
+ */
+function findMatchingSiteRule(entries, url) {
+    if (!Array.isArray(entries)) {
+        return null;
+    }
+
+    for (const entry of entries) {
+        const rule = parseSiteRule(entry);
+        if (rule && matchesSiteRule(rule, url)) {
+            return rule;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Escape text for use inside a regular expression
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a parsed rule into an RE2 compatible regular expression source
+ * that matches the complete URL (used for declarativeNetRequest regexFilter)
+ */
+function siteRuleToRegexSource(rule) {
+    if (rule.type === 'regex') {
+        return `^.*(?:${rule.regex.source}).*$`;
+    }
+
+    if (rule.type === 'glob') {
+        // A host-only glob must not reach into the path
+        return rule.hostOnly
+            ? `^https?://(www\\.)?${globToSource(rule.raw, '[^/?#]*')}([:/?#].*)?$`
+            : `^https?://(www\\.)?${globToSource(rule.raw)}([?#].*)?$`;
+    }
+
+    const hostSource = rule.includeSubdomains
+        ? `([^/?#]*\\.)?${escapeRegExp(rule.host)}`
+        : `(www\\.)?${escapeRegExp(rule.host)}`;
+
+    let pathSource = '([/?#].*)?';
+    if (rule.path) {
+        pathSource = /[/?=&]$/.test(rule.path)
+            ? `${escapeRegExp(rule.path)}.*`
+            : `${escapeRegExp(rule.path)}([/?&#].*)?`;
+    }
+
+    return `^https?://${hostSource}(:[0-9]+)?${pathSource}$`;
+}
@@ -0,0 +1,107 @@
+/**
+ * Text to Speech for Despair Blocker
+ * One set of voice settings for the overlay, the blocked page, the options
+ * test button and chrome.tts in the background worker:
+ *
+ *   config.tts = { voice: 'Google UK English Male', lang: 'en-GB', rate: 0.8, pitch: 0.7, volume: 0.8,
+ *                  delaySeconds: 1, oncePerSitePerHour: false, useChromeTTS: false }
+ *
+ * An empty voice or lang leaves the choice to the browser.
+ * Injected next to block-page.js, so only function declarations live here.
+ */
+
+/**
+ * Get the settings used when the config has none
+ */
+function getDefaultTTSSettings() {
+    return {
+        voice: '',
+        lang: '',
+        rate: 0.8,
+        pitch: 0.7,
+        volume: 0.8,
+        delaySeconds: 1,
+        oncePerSitePerHour: false,
+        useChromeTTS: false
+    };
+}
+
+/**
+ * Get the allowed range of every numeric setting
+ */
+function getTTSLimits() {
+    return {
+        rate: { min: 0.5, max: 2 },
+        pitch: { min: 0, max: 2 },
+        volume: { min: 0, max: 1 },
+        delaySeconds: { min: 0, max: 30 }
+    };
+}
+
+/**
+ * Get the complete TTS settings of a config
+ * Missing or out-of-range values fall back to the defaults
+ */
+function getTTSSettings(config) {
+    const defaults = getDefaultTTSSettings();
+    const saved = config?.tts && typeof config.tts === 'object' ? config.tts : {};
+    const settings = { ...defaults };
+
+    ['voice', 'lang'].forEach(key => {
+        if (typeof saved[key] === 'string') {
+            settings[key] = saved[key];
+        }
+    });
+
+    ['oncePerSitePerHour', 'useChromeTTS'].forEach(key => {
+        if (typeof saved[key] === 'boolean') {
+            settings[key] = saved[key];
+        }
+    });
+
+    Object.entries(getTTSLimits()).forEach(([key, { min, max }]) => {
+        if (typeof saved[key] === 'number' && saved[key] >= min && saved[key] <= max) {
+            settings[key] = saved[key];
+        }
+    });
+
+    return settings;
+}
+
+/**
+ * Create a page utterance for a message
+ * The voice is looked up by name, an unknown voice keeps the browser default
+ */
+function createSpeechUtterance(text, settings) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = settings.voice && speechSynthesis.getVoices().find(entry => entry.name === settings.voice);
+
+    if (voice) {
+        utterance.voice = voice;
+    }
+    if (settings.lang) {
+        utterance.lang = settings.lang;
+    }
+
+    utterance.rate = settings.rate;
+    utterance.pitch = settings.pitch;
+    utterance.volume = settings.volume;
+
+    return utterance;
+}
+
+/**
+ * Get the chrome.tts.speak options for the settings
+ */
+function getChromeTTSOptions(settings) {
+    const options = { rate: settings.rate, pitch: settings.pitch, volume: settings.volume };
+
+    if (settings.voice) {
+        options.voiceName = settings.voice;
+    }
+    if (settings.lang) {
+        options.lang = settings.lang;
+    }
+
+    return options;
+}
@@ -0,0 +1,174 @@
+/**
+ * Block Themes for Despair Blocker
+ * The look and wording of the block overlay:
+ *
+ *   config.theme = { preset: 'calm', icon: '', title: 'Not now', primaryLabel: '', secondaryLabel: '', footer: '',
+ *                    colors: { background, panel, accent, buttonText, text, muted } }
+ *
+ * Empty texts keep the preset's own. The colours are only used by the
+ * custom preset. Injected next to block-page.js, so only function
+ * declarations live here.
+ */
+
+/**
+ * Get the built-in presets, keyed by preset name
+ */
+function getThemePresets() {
+    return {
+        despair: {
+            label: 'Despair',
+            icon: '💀',
+            title: 'BLOCKED BY DESPAIR',
+            primaryLabel: 'Go Back to Work',
+            secondaryLabel: 'Ignore Future Me (Bad Choice)',
+            footer: '',
+            background: 'linear-gradient(135deg, #1a1a1a 0%, #2d1b2e 50%, #1a1a1a 100%)',
+            panel: 'rgba(0, 0, 0, 0.8)',
+            accent: '#ff6b6b',
+            buttonBackground: 'linear-gradient(45deg, #ff6b6b, #ff8e8e)',
+            buttonText: '#ffffff',
+            text: '#ffffff',
+            muted: '#888888',
+            animated: true
+        },
+        calm: {
+            label: 'Calm',
+            icon: '🌿',
+            title: 'Take a breath',
+            primaryLabel: 'Back to what matters',
+            secondaryLabel: 'Continue anyway',
+            footer: '',
+            background: '#f4f1ea',
+            panel: '#ffffff',
+            accent: '#5b8a72',
+            buttonBackground: '#5b8a72',
+            buttonText: '#ffffff',
+            text: '#2f3a34',
+            muted: '#7a857f',
+            animated: false
+        },
+        highContrast: {
+            label: 'High contrast',
+            icon: '⛔',
+            title: 'BLOCKED',
+            primaryLabel: 'Go back',
+            secondaryLabel: 'Ignore',
+            footer: '',
+            background: '#000000',
+            panel: '#000000',
+            accent: '#ffff00',
+            buttonBackground: '#ffff00',
+            buttonText: '#000000',
+            text: '#ffffff',
+            muted: '#ffffff',
+            animated: false
+        }
+    };
+}
+
+/**
+ * Get the theme settings used when the config has none
+ */
+function getDefaultThemeSettings() {
+    return {
+        preset: 'despair',
+        icon: '',
+        title: '',
+        primaryLabel: '',
+        secondaryLabel: '',
+        footer: '',
+        colors: {
+            background: '#1a1a1a',
+            panel: '#000000',
+            accent: '#ff6b6b',
+            buttonText: '#ffffff',
+            text: '#ffffff',
+            muted: '#888888'
+        }
+    };
+}
+
+/**
+ * Get the longest allowed text of every theme field
+ */
+function getThemeTextLimits() {
+    return { icon: 8, title: 60, primaryLabel: 40, secondaryLabel: 40, footer: 200 };
+}
+
+/**
+ * Turn a #rgb or #rrggbb colour into rgba() with the given opacity
+ */
+function getThemeColor(hex, alpha) {
+    const digits = hex.length === 4 ? hex.slice(1).split('').map(digit => digit + digit).join('') : hex.slice(1);
+    const [red, green, blue] = [0, 2, 4].map(index => parseInt(digits.slice(index, index + 2), 16));
+    return `rgba(${red}, ${green}, ${blue}, ${alpha})`;
+}
+
+/**
+ * List what is wrong with theme settings, empty when they are fine
+ */
+function findThemeProblems(theme) {
+    if (!theme || typeof theme !== 'object') {
+        return ['theme must be an object'];
+    }
+
+    const problems = [];
+    const presets = [...Object.keys(getThemePresets()), 'custom'];
+
+    if (!presets.includes(theme.preset)) {
+        problems.push(`preset must be one of: ${presets.join(', ')}`);
+    }
+
+    Object.entries(getThemeTextLimits()).forEach(([key, max]) => {
+        if (typeof theme[key] !== 'string' || theme[key].length > max) {
+            problems.push(`${key} must be text of at most ${max} characters`);
+        }
+    });
+
+    if (!theme.colors || typeof theme.colors !== 'object') {
+        problems.push('colors must be an object');
+    } else {
+        Object.keys(getDefaultThemeSettings().colors).forEach(key => {
+            if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(theme.colors[key])) {
+                problems.push(`color ${key} must be a #rrggbb colour`);
+            }
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Get the theme the overlay is drawn with
+ * Invalid settings fall back to the Despair preset
+ */
+function getBlockTheme(config) {
+    const presets = getThemePresets();
+    const settings = config?.theme && findThemeProblems(config.theme).length === 0
+        ? config.theme
+        : getDefaultThemeSettings();
+
+    let theme = presets[settings.preset];
+    if (!theme) {
+        const { colors } = settings;
+        theme = {
+            ...presets.despair,
+            background: colors.background,
+            panel: colors.panel,
+            accent: colors.accent,
+            buttonBackground: colors.accent,
+            buttonText: colors.buttonText,
+            text: colors.text,
+            muted: colors.muted
+        };
+    }
+
+    const resolved = { ...theme };
+    Object.keys(getThemeTextLimits()).forEach(key => {
+        if (settings[key]) {
+            resolved[key] = settings[key];
+        }
+    });
+
+    return resolved;
+}
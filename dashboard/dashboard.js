@@ -0,0 +1,181 @@
+/**
+ * Dashboard for Despair Blocker
+ * Charts the block history: blocks per day, the most blocked sites,
+ * how often blocks get ignored and the hours when temptation peaks.
+ */
+
+// DOM elements
+const elements = {
+    rangeDays: document.getElementById('rangeDays'),
+    totalBlocks: document.getElementById('totalBlocks'),
+    totalWentBack: document.getElementById('totalWentBack'),
+    totalIgnored: document.getElementById('totalIgnored'),
+    ignoreRate: document.getElementById('ignoreRate'),
+    dayChart: document.getElementById('dayChart'),
+    siteChart: document.getElementById('siteChart'),
+    peakHours: document.getElementById('peakHours'),
+    hourChart: document.getElementById('hourChart')
+};
+
+// Sites shown in the per-site chart
+const TOP_SITES = 10;
+
+/**
+ * Load the block history and render every chart
+ */
+async function renderDashboard() {
+    try {
+        const days = parseInt(elements.rangeDays.value, 10);
+        const events = filterRecentBlockEvents(await getBlockHistory(), days);
+
+        renderTotals(events);
+        renderDayChart(summarizeBlocksByDay(events, days));
+        renderSiteChart(summarizeBlocksBySite(events).slice(0, TOP_SITES));
+        renderHourChart(summarizeBlocksByHour(events));
+    } catch (error) {
+        console.error('Despair Blocker: Dashboard error:', error);
+    }
+}
+
+/**
+ * Show block totals and the ignore rate
+ */
+function renderTotals(events) {
+    const rate = getIgnoreRate(events);
+
+    elements.totalBlocks.textContent = events.length;
+    elements.totalWentBack.textContent = events.filter(event => event.outcome === 'wentBack').length;
+    elements.totalIgnored.textContent = events.filter(event => event.outcome === 'ignored').length;
+    elements.ignoreRate.textContent = rate === null ? '–' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Draw one stacked bar per day, split by outcome
+ */
+function renderDayChart(summary) {
+    elements.dayChart.innerHTML = '';
+    const max = Math.max(1, ...summary.map(entry => entry.total));
+
+    summary.forEach(entry => {
+        const column = document.createElement('div');
+        column.className = 'day-column';
+        column.title = `${entry.day}: ${entry.total} blocks, ${entry.wentBack} went back, ` +
+            `${entry.ignored} ignored, ${entry.closedTab} closed`;
+
+        const bar = document.createElement('div');
+        bar.className = 'day-bar';
+        bar.style.height = `${(entry.total / max) * 100}%`;
+
+        const undecided = entry.total - entry.wentBack - entry.ignored - entry.closedTab;
+        [['went-back', entry.wentBack], ['ignored', entry.ignored], ['closed-tab', entry.closedTab], ['undecided', undecided]]
+            .filter(([, count]) => count > 0)
+            .forEach(([className, count]) => {
+                const segment = document.createElement('div');
+                segment.className = `day-segment ${className}`;
+                segment.style.flexGrow = count;
+                bar.appendChild(segment);
+            });
+
+        const label = document.createElement('span');
+        label.className = 'day-label';
+        label.textContent = entry.day.slice(5);
+
+        column.appendChild(bar);
+        column.appendChild(label);
+        elements.dayChart.appendChild(column);
+    });
+}
+
+/**
+ * Draw a horizontal bar for each of the most blocked sites
+ */
+function renderSiteChart(sites) {
+    elements.siteChart.innerHTML = '';
+
+    if (sites.length === 0) {
+        elements.siteChart.innerHTML = '<div class="empty-state">No blocks yet. Your future self is proud.</div>';
+        return;
+    }
+
+    const max = sites[0].total;
+
+    sites.forEach(site => {
+        const row = document.createElement('div');
+        row.className = 'site-row';
+
+        const name = document.createElement('span');
+        name.className = 'site-name';
+        name.textContent = site.host;
+
+        const track = document.createElement('div');
+        track.className = 'site-track';
+
+        const bar = document.createElement('div');
+        bar.className = 'site-bar';
+        bar.style.width = `${(site.total / max) * 100}%`;
+
+        const count = document.createElement('span');
+        count.className = 'site-count';
+        count.textContent = `${site.total} (${Math.round((site.ignored / site.total) * 100)}% ignored)`;
+
+        track.appendChild(bar);
+        row.appendChild(name);
+        row.appendChild(track);
+        row.appendChild(count);
+        elements.siteChart.appendChild(row);
+    });
+}
+
+/**
+ * Draw blocks per hour of the day and name the peak hours
+ */
+function renderHourChart(hours) {
+    elements.hourChart.innerHTML = '';
+    const max = Math.max(...hours);
+
+    hours.forEach((count, hour) => {
+        const column = document.createElement('div');
+        column.className = 'hour-column';
+        column.title = `${formatHour(hour)}–${formatHour((hour + 1) % 24)}: ${count} blocks`;
+
+        const bar = document.createElement('div');
+        bar.className = 'hour-bar';
+        bar.classList.toggle('peak', max > 0 && count === max);
+        bar.style.height = `${max > 0 ? (count / max) * 100 : 0}%`;
+
+        const label = document.createElement('span');
+        label.className = 'hour-label';
+        label.textContent = hour % 3 === 0 ? hour : '';
+
+        column.appendChild(bar);
+        column.appendChild(label);
+        elements.hourChart.appendChild(column);
+    });
+
+    const peaks = hours
+        .map((count, hour) => ({ count, hour }))
+        .filter(entry => entry.count > 0 && entry.count === max)
+        .map(entry => `${formatHour(entry.hour)}–${formatHour((entry.hour + 1) % 24)}`);
+
+    elements.peakHours.textContent = peaks.length > 0
+        ? `You are most tempted at ${peaks.join(', ')}`
+        : 'No blocks in this range';
+}
+
+/**
+ * Format an hour of the day as HH:00
+ */
+function formatHour(hour) {
+    return `${String(hour).padStart(2, '0')}:00`;
+}
+
+elements.rangeDays.addEventListener('change', renderDashboard);
+
+// Keep the charts live while blocks happen in other tabs
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes[BLOCK_HISTORY_KEY]) {
+        renderDashboard();
+    }
+});
+
+document.addEventListener('DOMContentLoaded', renderDashboard);
@@ -9,35 +9,127 @@ const elements = {
     newSiteInput: document.getElementById('newSiteInput'),
     addSiteBtn: document.getElementById('addSiteBtn'),
     sitesList: document.getElementById('sitesList'),
+    newAllowedSiteInput: document.getElementById('newAllowedSiteInput'),
+    addAllowedSiteBtn: document.getElementById('addAllowedSiteBtn'),
+    allowedSitesList: document.getElementById('allowedSitesList'),
 
     // Schedule management
     scheduleEnabled: document.getElementById('scheduleEnabled'),
     scheduleSettings: document.getElementById('scheduleSettings'),
-    startTime: document.getElementById('startTime'),
-    endTime: document.getElementById('endTime'),
-    workdayCheckboxes: document.querySelectorAll('.workday-checkbox'),
+    scheduleWeek: document.getElementById('scheduleWeek'),
+    scheduleWarnings: document.getElementById('scheduleWarnings'),
+
+    // Rule groups
+    newGroupInput: document.getElementById('newGroupInput'),
+    addGroupBtn: document.getElementById('addGroupBtn'),
+    groupsList: document.getElementById('groupsList'),
+
+    // Focus sessions
+    focusWorkMinutes: document.getElementById('focusWorkMinutes'),
+    focusBreakMinutes: document.getElementById('focusBreakMinutes'),
+    newFocusSiteInput: document.getElementById('newFocusSiteInput'),
+    addFocusSiteBtn: document.getElementById('addFocusSiteBtn'),
+    focusSitesList: document.getElementById('focusSitesList'),
 
     // Messages management
     newMessageInput: document.getElementById('newMessageInput'),
+    newMessagePreview: document.getElementById('newMessagePreview'),
+    messageVariables: document.getElementById('messageVariables'),
+    messageDeadline: document.getElementById('messageDeadline'),
+    messageRotation: document.getElementById('messageRotation'),
     addMessageBtn: document.getElementById('addMessageBtn'),
     messagesList: document.getElementById('messagesList'),
+    importMessagePackBtn: document.getElementById('importMessagePackBtn'),
+    messagePacksList: document.getElementById('messagePacksList'),
 
     // Additional settings
     enableTTS: document.getElementById('enableTTS'),
+    ttsVoice: document.getElementById('ttsVoice'),
+    ttsLang: document.getElementById('ttsLang'),
+    ttsRate: document.getElementById('ttsRate'),
+    ttsPitch: document.getElementById('ttsPitch'),
+    ttsVolume: document.getElementById('ttsVolume'),
+    ttsDelaySeconds: document.getElementById('ttsDelaySeconds'),
+    ttsOncePerSitePerHour: document.getElementById('ttsOncePerSitePerHour'),
+    ttsUseChromeTTS: document.getElementById('ttsUseChromeTTS'),
+    testVoiceBtn: document.getElementById('testVoiceBtn'),
+    themePreset: document.getElementById('themePreset'),
+    themeIcon: document.getElementById('themeIcon'),
+    themeTitle: document.getElementById('themeTitle'),
+    themePrimaryLabel: document.getElementById('themePrimaryLabel'),
+    themeSecondaryLabel: document.getElementById('themeSecondaryLabel'),
+    themeFooter: document.getElementById('themeFooter'),
+    themeColors: document.getElementById('themeColors'),
+    themeBackground: document.getElementById('themeBackground'),
+    themePanel: document.getElementById('themePanel'),
+    themeAccent: document.getElementById('themeAccent'),
+    themeButtonText: document.getElementById('themeButtonText'),
+    themeText: document.getElementById('themeText'),
+    themeMuted: document.getElementById('themeMuted'),
+    themePreview: document.getElementById('themePreview'),
+    blockingMode: document.getElementById('blockingMode'),
+    unlockChallengeType: document.getElementById('unlockChallengeType'),
+    countdownSeconds: document.getElementById('countdownSeconds'),
+    countdownStepSeconds: document.getElementById('countdownStepSeconds'),
+    minReasonLength: document.getElementById('minReasonLength'),
+    passMinutes: document.getElementById('passMinutes'),
+    hardMode: document.getElementById('hardMode'),
 
     // Action buttons
     saveBtn: document.getElementById('saveBtn'),
     resetBtn: document.getElementById('resetBtn'),
     testBtn: document.getElementById('testBtn'),
+    dashboardBtn: document.getElementById('dashboardBtn'),
+    streakSummary: document.getElementById('streakSummary'),
+    scoreHeatmap: document.getElementById('scoreHeatmap'),
+    historyFrom: document.getElementById('historyFrom'),
+    historyTo: document.getElementById('historyTo'),
+    exportHistoryCsvBtn: document.getElementById('exportHistoryCsvBtn'),
+    exportHistoryJsonBtn: document.getElementById('exportHistoryJsonBtn'),
+    importHistoryBtn: document.getElementById('importHistoryBtn'),
 
     // Status message
     statusMessage: document.getElementById('statusMessage')
 };
 
+// Number inputs of the TTS settings, keyed by setting
+const TTS_NUMBER_INPUTS = {
+    rate: 'ttsRate',
+    pitch: 'ttsPitch',
+    volume: 'ttsVolume',
+    delaySeconds: 'ttsDelaySeconds'
+};
+
+// Text inputs of the block theme, keyed by theme field
+const THEME_TEXT_INPUTS = {
+    icon: 'themeIcon',
+    title: 'themeTitle',
+    primaryLabel: 'themePrimaryLabel',
+    secondaryLabel: 'themeSecondaryLabel',
+    footer: 'themeFooter'
+};
+
+// Colour inputs of the custom theme, keyed by colour
+const THEME_COLOR_INPUTS = {
+    background: 'themeBackground',
+    panel: 'themePanel',
+    accent: 'themeAccent',
+    buttonText: 'themeButtonText',
+    text: 'themeText',
+    muted: 'themeMuted'
+};
+
 // Current configuration state
 let currentConfig = null;
 let hasUnsavedChanges = false;
 
+// Last saved configuration and focus session, used for the hard mode lock
+let savedConfig = null;
+let focusSession = null;
+
+// Config kept by an upgrade that failed, offered under Backup & Restore
+let migrationBackup = null;
+
 /**
  * Initialize the options page
  */
@@ -47,7 +139,11 @@ document.addEventListener('DOMContentLoaded', async () => {
         await loadConfiguration();
         setupEventListeners();
         updateUI();
-        showStatus('Settings loaded successfully', 'success');
+        if (migrationBackup) {
+            showStatus('Your settings could not be upgraded. A backup was kept under Backup & Restore', 'error');
+        } else {
+            showStatus('Settings loaded successfully', 'success');
+        }
 
         // Mark as no unsaved changes after initial load
         hasUnsavedChanges = false;
@@ -71,12 +167,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 async function loadConfiguration() {
     try {
         const result = await chrome.storage.sync.get(['config']);
+        ({ focusSession = null, configMigrationBackup: migrationBackup = null } =
+            await chrome.storage.local.get(['focusSession', 'configMigrationBackup']));
 
         if (result.config) {
-            currentConfig = result.config;
+            savedConfig = JSON.parse(JSON.stringify(result.config));
 
-            // Validate and fix configuration if needed
-            currentConfig = validateAndFixConfig(currentConfig);
+            // Fill in missing settings and drop malformed ones
+            currentConfig = normalizeConfig(result.config);
         } else {
             // Use default configuration
             currentConfig = getDefaultConfig();
@@ -90,92 +188,22 @@ async function loadConfiguration() {
     }
 }
 
-/**
- * Validate and fix configuration object
- */
-function validateAndFixConfig(config) {
-    const defaultConfig = getDefaultConfig();
-
-    // Ensure all required properties exist
-    if (!config.blockedSites || !Array.isArray(config.blockedSites)) {
-        config.blockedSites = defaultConfig.blockedSites;
-    }
-
-    if (!config.schedule || typeof config.schedule !== 'object') {
-        config.schedule = defaultConfig.schedule;
-    } else {
-        // Validate schedule properties
-        if (typeof config.schedule.enabled !== 'boolean') {
-            config.schedule.enabled = defaultConfig.schedule.enabled;
-        }
-        if (!config.schedule.startTime || !isValidTimeString(config.schedule.startTime)) {
-            config.schedule.startTime = defaultConfig.schedule.startTime;
-        }
-        if (!config.schedule.endTime || !isValidTimeString(config.schedule.endTime)) {
-            config.schedule.endTime = defaultConfig.schedule.endTime;
-        }
-        if (!config.schedule.workDays || !Array.isArray(config.schedule.workDays)) {
-            config.schedule.workDays = defaultConfig.schedule.workDays;
-        }
-    }
-
-    if (!config.despairMessages || !Array.isArray(config.despairMessages) || config.despairMessages.length === 0) {
-        config.despairMessages = defaultConfig.despairMessages;
-    }
-
-    if (typeof config.enableTTS !== 'boolean') {
-        config.enableTTS = defaultConfig.enableTTS;
-    }
-
-    return config;
-}
-
-/**
- * Validate time string format (HH:MM)
- */
-function isValidTimeString(timeString) {
-    const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
-    return timeRegex.test(timeString);
-}
-
-/**
- * Get default configuration
- */
-function getDefaultConfig() {
-    return {
-        blockedSites: [
-            'youtube.com',
-            'facebook.com',
-            'twitter.com',
-            'instagram.com',
-            'reddit.com',
-            'tiktok.com'
-        ],
-        schedule: {
-            enabled: true,
-            startTime: '09:00',
-            endTime: '17:00',
-            workDays: [1, 2, 3, 4, 5] // Monday to Friday
-        },
-        despairMessages: [
-            "Hello from 3 hours from now. I didn't finish the project. I'm tired. I have to ask for an extension. All because you needed to watch one... more... cat video. Close this tab and go back to work.",
-            "It's me from the future. I'm sitting here at 11 PM, stressed and overwhelmed. The deadline is tomorrow and I'm nowhere near done. This could have been avoided if you just stayed focused.",
-            "Future you here. I'm disappointed. We had such good intentions this morning, but here we are again, scrolling mindlessly while our dreams slip away. Please, just close this tab.",
-            "Your future self is crying. Not literally, but emotionally. The presentation is in 2 hours and I'm frantically trying to put something together. Don't let this be our reality."
-        ],
-        enableTTS: true
-    };
-}
-
 /**
  * Save configuration to storage
  */
 async function saveConfiguration() {
     try {
-        // Validate configuration before saving
-        currentConfig = validateAndFixConfig(currentConfig);
+        // Fill in missing settings before saving
+        currentConfig = normalizeConfig(currentConfig);
+
+        // The background worker refuses weakening changes while hard mode is locked
+        const response = await chrome.runtime.sendMessage({ action: 'saveConfig', config: currentConfig });
+        if (!response?.success) {
+            showStatus(response?.error || 'Error saving settings. Please try again.', 'error');
+            return false;
+        }
 
-        await chrome.storage.sync.set({ config: currentConfig });
+        savedConfig = JSON.parse(JSON.stringify(currentConfig));
 
         // Notify background script to update schedule
         try {
@@ -190,8 +218,29 @@ async function saveConfiguration() {
         return true;
     } catch (error) {
         console.error('Despair Blocker: Configuration save error:', error);
+        showStatus('Error saving settings. Please try again.', 'error');
+        return false;
+    }
+}
+
+/**
+ * Check if hard mode currently locks the saved configuration
+ */
+function isOptionsLocked() {
+    return isHardModeLocked(savedConfig, focusSession, new Date());
+}
+
+/**
+ * Refuse a weakening action while hard mode is locked
+ * Returns true when the action has to wait
+ */
+function rejectIfLocked(action) {
+    if (!isOptionsLocked()) {
         return false;
     }
+
+    showStatus(`Hard mode is on: ${action} has to wait until the blocking window ends`, 'error');
+    return true;
 }
 
 /**
@@ -208,12 +257,36 @@ function setupEventListeners() {
     });
     elements.newSiteInput.addEventListener('input', markUnsavedChanges);
 
+    // Allowlist management
+    elements.addAllowedSiteBtn.addEventListener('click', addAllowedSite);
+    elements.newAllowedSiteInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addAllowedSite();
+        }
+    });
+
     // Schedule management
     elements.scheduleEnabled.addEventListener('change', toggleSchedule);
-    elements.startTime.addEventListener('change', updateScheduleTime);
-    elements.endTime.addEventListener('change', updateScheduleTime);
-    elements.workdayCheckboxes.forEach(checkbox => {
-        checkbox.addEventListener('change', updateWorkDays);
+
+    // Focus sessions
+    elements.focusWorkMinutes.addEventListener('change', updateFocusDurations);
+    elements.focusBreakMinutes.addEventListener('change', updateFocusDurations);
+    elements.addFocusSiteBtn.addEventListener('click', addFocusSite);
+    elements.newFocusSiteInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addFocusSite();
+        }
+    });
+
+    // Rule groups
+    elements.addGroupBtn.addEventListener('click', addGroup);
+    elements.newGroupInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addGroup();
+        }
     });
 
     // Messages management
@@ -225,14 +298,44 @@ function setupEventListeners() {
         }
     });
     elements.newMessageInput.addEventListener('input', markUnsavedChanges);
+    elements.newMessageInput.addEventListener('input', updateMessagePreview);
+    elements.messageDeadline.addEventListener('change', updateDeadline);
+    elements.messageRotation.addEventListener('change', updateMessageRotation);
+    elements.importMessagePackBtn.addEventListener('click', importMessagePack);
 
     // Additional settings
     elements.enableTTS.addEventListener('change', updateTTSSetting);
+    [elements.ttsVoice, elements.ttsLang, elements.ttsOncePerSitePerHour, elements.ttsUseChromeTTS,
+        ...Object.values(TTS_NUMBER_INPUTS).map(id => elements[id])].forEach(input => {
+        input.addEventListener('change', updateTTSVoiceSettings);
+    });
+    elements.testVoiceBtn.addEventListener('click', () => {
+        testTextToSpeech(renderMessageTemplate(currentConfig.despairMessages[0], getSampleMessageValues()));
+    });
+    if ('speechSynthesis' in window) {
+        speechSynthesis.addEventListener('voiceschanged', updateVoiceOptions);
+    }
+
+    // Block theme
+    [elements.themePreset, ...Object.values({ ...THEME_TEXT_INPUTS, ...THEME_COLOR_INPUTS }).map(id => elements[id])]
+        .forEach(input => input.addEventListener('input', updateTheme));
+    elements.blockingMode.addEventListener('change', updateBlockingMode);
+    elements.hardMode.addEventListener('change', updateHardMode);
+    elements.unlockChallengeType.addEventListener('change', updateUnlockChallenge);
+    Object.keys(UNLOCK_CHALLENGE_LIMITS).forEach(key => {
+        elements[key].addEventListener('change', updateUnlockChallenge);
+    });
 
     // Action buttons
     elements.saveBtn.addEventListener('click', saveSettings);
     elements.resetBtn.addEventListener('click', resetSettings);
     elements.testBtn.addEventListener('click', testBlockMessage);
+    elements.exportHistoryCsvBtn.addEventListener('click', () => exportBlockHistory('csv'));
+    elements.exportHistoryJsonBtn.addEventListener('click', () => exportBlockHistory('json'));
+    elements.importHistoryBtn.addEventListener('click', importBlockHistory);
+    elements.dashboardBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html') });
+    });
 
     // Auto-save on visibility change
     document.addEventListener('visibilitychange', () => {
@@ -309,29 +412,59 @@ function updateUI() {
         // Update blocked sites list
         updateSitesList();
 
+        // Update allowlist
+        updateAllowedSitesList();
+
         // Update schedule settings
         elements.scheduleEnabled.checked = currentConfig.schedule.enabled;
-        elements.startTime.value = currentConfig.schedule.startTime;
-        elements.endTime.value = currentConfig.schedule.endTime;
 
-        // Update work days
-        elements.workdayCheckboxes.forEach(checkbox => {
-            const day = parseInt(checkbox.value);
-            checkbox.checked = currentConfig.schedule.workDays.includes(day);
-        });
+        // Update weekly time ranges
+        updateScheduleEditor();
 
         // Update schedule visibility
         toggleScheduleVisibility();
 
+        // Update rule groups
+        updateGroupsList();
+
+        // Update focus sessions
+        elements.focusWorkMinutes.value = currentConfig.focus.workMinutes;
+        elements.focusBreakMinutes.value = currentConfig.focus.breakMinutes;
+        updateFocusSitesList();
+
         // Update messages list
         updateMessagesList();
+        updateMessageVariables();
+        elements.messageDeadline.value = currentConfig.deadline;
+        elements.messageRotation.value = currentConfig.messageRotation;
 
         // Update additional settings
         elements.enableTTS.checked = currentConfig.enableTTS;
+        updateVoiceOptions();
+        elements.ttsLang.value = currentConfig.tts.lang;
+        Object.entries(TTS_NUMBER_INPUTS).forEach(([key, id]) => {
+            elements[id].value = currentConfig.tts[key];
+        });
+        elements.ttsOncePerSitePerHour.checked = currentConfig.tts.oncePerSitePerHour;
+        elements.ttsUseChromeTTS.checked = currentConfig.tts.useChromeTTS;
+
+        // Update block theme
+        updateThemeEditor();
+        elements.blockingMode.value = currentConfig.blockingMode;
+        elements.hardMode.checked = currentConfig.hardMode;
+
+        // Update unlock challenge
+        elements.unlockChallengeType.value = currentConfig.unlockChallenge.type;
+        Object.keys(UNLOCK_CHALLENGE_LIMITS).forEach(key => {
+            elements[key].value = currentConfig.unlockChallenge[key];
+        });
 
         // Update statistics
         updateStatistics();
 
+        // Update streak and heatmap
+        updateScoreHeatmap();
+
     } catch (error) {
         console.error('Despair Blocker: UI update error:', error);
         showStatus('Error updating interface', 'error');
@@ -356,16 +489,20 @@ function updateSitesList() {
 
         siteItem.innerHTML = `
             <span class="site-name" title="${escapeHtml(site)}">${escapeHtml(site)}</span>
+            ${getBudgetBadgeHtml(site)}
             <div class="site-actions">
+                <button class="budget-site" data-index="${index}" title="Set daily time budget">⏳</button>
                 <button class="edit-site" data-index="${index}" title="Edit site">✏️</button>
                 <button class="remove-site" data-index="${index}" title="Remove site">🗑️</button>
             </div>
         `;
 
         // Add event listeners
+        const budgetBtn = siteItem.querySelector('.budget-site');
         const editBtn = siteItem.querySelector('.edit-site');
         const removeBtn = siteItem.querySelector('.remove-site');
 
+        budgetBtn.addEventListener('click', () => editSiteBudget(site, updateSitesList));
         editBtn.addEventListener('click', () => editSite(index));
         removeBtn.addEventListener('click', () => removeSite(index));
 
@@ -373,6 +510,74 @@ function updateSitesList() {
     });
 }
 
+/**
+ * Render the daily budget badge for a blocked entry
+ */
+function getBudgetBadgeHtml(site) {
+    const minutes = currentConfig.siteBudgets[site];
+    return minutes ? `<span class="budget-badge" title="Blocked after ${minutes} minutes a day">⏳ ${minutes} min/day</span>` : '';
+}
+
+/**
+ * Set or clear the daily time budget of a blocked entry
+ * Budgeted sites stay open until their focused time for the day is used up
+ */
+function editSiteBudget(site, rerender) {
+    const current = currentConfig.siteBudgets[site] || '';
+    const input = prompt(`Daily time budget for ${site} in minutes (leave empty to block outright):`, current);
+
+    if (input === null) {
+        return; // User cancelled
+    }
+
+    if (!input.trim()) {
+        delete currentConfig.siteBudgets[site];
+        rerender();
+        markUnsavedChanges();
+        showStatus(`${site} is blocked outright again`, 'info');
+        return;
+    }
+
+    const minutes = Number(input.trim());
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 24 * 60) {
+        showStatus('Please enter a whole number of minutes between 1 and 1440', 'error');
+        return;
+    }
+
+    currentConfig.siteBudgets[site] = minutes;
+    rerender();
+    markUnsavedChanges();
+    showStatus(`${site} gets ${minutes} minutes a day`, 'success');
+}
+
+/**
+ * Update allowed sites list in UI
+ */
+function updateAllowedSitesList() {
+    elements.allowedSitesList.innerHTML = '';
+
+    if (currentConfig.allowedSites.length === 0) {
+        elements.allowedSitesList.innerHTML = '<div class="empty-state">No exceptions. Every blocked site stays blocked.</div>';
+        return;
+    }
+
+    currentConfig.allowedSites.forEach((site, index) => {
+        const siteItem = document.createElement('div');
+        siteItem.className = 'site-item';
+
+        siteItem.innerHTML = `
+            <span class="site-name" title="${escapeHtml(site)}">${escapeHtml(site)}</span>
+            <div class="site-actions">
+                <button class="remove-site" data-index="${index}" title="Remove exception">🗑️</button>
+            </div>
+        `;
+
+        siteItem.querySelector('.remove-site').addEventListener('click', () => removeAllowedSite(index));
+
+        elements.allowedSitesList.appendChild(siteItem);
+    });
+}
+
 /**
  * Update messages list in UI
  */
@@ -390,11 +595,32 @@ function updateMessagesList() {
         messageItem.style.animationDelay = `${index * 0.1}s`;
 
         const truncatedMessage = message.length > 150 ? message.substring(0, 150) + '...' : message;
+        const unknownPlaceholders = findUnknownPlaceholders(message);
+        const rendered = renderMessageTemplate(message, getSampleMessageValues());
+        const conditions = describeMessageConditions(getMessageConditions(currentConfig, message), getRuleGroups(currentConfig));
+        const packId = currentConfig.messageSettings[message]?.packId;
+        const pack = currentConfig.messagePacks.find(entry => entry.id === packId);
+        messageItem.classList.toggle('pack-disabled', !isMessagePackEnabled(currentConfig, message));
 
         messageItem.innerHTML = `
             <div class="message-text" title="${escapeHtml(message)}">"${escapeHtml(truncatedMessage)}"</div>
+            ${rendered !== message ? `<div class="message-preview">Preview: ${escapeHtml(rendered)}</div>` : ''}
+            ${unknownPlaceholders.length > 0
+                ? `<div class="message-warning">⚠️ Unknown placeholder: ${escapeHtml(unknownPlaceholders.map(name => `{${name}}`).join(', '))}</div>`
+                : ''}
+            ${conditions ? `<div class="message-conditions">🎯 Only ${escapeHtml(conditions)}</div>` : ''}
+            ${pack ? `<div class="message-pack">📦 ${escapeHtml(pack.name)}${pack.enabled ? '' : ' (disabled)'}</div>` : ''}
             <div class="message-actions">
+                ${currentConfig.messageRotation === 'weighted' ? `
+                <label class="message-weight" title="0 never shows the message, 10 shows it ten times as often as 1">
+                    Weight <input type="number" class="message-weight-input" min="0" max="10" value="${getMessageWeight(currentConfig, message)}">
+                </label>` : ''}
+                ${currentConfig.messageRotation === 'escalation'
+                    ? `<span class="message-step">Block ${index + 1}${index === currentConfig.despairMessages.length - 1 ? '+' : ''} of a site today</span>`
+                    : ''}
+                ${index > 0 ? `<button class="move-message-up" data-index="${index}" title="Move up">⬆️</button>` : ''}
                 <button class="edit-message" data-index="${index}" title="Edit message">✏️</button>
+                <button class="edit-message-conditions" data-index="${index}" title="When this message can show">🎯</button>
                 <button class="test-message" data-index="${index}" title="Test this message">🧪</button>
                 <button class="remove-message" data-index="${index}" title="Remove message">🗑️</button>
             </div>
@@ -406,11 +632,344 @@ function updateMessagesList() {
         const removeBtn = messageItem.querySelector('.remove-message');
 
         editBtn.addEventListener('click', () => editMessage(index));
+        messageItem.querySelector('.move-message-up')?.addEventListener('click', () => moveMessageUp(index));
+        messageItem.querySelector('.edit-message-conditions').addEventListener('click', () => {
+            toggleMessageConditionsEditor(messageItem, message);
+        });
+        messageItem.querySelector('.message-weight-input')?.addEventListener('change', (e) => {
+            updateMessageWeight(message, e.target);
+        });
         testBtn.addEventListener('click', () => testSpecificMessage(index));
         removeBtn.addEventListener('click', () => removeMessage(index));
 
         elements.messagesList.appendChild(messageItem);
     });
+
+    // Pack message counts follow the list
+    updateMessagePacksList();
+}
+
+/**
+ * Update the installed message packs
+ */
+function updateMessagePacksList() {
+    elements.messagePacksList.innerHTML = '';
+
+    if (currentConfig.messagePacks.length === 0) {
+        elements.messagePacksList.innerHTML = '<div class="empty-state">No packs installed.</div>';
+        return;
+    }
+
+    currentConfig.messagePacks.forEach(pack => {
+        const details = [pack.author && `by ${pack.author}`, pack.language, `${getMessagePackMessages(currentConfig, pack.id).length} messages`];
+        const packItem = document.createElement('div');
+        packItem.className = 'site-item message-pack-item';
+
+        packItem.innerHTML = `
+            <div>
+                <span class="site-name">${escapeHtml(pack.name)}</span>
+                <span class="message-pack-details">${escapeHtml(details.filter(Boolean).join(' · '))}</span>
+            </div>
+            <div class="site-actions">
+                <label class="toggle-switch">
+                    <input type="checkbox" class="pack-enabled" ${pack.enabled ? 'checked' : ''}>
+                    <span class="toggle-slider"></span>
+                </label>
+                <button class="export-pack" title="Export pack">📤</button>
+                <button class="remove-pack" title="Remove pack and its messages">🗑️</button>
+            </div>
+        `;
+
+        packItem.querySelector('.pack-enabled').addEventListener('change', (e) => {
+            pack.enabled = e.target.checked;
+            updateMessagesList();
+            markUnsavedChanges();
+            showStatus(`${pack.name} ${pack.enabled ? 'enabled' : 'disabled'}`, 'info');
+        });
+        packItem.querySelector('.export-pack').addEventListener('click', () => exportMessagePack(pack.id));
+        packItem.querySelector('.remove-pack').addEventListener('click', () => removeInstalledMessagePack(pack.id));
+
+        elements.messagePacksList.appendChild(packItem);
+    });
+}
+
+/**
+ * Find what keeps the settings from being saved once a pack is in them
+ * Problems the settings had before the pack are not the pack's.
+ * Returns a message for the user, or null when the pack fits
+ */
+function findMessagePackProblem(before, after) {
+    const known = validateConfig(before).map(formatConfigError);
+    const error = validateConfig(after).find(entry => !known.includes(formatConfigError(entry)));
+    if (!error) {
+        return null;
+    }
+
+    const index = error.path.match(/^despairMessages\[(\d+)\]$/)?.[1];
+    return index !== undefined ? `"${after.despairMessages[index]}" ${error.message}` : formatConfigError(error);
+}
+
+/**
+ * Import a message pack file, or update the installed pack with the same id
+ */
+function importMessagePack() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+
+    input.onchange = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const parsed = parseMessagePack(JSON.parse(await file.text()));
+
+            // A pack the settings could not be saved with is not taken
+            const config = JSON.parse(JSON.stringify(currentConfig));
+            const { added, removed, updated } = applyMessagePack(config, parsed);
+            const problem = findMessagePackProblem(currentConfig, config);
+            if (problem) {
+                throw new Error(problem);
+            }
+            currentConfig = config;
+
+            updateMessagesList();
+            markUnsavedChanges();
+
+            showStatus(updated
+                ? `Updated ${parsed.pack.name}: ${added} new, ${removed} removed`
+                : `Imported ${parsed.pack.name} with ${added} new messages`, 'success');
+
+        } catch (error) {
+            console.error('Message pack import error:', error);
+            showStatus(error instanceof SyntaxError
+                ? 'Error importing message pack. Please check the file format.'
+                : `Error importing message pack: ${error.message}`, 'error');
+        }
+    };
+
+    input.click();
+}
+
+/**
+ * Download an installed pack with its current messages
+ */
+function exportMessagePack(packId) {
+    const pack = buildMessagePack(currentConfig, packId);
+    const dataBlob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(dataBlob);
+    link.download = `despair-blocker-pack-${pack.id}.json`;
+    link.click();
+
+    showStatus(`Exported ${pack.name}`, 'success');
+}
+
+/**
+ * Remove a pack together with its messages
+ */
+function removeInstalledMessagePack(packId) {
+    const pack = currentConfig.messagePacks.find(entry => entry.id === packId);
+    const count = getMessagePackMessages(currentConfig, packId).length;
+
+    if (count >= currentConfig.despairMessages.length) {
+        showStatus('You must have at least one despair message, add one of your own first', 'error');
+        return;
+    }
+
+    if (!confirm(`Remove ${pack.name} and its ${count} messages?`)) {
+        return;
+    }
+
+    removeMessagePack(currentConfig, packId);
+    updateMessagesList();
+    markUnsavedChanges();
+    showStatus(`${pack.name} removed`, 'info');
+}
+
+/**
+ * List the supported placeholders, clicking one inserts it into the new message
+ */
+function updateMessageVariables() {
+    elements.messageVariables.innerHTML = 'Placeholders: ' + Object.entries(MESSAGE_VARIABLES)
+        .map(([name, variable]) => `<code data-name="${name}" title="${escapeHtml(variable.description)}">{${name}}</code>`)
+        .join(' ');
+
+    elements.messageVariables.querySelectorAll('code').forEach(code => {
+        code.addEventListener('click', () => {
+            const input = elements.newMessageInput;
+            const position = input.selectionStart ?? input.value.length;
+            input.value = `${input.value.slice(0, position)}{${code.dataset.name}}${input.value.slice(position)}`;
+            input.focus();
+            updateMessagePreview();
+        });
+    });
+}
+
+/**
+ * Preview the new message with sample values and flag unknown placeholders
+ */
+function updateMessagePreview() {
+    const message = elements.newMessageInput.value.trim();
+    const placeholders = findMessagePlaceholders(message);
+
+    elements.newMessagePreview.hidden = placeholders.length === 0;
+    if (placeholders.length === 0) {
+        return;
+    }
+
+    const unknownPlaceholders = findUnknownPlaceholders(message);
+    elements.newMessagePreview.classList.toggle('has-unknown', unknownPlaceholders.length > 0);
+    elements.newMessagePreview.textContent = unknownPlaceholders.length > 0
+        ? `Unknown placeholder: ${unknownPlaceholders.map(name => `{${name}}`).join(', ')}`
+        : `Preview: ${renderMessageTemplate(message, getSampleMessageValues())}`;
+}
+
+/**
+ * Update how messages take turns
+ */
+function updateMessageRotation() {
+    currentConfig.messageRotation = elements.messageRotation.value;
+    updateMessagesList();
+    markUnsavedChanges();
+    showStatus(`Message rotation: ${elements.messageRotation.selectedOptions[0].textContent}`, 'info');
+}
+
+/**
+ * Update the weight of a message in weighted rotation
+ */
+function updateMessageWeight(message, input) {
+    const weight = parseInt(input.value, 10);
+
+    if (!Number.isInteger(weight) || weight < 0 || weight > 10) {
+        showStatus('Weight must be a whole number from 0 to 10', 'error');
+        input.value = getMessageWeight(currentConfig, message);
+        return;
+    }
+
+    currentConfig.messageSettings[message] = { ...currentConfig.messageSettings[message], weight };
+    markUnsavedChanges();
+    showStatus(weight === 0 ? 'Message will not be shown' : `Message weight set to ${weight}`, 'info');
+}
+
+/**
+ * Open or close the conditions form under a message
+ */
+function toggleMessageConditionsEditor(messageItem, message) {
+    const openEditor = messageItem.querySelector('.message-conditions-editor');
+    if (openEditor) {
+        openEditor.remove();
+        return;
+    }
+
+    const conditions = getMessageConditions(currentConfig, message) || {};
+    const editor = document.createElement('div');
+    editor.className = 'message-conditions-editor';
+    editor.innerHTML = `
+        <label>Sites
+            <input type="text" class="conditions-sites" placeholder="youtube.com, *.reddit.com" value="${escapeHtml((conditions.sites || []).join(', '))}">
+        </label>
+        <div class="conditions-choices">Groups
+            ${getRuleGroups(currentConfig).map(group => `
+            <label><input type="checkbox" class="conditions-group" value="${escapeHtml(group.id)}"
+                ${(conditions.groups || []).includes(group.id) ? 'checked' : ''}> ${escapeHtml(group.name)}</label>`).join('')}
+        </div>
+        <label>Times of day
+            <input type="text" class="conditions-times" placeholder="22:00-06:00, 12:00-13:00"
+                value="${escapeHtml((conditions.timeRanges || []).map(range => `${range.start}-${range.end}`).join(', '))}">
+        </label>
+        <div class="conditions-choices">Weekdays
+            ${DAY_NAMES.map((day, index) => `
+            <label><input type="checkbox" class="conditions-weekday" value="${index}"
+                ${(conditions.weekdays || []).includes(index) ? 'checked' : ''}> ${day}</label>`).join('')}
+        </div>
+        <label>At least
+            <input type="number" class="conditions-ignores" min="0" max="100" value="${conditions.minIgnoresToday || 0}">
+            ignores today
+        </label>
+        <p>Sites and groups are alternatives, everything else has to fit too. Leave a field empty to not limit by it.</p>
+        <div class="message-actions">
+            <button class="btn btn-secondary clear-conditions">Always show</button>
+            <button class="btn btn-primary save-conditions">Save conditions</button>
+        </div>
+    `;
+
+    editor.querySelector('.save-conditions').addEventListener('click', () => saveMessageConditions(message, editor));
+    editor.querySelector('.clear-conditions').addEventListener('click', () => {
+        const settings = { ...currentConfig.messageSettings[message] };
+        delete settings.conditions;
+        currentConfig.messageSettings[message] = settings;
+
+        updateMessagesList();
+        markUnsavedChanges();
+        showStatus('Message can show on every block', 'info');
+    });
+
+    messageItem.appendChild(editor);
+    editor.querySelector('.conditions-sites').focus();
+}
+
+/**
+ * Store the conditions entered in a message's conditions form
+ * Empty fields are left out, a form with nothing set removes the conditions
+ */
+function saveMessageConditions(message, editor) {
+    const splitList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+    const timeRanges = splitList(editor.querySelector('.conditions-times').value).map(range => {
+        const [start, end] = range.split('-').map(time => time.trim());
+        return { start, end };
+    });
+
+    const conditions = {
+        sites: splitList(editor.querySelector('.conditions-sites').value).map(normalizeSiteEntry),
+        groups: [...editor.querySelectorAll('.conditions-group:checked')].map(input => input.value),
+        timeRanges,
+        weekdays: [...editor.querySelectorAll('.conditions-weekday:checked')].map(input => Number(input.value)),
+        minIgnoresToday: parseInt(editor.querySelector('.conditions-ignores').value, 10) || 0
+    };
+
+    const problems = findMessageConditionProblems(conditions);
+    if (problems.length > 0) {
+        showStatus(`Conditions not saved: ${problems.join(', ')}`, 'error');
+        return;
+    }
+
+    Object.keys(conditions).forEach(key => {
+        if (Array.isArray(conditions[key]) ? conditions[key].length === 0 : conditions[key] === 0) {
+            delete conditions[key];
+        }
+    });
+
+    const settings = { ...currentConfig.messageSettings[message] };
+    delete settings.conditions;
+    currentConfig.messageSettings[message] = Object.keys(conditions).length > 0 ? { ...settings, conditions } : settings;
+
+    updateMessagesList();
+    markUnsavedChanges();
+    showStatus(Object.keys(conditions).length > 0 ? 'Message conditions updated' : 'Message can show on every block', 'info');
+}
+
+/**
+ * Move a message one place up, escalation shows messages top to bottom
+ */
+function moveMessageUp(index) {
+    const messages = currentConfig.despairMessages;
+    [messages[index - 1], messages[index]] = [messages[index], messages[index - 1]];
+
+    updateMessagesList();
+    markUnsavedChanges();
+}
+
+/**
+ * Update the deadline filled into {deadline}
+ */
+function updateDeadline() {
+    currentConfig.deadline = elements.messageDeadline.value;
+    markUnsavedChanges();
+    showStatus(currentConfig.deadline
+        ? `Deadline set to ${formatMessageDeadline(currentConfig.deadline)}`
+        : 'Deadline cleared', 'info');
 }
 
 /**
@@ -441,6 +1000,54 @@ function updateStatistics() {
     }
 }
 
+/**
+ * Update the streak summary and the calendar heatmap of past days
+ * One column per week, Sunday on top
+ */
+async function updateScoreHeatmap() {
+    try {
+        const events = await getBlockHistory();
+        const now = new Date();
+        const scorecard = getScorecard(events, currentConfig, now);
+
+        elements.streakSummary.innerHTML = `
+            <span>🔥 Current streak: <strong>${scorecard.streak}</strong> days</span>
+            <span>🏆 Best streak: <strong>${scorecard.bestStreak}</strong> days</span>
+            <span>Today: ${scorecard.resistedToday} resisted / ${scorecard.gaveInToday} gave in</span>
+        `;
+
+        // Start the grid on a Sunday so weekdays line up in rows
+        const days = BLOCK_HISTORY_DAYS - (BLOCK_HISTORY_DAYS % 7) + now.getDay() + 1;
+        const scores = getDailyScores(events, days, now);
+
+        // Days before the first recorded block have nothing to judge
+        const historyStart = events.length > 0
+            ? new Date(Math.min(...events.map(event => event.timestamp))).setHours(0, 0, 0, 0)
+            : Infinity;
+
+        elements.scoreHeatmap.innerHTML = '';
+        scores.forEach(score => {
+            const date = new Date(`${score.day}T00:00:00`);
+            const cell = document.createElement('div');
+
+            let level = 'no-window';
+            if (score.gaveIn > 0) {
+                level = `gave-in-${Math.min(score.gaveIn, 3)}`;
+            } else if (score.resisted > 0) {
+                level = 'resisted';
+            } else if (date.getTime() >= historyStart && hasBlockingWindow(currentConfig, date)) {
+                level = 'clean';
+            }
+
+            cell.className = `heatmap-day ${level}`;
+            cell.title = `${date.toLocaleDateString()}: ${score.resisted} resisted, ${score.gaveIn} gave in`;
+            elements.scoreHeatmap.appendChild(cell);
+        });
+    } catch (error) {
+        console.error('Despair Blocker: Scorecard error:', error);
+    }
+}
+
 /**
  * Add new blocked site
  */
@@ -455,16 +1062,16 @@ function addSite() {
 
     // Validate URL format
     if (!isValidSiteUrl(siteInput)) {
-        showStatus('Please enter a valid website URL (e.g., youtube.com)', 'error');
+        showStatus('Please enter a valid site rule (e.g., youtube.com, *.reddit.com or reddit.com/r/all)', 'error');
         elements.newSiteInput.focus();
         return;
     }
 
     // Clean up the input
-    const cleanSite = cleanSiteUrl(siteInput);
+    const cleanSite = normalizeSiteEntry(siteInput);
 
     // Check if site already exists
-    if (currentConfig.blockedSites.some(site => site.toLowerCase() === cleanSite.toLowerCase())) {
+    if (currentConfig.blockedSites.some(site => site === cleanSite)) {
         showStatus('This site is already blocked', 'error');
         elements.newSiteInput.focus();
         return;
@@ -495,16 +1102,16 @@ function editSite(index) {
         return; // User cancelled
     }
 
-    const cleanNewSite = cleanSiteUrl(newSite.trim());
+    const cleanNewSite = normalizeSiteEntry(newSite.trim());
 
-    if (!cleanNewSite) {
+    if (!cleanNewSite || !isValidSiteUrl(cleanNewSite)) {
         showStatus('Please enter a valid website URL', 'error');
         return;
     }
 
     // Check if new site already exists (excluding current one)
     const existingIndex = currentConfig.blockedSites.findIndex((site, i) =>
-        i !== index && site.toLowerCase() === cleanNewSite.toLowerCase()
+        i !== index && site === cleanNewSite
     );
 
     if (existingIndex !== -1) {
@@ -512,6 +1119,12 @@ function editSite(index) {
         return;
     }
 
+    // Keep the daily budget with the renamed entry
+    if (currentConfig.siteBudgets[currentSite]) {
+        currentConfig.siteBudgets[cleanNewSite] = currentConfig.siteBudgets[currentSite];
+        delete currentConfig.siteBudgets[currentSite];
+    }
+
     // Update the site
     currentConfig.blockedSites[index] = cleanNewSite;
     updateSitesList();
@@ -525,6 +1138,10 @@ function editSite(index) {
 function removeSite(index) {
     const removedSite = currentConfig.blockedSites[index];
 
+    if (rejectIfLocked(`removing ${removedSite}`)) {
+        return;
+    }
+
     if (!confirm(`Are you sure you want to remove "${removedSite}" from blocked sites?`)) {
         return;
     }
@@ -536,38 +1153,76 @@ function removeSite(index) {
 }
 
 /**
- * Validate site URL format
+ * Add new allowlist exception
  */
-function isValidSiteUrl(url) {
-    // Basic validation for domain names
-    const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9]?\.?[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9]\.[a-zA-Z]{2,}$/;
-    const cleanUrl = cleanSiteUrl(url);
-
-    // Allow simple domain names and subdomains
-    return cleanUrl.length > 0 && (
-        domainRegex.test(cleanUrl) ||
-        cleanUrl.includes('.') ||
-        cleanUrl.length > 3 // Allow simple cases like "reddit"
-    );
+function addAllowedSite() {
+    const siteInput = elements.newAllowedSiteInput.value.trim();
+
+    if (!siteInput) {
+        showStatus('Please enter a website URL', 'error');
+        elements.newAllowedSiteInput.focus();
+        return;
+    }
+
+    if (!isValidSiteUrl(siteInput)) {
+        showStatus('Please enter a valid site rule (e.g., music.youtube.com or youtube.com/watch?v=...)', 'error');
+        elements.newAllowedSiteInput.focus();
+        return;
+    }
+
+    const cleanSite = normalizeSiteEntry(siteInput);
+
+    if (rejectIfLocked(`allowing ${cleanSite}`)) {
+        return;
+    }
+
+    if (currentConfig.allowedSites.includes(cleanSite)) {
+        showStatus('This site is already allowed', 'error');
+        elements.newAllowedSiteInput.focus();
+        return;
+    }
+
+    currentConfig.allowedSites.push(cleanSite);
+
+    updateAllowedSitesList();
+    elements.newAllowedSiteInput.value = '';
+
+    markUnsavedChanges();
+    showStatus(`Added ${cleanSite} to allowed sites`, 'success');
+
+    elements.newAllowedSiteInput.focus();
+}
+
+/**
+ * Remove allowlist exception
+ */
+function removeAllowedSite(index) {
+    const removedSite = currentConfig.allowedSites[index];
+
+    currentConfig.allowedSites.splice(index, 1);
+    updateAllowedSitesList();
+    markUnsavedChanges();
+    showStatus(`Removed ${removedSite} from allowed sites`, 'info');
 }
 
 /**
- * Clean site URL for consistent storage
+ * Validate site rule format
+ * Accepts domains, *.domain wildcards, path prefixes, globs and /regex/ entries
  */
-function cleanSiteUrl(url) {
-    return url
-        .replace(/^https?:\/\//, '') // Remove protocol
-        .replace(/^www\./, '')       // Remove www
-        .replace(/\/$/, '')          // Remove trailing slash
-        .replace(/\/.*$/, '')        // Remove path
-        .toLowerCase()
-        .trim();
+function isValidSiteUrl(url) {
+    return parseSiteRule(normalizeSiteEntry(url)) !== null;
 }
 
 /**
  * Toggle schedule enabled/disabled
  */
 function toggleSchedule() {
+    // Turning the schedule on limits blocking to its windows
+    if (elements.scheduleEnabled.checked && rejectIfLocked('limiting blocking to the schedule')) {
+        elements.scheduleEnabled.checked = false;
+        return;
+    }
+
     currentConfig.schedule.enabled = elements.scheduleEnabled.checked;
     toggleScheduleVisibility();
     markUnsavedChanges();
@@ -590,82 +1245,479 @@ function toggleScheduleVisibility() {
 }
 
 /**
- * Update schedule time settings
+ * Render the General schedule editor
+ */
+function updateScheduleEditor() {
+    renderScheduleEditor(currentConfig.schedule, elements.scheduleWeek, elements.scheduleWarnings);
+}
+
+/**
+ * Render a weekly schedule editor into a container
+ * Days are listed Monday first, ranges keep their stored order
  */
-function updateScheduleTime() {
-    const startTime = elements.startTime.value;
-    const endTime = elements.endTime.value;
+function renderScheduleEditor(schedule, weekContainer, warningsContainer) {
+    const rerender = () => renderScheduleEditor(schedule, weekContainer, warningsContainer);
+
+    weekContainer.innerHTML = '';
+
+    [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+        const ranges = schedule.days[day];
+
+        const dayRow = document.createElement('div');
+        dayRow.className = `schedule-day${ranges.length > 0 ? ' has-ranges' : ''}`;
+        dayRow.innerHTML = `
+            <span class="schedule-day-name">${DAY_NAMES[day]}</span>
+            <div class="day-ranges"></div>
+            <button class="add-range" title="Add a blocking window">+ Add</button>
+        `;
+
+        const rangesContainer = dayRow.querySelector('.day-ranges');
+
+        if (ranges.length === 0) {
+            rangesContainer.innerHTML = '<span class="empty-day">No blocking</span>';
+        }
+
+        ranges.forEach((range, index) => {
+            const rangeItem = document.createElement('div');
+            rangeItem.className = 'range-item';
+            rangeItem.innerHTML = `
+                <input type="time" class="time-input range-start" value="${range.start}">
+                <span>→</span>
+                <input type="time" class="time-input range-end" value="${range.end}">
+                ${isOvernightRange(range) ? '<span class="overnight-badge" title="Runs past midnight">🌙 overnight</span>' : ''}
+                <button class="remove-range" title="Remove window">🗑️</button>
+            `;
+
+            rangeItem.querySelector('.range-start').addEventListener('change', (e) => updateScheduleRange(schedule, day, index, 'start', e.target.value, rerender));
+            rangeItem.querySelector('.range-end').addEventListener('change', (e) => updateScheduleRange(schedule, day, index, 'end', e.target.value, rerender));
+            rangeItem.querySelector('.remove-range').addEventListener('click', () => removeScheduleRange(schedule, day, index, rerender));
+
+            rangesContainer.appendChild(rangeItem);
+        });
+
+        dayRow.querySelector('.add-range').addEventListener('click', () => addScheduleRange(schedule, day, rerender));
+
+        weekContainer.appendChild(dayRow);
+    });
+
+    // Show overlapping ranges below the editor
+    warningsContainer.innerHTML = findScheduleOverlaps(schedule)
+        .map(overlap => `<div>${escapeHtml(overlap)}</div>`)
+        .join('');
+}
+
+/**
+ * Add a blocking window to a day
+ * New windows start where the previous one ends
+ */
+function addScheduleRange(schedule, day, rerender) {
+    const ranges = schedule.days[day];
+    const lastRange = ranges[ranges.length - 1];
+
+    let newRange = { start: '09:00', end: '17:00' };
+    if (lastRange) {
+        const startMinutes = timeStringToMinutes(lastRange.end);
+        const endMinutes = (startMinutes + 60) % (24 * 60);
+        newRange = { start: lastRange.end, end: minutesToTimeString(endMinutes) };
+    }
+
+    ranges.push(newRange);
+    rerender();
+    markUnsavedChanges();
+    showStatus(`Added ${formatTimeRange(newRange)} on ${DAY_NAMES[day]}`, 'success');
+}
+
+/**
+ * Update the start or end of a blocking window
+ */
+function updateScheduleRange(schedule, day, index, field, value, rerender) {
+    const range = schedule.days[day][index];
 
     // Validate time format
-    if (!isValidTimeString(startTime) || !isValidTimeString(endTime)) {
+    if (!isValidTimeString(value)) {
         showStatus('Please enter valid time format (HH:MM)', 'error');
+        rerender();
         return;
     }
 
-    // Validate time range
-    if (startTime >= endTime) {
-        showStatus('End time must be after start time', 'error');
-        // Reset to previous values
-        elements.startTime.value = currentConfig.schedule.startTime;
-        elements.endTime.value = currentConfig.schedule.endTime;
+    const updatedRange = { ...range, [field]: value };
+
+    if (updatedRange.start === updatedRange.end) {
+        showStatus('A blocking window cannot start and end at the same time', 'error');
+        rerender();
         return;
     }
 
-    // Check for reasonable work hours (not more than 16 hours)
-    const startMinutes = timeStringToMinutes(startTime);
-    const endMinutes = timeStringToMinutes(endTime);
-    const duration = endMinutes - startMinutes;
+    schedule.days[day][index] = updatedRange;
+    rerender();
+    markUnsavedChanges();
 
-    if (duration > 16 * 60) {
-        if (!confirm('You\'ve set a work period longer than 16 hours. Are you sure this is correct?')) {
-            elements.startTime.value = currentConfig.schedule.startTime;
-            elements.endTime.value = currentConfig.schedule.endTime;
-            return;
+    const overnightNote = isOvernightRange(updatedRange) ? ' (runs past midnight)' : '';
+    showStatus(`${DAY_NAMES[day]} window set to ${formatTimeRange(updatedRange)}${overnightNote}`, 'success');
+}
+
+/**
+ * Remove a blocking window from a day
+ */
+function removeScheduleRange(schedule, day, index, rerender) {
+    if (rejectIfLocked('removing a blocking window')) {
+        return;
+    }
+
+    const [removedRange] = schedule.days[day].splice(index, 1);
+    rerender();
+    markUnsavedChanges();
+    showStatus(`Removed ${formatTimeRange(removedRange)} on ${DAY_NAMES[day]}`, 'info');
+}
+
+/**
+ * Convert minutes since midnight to a time string
+ */
+function minutesToTimeString(totalMinutes) {
+    const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    return `${hours}:${minutes}`;
+}
+
+/**
+ * Update focus list in UI
+ */
+function updateFocusSitesList() {
+    elements.focusSitesList.innerHTML = '';
+
+    if (currentConfig.focus.focusSites.length === 0) {
+        elements.focusSitesList.innerHTML = '<div class="empty-state">No focus list. Focus sessions block every site.</div>';
+        return;
+    }
+
+    currentConfig.focus.focusSites.forEach((site, index) => {
+        const siteItem = document.createElement('div');
+        siteItem.className = 'site-item';
+
+        siteItem.innerHTML = `
+            <span class="site-name" title="${escapeHtml(site)}">${escapeHtml(site)}</span>
+            <div class="site-actions">
+                <button class="remove-site" data-index="${index}" title="Remove from focus list">🗑️</button>
+            </div>
+        `;
+
+        siteItem.querySelector('.remove-site').addEventListener('click', () => removeFocusSite(index));
+
+        elements.focusSitesList.appendChild(siteItem);
+    });
+}
+
+/**
+ * Add a site to the focus list
+ */
+function addFocusSite() {
+    const siteInput = elements.newFocusSiteInput.value.trim();
+
+    if (!isValidSiteUrl(siteInput)) {
+        showStatus('Please enter a valid site rule (e.g., youtube.com, *.reddit.com or reddit.com/r/all)', 'error');
+        elements.newFocusSiteInput.focus();
+        return;
+    }
+
+    const cleanSite = normalizeSiteEntry(siteInput);
+
+    if (currentConfig.focus.focusSites.includes(cleanSite)) {
+        showStatus('This site is already on the focus list', 'error');
+        elements.newFocusSiteInput.focus();
+        return;
+    }
+
+    currentConfig.focus.focusSites.push(cleanSite);
+    updateFocusSitesList();
+    elements.newFocusSiteInput.value = '';
+
+    markUnsavedChanges();
+    showStatus(`Added ${cleanSite} to the focus list`, 'success');
+}
+
+/**
+ * Remove a site from the focus list
+ */
+function removeFocusSite(index) {
+    if (rejectIfLocked('shrinking the focus list')) {
+        return;
+    }
+
+    const [removedSite] = currentConfig.focus.focusSites.splice(index, 1);
+    updateFocusSitesList();
+    markUnsavedChanges();
+    showStatus(`Removed ${removedSite} from the focus list`, 'info');
+}
+
+/**
+ * Update focus and break lengths
+ */
+function updateFocusDurations() {
+    const workMinutes = parseInt(elements.focusWorkMinutes.value, 10);
+    const breakMinutes = parseInt(elements.focusBreakMinutes.value, 10);
+
+    if (!Number.isInteger(workMinutes) || workMinutes < 1 || workMinutes > 240 ||
+        !Number.isInteger(breakMinutes) || breakMinutes < 1 || breakMinutes > 120) {
+        showStatus('Focus must be 1-240 minutes and breaks 1-120 minutes', 'error');
+        elements.focusWorkMinutes.value = currentConfig.focus.workMinutes;
+        elements.focusBreakMinutes.value = currentConfig.focus.breakMinutes;
+        return;
+    }
+
+    currentConfig.focus.workMinutes = workMinutes;
+    currentConfig.focus.breakMinutes = breakMinutes;
+    markUnsavedChanges();
+    showStatus(`Focus sessions: ${workMinutes} minutes on, ${breakMinutes} minutes off`, 'success');
+}
+
+/**
+ * Update rule groups list in UI
+ * Each group card holds its own sites, schedule, messages and TTS toggle
+ */
+function updateGroupsList() {
+    elements.groupsList.innerHTML = '';
+
+    if (currentConfig.groups.length === 0) {
+        elements.groupsList.innerHTML = '<div class="empty-state">No extra groups. Everything follows the General settings above.</div>';
+        return;
+    }
+
+    currentConfig.groups.forEach((group, groupIndex) => {
+        const groupCard = document.createElement('div');
+        groupCard.className = 'group-card';
+
+        groupCard.innerHTML = `
+            <div class="group-header">
+                <span class="group-name">${escapeHtml(group.name)}</span>
+                <div class="site-actions">
+                    <button class="rename-group" title="Rename group">✏️</button>
+                    <button class="remove-group" title="Remove group">🗑️</button>
+                </div>
+            </div>
+            <div class="group-toggles">
+                <label class="toggle-switch">
+                    <input type="checkbox" class="group-schedule-enabled" ${group.schedule.enabled ? 'checked' : ''}>
+                    <span class="toggle-slider"></span>
+                    <span class="toggle-label">Use schedule</span>
+                </label>
+                <label class="toggle-switch">
+                    <input type="checkbox" class="group-tts" ${group.enableTTS ? 'checked' : ''}>
+                    <span class="toggle-slider"></span>
+                    <span class="toggle-label">Text to Speech</span>
+                </label>
+            </div>
+            <div class="input-group">
+                <input type="text" class="group-site-input" placeholder="Add a site to ${escapeHtml(group.name)}">
+                <button class="btn btn-secondary group-add-site">Add Site</button>
+            </div>
+            <div class="sites-list group-sites"></div>
+            <div class="group-schedule">
+                <div class="schedule-week"></div>
+                <div class="schedule-warnings"></div>
+            </div>
+            <textarea class="message-textarea group-messages"
+                placeholder="One message per line. Leave empty to use the General messages.">${escapeHtml(group.despairMessages.join('\n'))}</textarea>
+        `;
+
+        // Sites
+        const sitesList = groupCard.querySelector('.group-sites');
+        if (group.sites.length === 0) {
+            sitesList.innerHTML = '<div class="empty-state">No sites in this group yet.</div>';
         }
+
+        group.sites.forEach((site, siteIndex) => {
+            const siteItem = document.createElement('div');
+            siteItem.className = 'site-item';
+            siteItem.innerHTML = `
+                <span class="site-name" title="${escapeHtml(site)}">${escapeHtml(site)}</span>
+                ${getBudgetBadgeHtml(site)}
+                <div class="site-actions">
+                    <button class="budget-site" title="Set daily time budget">⏳</button>
+                    <button class="remove-site" title="Remove site">🗑️</button>
+                </div>
+            `;
+            siteItem.querySelector('.budget-site').addEventListener('click', () => editSiteBudget(site, updateGroupsList));
+            siteItem.querySelector('.remove-site').addEventListener('click', () => removeGroupSite(groupIndex, siteIndex));
+            sitesList.appendChild(siteItem);
+        });
+
+        const siteInput = groupCard.querySelector('.group-site-input');
+        groupCard.querySelector('.group-add-site').addEventListener('click', () => addGroupSite(groupIndex, siteInput));
+        siteInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addGroupSite(groupIndex, siteInput);
+            }
+        });
+
+        // Schedule
+        const scheduleContainer = groupCard.querySelector('.group-schedule');
+        renderScheduleEditor(
+            group.schedule,
+            scheduleContainer.querySelector('.schedule-week'),
+            scheduleContainer.querySelector('.schedule-warnings')
+        );
+        scheduleContainer.classList.toggle('disabled', !group.schedule.enabled);
+
+        groupCard.querySelector('.group-schedule-enabled').addEventListener('change', (e) => {
+            if (e.target.checked && rejectIfLocked(`limiting ${group.name} to its schedule`)) {
+                e.target.checked = false;
+                return;
+            }
+
+            group.schedule.enabled = e.target.checked;
+            scheduleContainer.classList.toggle('disabled', !group.schedule.enabled);
+            markUnsavedChanges();
+            showStatus(`${group.name} schedule ${group.schedule.enabled ? 'enabled' : 'disabled'}`, 'info');
+        });
+
+        // Messages and TTS
+        groupCard.querySelector('.group-messages').addEventListener('change', (e) => {
+            group.despairMessages = e.target.value
+                .split('\n')
+                .map(message => message.trim())
+                .filter(message => message.length > 0);
+            markUnsavedChanges();
+
+            const unknownPlaceholders = group.despairMessages.flatMap(findUnknownPlaceholders);
+            if (unknownPlaceholders.length > 0) {
+                showStatus(`Unknown placeholder {${unknownPlaceholders[0]}} in ${group.name} messages`, 'error');
+            }
+        });
+
+        groupCard.querySelector('.group-tts').addEventListener('change', (e) => {
+            group.enableTTS = e.target.checked;
+            markUnsavedChanges();
+            showStatus(`Text-to-speech ${group.enableTTS ? 'enabled' : 'disabled'} for ${group.name}`, 'info');
+        });
+
+        groupCard.querySelector('.rename-group').addEventListener('click', () => renameGroup(groupIndex));
+        groupCard.querySelector('.remove-group').addEventListener('click', () => removeGroup(groupIndex));
+
+        elements.groupsList.appendChild(groupCard);
+    });
+}
+
+/**
+ * Add a new rule group
+ * New groups start with a copy of the General schedule
+ */
+function addGroup() {
+    const name = elements.newGroupInput.value.trim();
+
+    if (!name) {
+        showStatus('Please enter a group name', 'error');
+        elements.newGroupInput.focus();
+        return;
     }
 
-    currentConfig.schedule.startTime = startTime;
-    currentConfig.schedule.endTime = endTime;
+    if (name.toLowerCase() === 'general' ||
+        currentConfig.groups.some(group => group.name.toLowerCase() === name.toLowerCase())) {
+        showStatus('A group with this name already exists', 'error');
+        elements.newGroupInput.focus();
+        return;
+    }
+
+    currentConfig.groups.push({
+        id: createGroupId(),
+        name,
+        sites: [],
+        schedule: JSON.parse(JSON.stringify(currentConfig.schedule)),
+        despairMessages: [],
+        enableTTS: currentConfig.enableTTS
+    });
+
+    updateGroupsList();
+    elements.newGroupInput.value = '';
 
     markUnsavedChanges();
-    showStatus('Schedule times updated', 'success');
+    showStatus(`Created group ${name}`, 'success');
 }
 
 /**
- * Convert time string to minutes since midnight
+ * Rename a rule group
  */
-function timeStringToMinutes(timeString) {
-    const [hours, minutes] = timeString.split(':').map(Number);
-    return hours * 60 + minutes;
+function renameGroup(groupIndex) {
+    const group = currentConfig.groups[groupIndex];
+    const newName = prompt('Rename group:', group.name);
+
+    if (newName === null || newName.trim() === group.name) {
+        return; // User cancelled or no change
+    }
+
+    if (!newName.trim()) {
+        showStatus('Group name cannot be empty', 'error');
+        return;
+    }
+
+    group.name = newName.trim();
+    updateGroupsList();
+    markUnsavedChanges();
+    showStatus(`Renamed group to ${group.name}`, 'success');
+}
+
+/**
+ * Remove a rule group
+ */
+function removeGroup(groupIndex) {
+    const group = currentConfig.groups[groupIndex];
+
+    if (rejectIfLocked(`removing the ${group.name} group`)) {
+        return;
+    }
+
+    if (!confirm(`Remove the group "${group.name}" and its ${group.sites.length} sites?`)) {
+        return;
+    }
+
+    currentConfig.groups.splice(groupIndex, 1);
+    updateGroupsList();
+    markUnsavedChanges();
+    showStatus(`Removed group ${group.name}`, 'info');
+}
+
+/**
+ * Add a site to a rule group
+ */
+function addGroupSite(groupIndex, input) {
+    const group = currentConfig.groups[groupIndex];
+    const siteInput = input.value.trim();
+
+    if (!isValidSiteUrl(siteInput)) {
+        showStatus('Please enter a valid site rule (e.g., youtube.com, *.reddit.com or reddit.com/r/all)', 'error');
+        input.focus();
+        return;
+    }
+
+    const cleanSite = normalizeSiteEntry(siteInput);
+
+    if (group.sites.includes(cleanSite)) {
+        showStatus(`${cleanSite} is already in ${group.name}`, 'error');
+        input.focus();
+        return;
+    }
+
+    group.sites.push(cleanSite);
+    updateGroupsList();
+
+    markUnsavedChanges();
+    showStatus(`Added ${cleanSite} to ${group.name}`, 'success');
 }
 
 /**
- * Update work days selection
+ * Remove a site from a rule group
  */
-function updateWorkDays() {
-    const selectedDays = [];
-    elements.workdayCheckboxes.forEach(checkbox => {
-        if (checkbox.checked) {
-            selectedDays.push(parseInt(checkbox.value));
-        }
-    });
+function removeGroupSite(groupIndex, siteIndex) {
+    const group = currentConfig.groups[groupIndex];
 
-    if (selectedDays.length === 0) {
-        showStatus('Please select at least one work day', 'error');
-        // Reset to previous selection
-        elements.workdayCheckboxes.forEach(checkbox => {
-            const day = parseInt(checkbox.value);
-            checkbox.checked = currentConfig.schedule.workDays.includes(day);
-        });
+    if (rejectIfLocked(`removing ${group.sites[siteIndex]}`)) {
         return;
     }
+    const [removedSite] = group.sites.splice(siteIndex, 1);
 
-    currentConfig.schedule.workDays = selectedDays;
+    updateGroupsList();
     markUnsavedChanges();
-
-    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    const selectedDayNames = selectedDays.map(day => dayNames[day]).join(', ');
-    showStatus(`Work days updated: ${selectedDayNames}`, 'success');
+    showStatus(`Removed ${removedSite} from ${group.name}`, 'info');
 }
 
 /**
@@ -692,6 +1744,13 @@ function addMessage() {
         return;
     }
 
+    const unknownPlaceholders = findUnknownPlaceholders(messageInput);
+    if (unknownPlaceholders.length > 0) {
+        showStatus(`Unknown placeholder {${unknownPlaceholders[0]}}. Use one of the listed placeholders.`, 'error');
+        elements.newMessageInput.focus();
+        return;
+    }
+
     // Check for duplicate messages
     if (currentConfig.despairMessages.some(msg => msg.toLowerCase() === messageInput.toLowerCase())) {
         showStatus('This message already exists', 'error');
@@ -741,6 +1800,12 @@ function editMessage(index) {
         return;
     }
 
+    const unknownPlaceholders = findUnknownPlaceholders(trimmedMessage);
+    if (unknownPlaceholders.length > 0) {
+        showStatus(`Unknown placeholder {${unknownPlaceholders[0]}}. Use one of the listed placeholders.`, 'error');
+        return;
+    }
+
     // Check for duplicates (excluding current message)
     const existingIndex = currentConfig.despairMessages.findIndex((msg, i) =>
         i !== index && msg.toLowerCase() === trimmedMessage.toLowerCase()
@@ -751,7 +1816,11 @@ function editMessage(index) {
         return;
     }
 
-    // Update the message
+    // Update the message, its settings move along with it
+    if (currentConfig.messageSettings[currentMessage] && trimmedMessage !== currentMessage) {
+        currentConfig.messageSettings[trimmedMessage] = currentConfig.messageSettings[currentMessage];
+        delete currentConfig.messageSettings[currentMessage];
+    }
     currentConfig.despairMessages[index] = trimmedMessage;
     updateMessagesList();
     markUnsavedChanges();
@@ -773,7 +1842,8 @@ function removeMessage(index) {
         return;
     }
 
-    currentConfig.despairMessages.splice(index, 1);
+    const [removedMessage] = currentConfig.despairMessages.splice(index, 1);
+    delete currentConfig.messageSettings[removedMessage];
     updateMessagesList();
     markUnsavedChanges();
     showStatus('Despair message removed', 'info');
@@ -784,7 +1854,7 @@ function removeMessage(index) {
  */
 function testSpecificMessage(index) {
     const message = currentConfig.despairMessages[index];
-    showTestBlockOverlay(message);
+    showTestBlockOverlay(renderMessageTemplate(message, getSampleMessageValues()));
 }
 
 /**
@@ -796,6 +1866,182 @@ function updateTTSSetting() {
     showStatus(`Text-to-speech ${currentConfig.enableTTS ? 'enabled' : 'disabled'}`, 'info');
 }
 
+/**
+ * List the voices speechSynthesis knows, they arrive asynchronously in Chrome
+ * A saved voice that is not installed here stays selectable
+ */
+function updateVoiceOptions() {
+    const voices = 'speechSynthesis' in window ? speechSynthesis.getVoices() : [];
+    const names = voices.map(voice => voice.name);
+    const saved = currentConfig.tts.voice;
+
+    elements.ttsVoice.innerHTML = '<option value="">Browser default</option>' + voices
+        .map(voice => `<option value="${escapeHtml(voice.name)}">${escapeHtml(voice.name)} (${escapeHtml(voice.lang)})</option>`)
+        .join('') + (saved && !names.includes(saved)
+        ? `<option value="${escapeHtml(saved)}">${escapeHtml(saved)} (not installed)</option>`
+        : '');
+
+    elements.ttsVoice.value = saved;
+}
+
+/**
+ * Update voice, language, speed and timing of spoken messages
+ */
+function updateTTSVoiceSettings() {
+    const values = {};
+
+    for (const [key, { min, max }] of Object.entries(getTTSLimits())) {
+        const input = elements[TTS_NUMBER_INPUTS[key]];
+        const value = parseFloat(input.value);
+
+        if (!Number.isFinite(value) || value < min || value > max) {
+            showStatus(`${input.labels[0].textContent} must be between ${min} and ${max}`, 'error');
+            input.value = currentConfig.tts[key];
+            return;
+        }
+
+        values[key] = value;
+    }
+
+    currentConfig.tts = {
+        voice: elements.ttsVoice.value,
+        lang: elements.ttsLang.value.trim(),
+        ...values,
+        oncePerSitePerHour: elements.ttsOncePerSitePerHour.checked,
+        useChromeTTS: elements.ttsUseChromeTTS.checked
+    };
+    markUnsavedChanges();
+    showStatus('Voice settings updated', 'info');
+}
+
+/**
+ * Fill the theme editor from the configuration
+ */
+function updateThemeEditor() {
+    const presets = getThemePresets();
+    const { theme } = currentConfig;
+
+    elements.themePreset.innerHTML = Object.entries(presets)
+        .map(([name, preset]) => `<option value="${name}">${escapeHtml(preset.label)}</option>`)
+        .join('') + '<option value="custom">Custom</option>';
+    elements.themePreset.value = theme.preset;
+
+    Object.entries(THEME_TEXT_INPUTS).forEach(([key, id]) => {
+        elements[id].value = theme[key];
+    });
+    Object.entries(THEME_COLOR_INPUTS).forEach(([key, id]) => {
+        elements[id].value = theme.colors[key];
+    });
+
+    updateThemePlaceholders();
+    updateThemePreview();
+}
+
+/**
+ * Show the texts of the chosen preset as placeholders, colours only for custom
+ */
+function updateThemePlaceholders() {
+    const preset = getThemePresets()[currentConfig.theme.preset] || getThemePresets().despair;
+
+    Object.entries(THEME_TEXT_INPUTS).forEach(([key, id]) => {
+        if (key !== 'footer') {
+            elements[id].placeholder = preset[key];
+        }
+    });
+
+    elements.themeColors.hidden = currentConfig.theme.preset !== 'custom';
+}
+
+/**
+ * Update the block theme from the editor and refresh the preview
+ */
+function updateTheme() {
+    const theme = {
+        preset: elements.themePreset.value,
+        ...Object.fromEntries(Object.entries(THEME_TEXT_INPUTS).map(([key, id]) => [key, elements[id].value.trim()])),
+        colors: Object.fromEntries(Object.entries(THEME_COLOR_INPUTS).map(([key, id]) => [key, elements[id].value]))
+    };
+
+    const problems = findThemeProblems(theme);
+    if (problems.length > 0) {
+        showStatus(`Theme not updated: ${problems[0]}`, 'error');
+        return;
+    }
+
+    currentConfig.theme = theme;
+    updateThemePlaceholders();
+    updateThemePreview();
+    markUnsavedChanges();
+}
+
+/**
+ * Draw the block with the current theme into the preview box
+ */
+function updateThemePreview() {
+    elements.themePreview.innerHTML = '';
+
+    blockPage({
+        message: renderMessageTemplate(currentConfig.despairMessages[0] || '', getSampleMessageValues()),
+        theme: getBlockTheme(currentConfig),
+        rule: 'youtube.com',
+        group: 'General',
+        windowEndsAt: Date.now() + 2 * 60 * 60 * 1000,
+        scorecard: { streak: 3, bestStreak: 5, resistedToday: 4, gaveInToday: 1 },
+        mode: 'preview',
+        container: elements.themePreview
+    });
+}
+
+/**
+ * Update hard mode setting
+ */
+function updateHardMode() {
+    if (!elements.hardMode.checked && rejectIfLocked('turning off hard mode')) {
+        elements.hardMode.checked = true;
+        return;
+    }
+
+    currentConfig.hardMode = elements.hardMode.checked;
+    markUnsavedChanges();
+    showStatus(`Hard mode ${currentConfig.hardMode ? 'enabled' : 'disabled'}`, 'info');
+}
+
+/**
+ * Update blocking mode setting
+ */
+function updateBlockingMode() {
+    currentConfig.blockingMode = elements.blockingMode.value;
+    markUnsavedChanges();
+    showStatus(currentConfig.blockingMode === 'network'
+        ? 'Blocked pages will be stopped before they load'
+        : 'Blocked pages will be covered by an overlay', 'info');
+}
+
+/**
+ * Update unlock challenge settings
+ */
+function updateUnlockChallenge() {
+    const values = {};
+
+    for (const [key, { min, max }] of Object.entries(UNLOCK_CHALLENGE_LIMITS)) {
+        const value = parseInt(elements[key].value, 10);
+
+        if (!Number.isInteger(value) || value < min || value > max) {
+            showStatus(`${elements[key].labels[0].textContent} must be between ${min} and ${max}`, 'error');
+            elements[key].value = currentConfig.unlockChallenge[key];
+            return;
+        }
+
+        values[key] = value;
+    }
+
+    currentConfig.unlockChallenge = { type: elements.unlockChallengeType.value, ...values };
+    markUnsavedChanges();
+    showStatus(currentConfig.unlockChallenge.type === 'none'
+        ? 'Ignoring a block needs no challenge'
+        : `Unlock challenge: ${elements.unlockChallengeType.selectedOptions[0].textContent}`, 'info');
+}
+
 /**
  * Save all settings
  */
@@ -805,6 +2051,22 @@ async function saveSettings() {
         return;
     }
 
+    // Overlapping windows are ambiguous, ask the user to fix them first
+    for (const group of getRuleGroups(currentConfig)) {
+        const overlaps = findScheduleOverlaps(group.schedule);
+        if (overlaps.length > 0) {
+            showStatus(`Cannot save ${group.name}: ${overlaps[0]}`, 'error');
+            return;
+        }
+    }
+
+    // Unknown placeholders would show up on the block page as written
+    const errors = validateConfig(currentConfig);
+    if (errors.length > 0) {
+        showStatus(`Cannot save: ${formatConfigError(errors[0])}`, 'error');
+        return;
+    }
+
     elements.saveBtn.classList.add('loading');
     elements.saveBtn.disabled = true;
 
@@ -819,8 +2081,6 @@ async function saveSettings() {
             setTimeout(() => {
                 elements.saveBtn.classList.remove('saved');
             }, 2000);
-        } else {
-            showStatus('Error saving settings. Please try again.', 'error');
         }
     } catch (error) {
         console.error('Despair Blocker: Save error:', error);
@@ -845,7 +2105,7 @@ async function resetSettings() {
         'This action cannot be undone.'
     );
 
-    if (!confirmed) {
+    if (!confirmed || rejectIfLocked('resetting settings')) {
         return;
     }
 
@@ -854,7 +2114,11 @@ async function resetSettings() {
 
     try {
         currentConfig = getDefaultConfig();
-        await saveConfiguration();
+        if (!await saveConfiguration()) {
+            currentConfig = JSON.parse(JSON.stringify(savedConfig));
+            updateUI();
+            return;
+        }
         updateUI();
         showStatus('Settings reset to defaults', 'info');
 
@@ -881,145 +2145,27 @@ function testBlockMessage() {
         Math.floor(Math.random() * currentConfig.despairMessages.length)
     ];
 
-    showTestBlockOverlay(randomMessage);
+    showTestBlockOverlay(renderMessageTemplate(randomMessage, getSampleMessageValues()));
 }
 
 /**
- * Show test block overlay
+ * Show test block overlay, drawn by the same renderer as real blocks
  */
 function showTestBlockOverlay(message) {
-    // Remove existing test overlay
-    const existingOverlay = document.getElementById('test-despair-overlay');
-    if (existingOverlay) {
-        existingOverlay.remove();
-    }
-
-    // Create test overlay
-    const testOverlay = document.createElement('div');
-    testOverlay.id = 'test-despair-overlay';
-    testOverlay.innerHTML = `
-        <div style="
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100vw;
-            height: 100vh;
-            background: linear-gradient(135deg, #1a1a1a 0%, #2d1b2e 50%, #1a1a1a 100%);
-            z-index: 999999;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            animation: testFadeIn 0.5s ease-out;
-        ">
-            <div style="
-                text-align: center;
-                max-width: 600px;
-                padding: 40px;
-                background: rgba(0, 0, 0, 0.8);
-                border-radius: 20px;
-                border: 2px solid #ff6b6b;
-                box-shadow: 0 20px 60px rgba(255, 107, 107, 0.3);
-                position: relative;
-            ">
-                <div style="font-size: 4rem; margin-bottom: 20px; animation: testFloat 3s ease-in-out infinite;">💀</div>
-                <h1 style="
-                    color: #ff6b6b;
-                    font-size: 2.5rem;
-                    font-weight: bold;
-                                        margin: 0 0 30px 0;
-                    text-shadow: 0 0 20px rgba(255, 107, 107, 0.5);
-                    letter-spacing: 2px;
-                ">TEST: BLOCKED BY DESPAIR</h1>
-                <div style="
-                    color: #ffffff;
-                    font-size: 1.2rem;
-                    line-height: 1.6;
-                    margin-bottom: 40px;
-                    padding: 20px;
-                    background: rgba(255, 107, 107, 0.1);
-                    border-radius: 10px;
-                    border-left: 4px solid #ff6b6b;
-                ">${escapeHtml(message)}</div>
-                <div style="margin-bottom: 30px;">
-                    <button id="testTTSBtn" style="
-                        padding: 15px 30px;
-                        margin: 0 10px;
-                        border: none;
-                        border-radius: 25px;
-                        font-size: 1rem;
-                        font-weight: bold;
-                        cursor: pointer;
-                        background: linear-gradient(45deg, #28a745, #34ce57);
-                        color: white;
-                        box-shadow: 0 5px 15px rgba(40, 167, 69, 0.4);
-                        transition: all 0.3s ease;
-                    ">🔊 Test TTS</button>
-                    <button id="closeTestBtn" style="
-                        padding: 15px 30px;
-                        margin: 0 10px;
-                        border: none;
-                        border-radius: 25px;
-                        font-size: 1rem;
-                        font-weight: bold;
-                        cursor: pointer;
-                        background: linear-gradient(45deg, #ff6b6b, #ff8e8e);
-                        color: white;
-                        box-shadow: 0 5px 15px rgba(255, 107, 107, 0.4);
-                        transition: all 0.3s ease;
-                    ">Close Test</button>
-                </div>
-                <div style="
-                    color: #666;
-                    font-size: 0.9rem;
-                    font-style: italic;
-                ">This is how the blocking overlay will appear on blocked sites</div>
-            </div>
-        </div>
-        <style>
-            @keyframes testFadeIn {
-                from { opacity: 0; transform: scale(0.8); }
-                to { opacity: 1; transform: scale(1); }
-            }
-            @keyframes testFloat {
-                0%, 100% { transform: translateY(0px); }
-                50% { transform: translateY(-10px); }
-            }
-        </style>
-    `;
-
-    document.body.appendChild(testOverlay);
-
-    // Add event listeners
-    document.getElementById('closeTestBtn').addEventListener('click', () => {
-        testOverlay.remove();
-    });
-
-    document.getElementById('testTTSBtn').addEventListener('click', () => {
-        testTextToSpeech(message);
+    blockPage({
+        message,
+        theme: getBlockTheme(currentConfig),
+        enableTTS: currentConfig.enableTTS,
+        tts: getTTSSettings(currentConfig),
+        mode: 'test'
     });
 
-    // Close on ESC key
-    const handleEscape = (event) => {
-        if (event.key === 'Escape') {
-            testOverlay.remove();
-            document.removeEventListener('keydown', handleEscape);
-        }
-    };
-    document.addEventListener('keydown', handleEscape);
-
-    // Auto-close after 30 seconds
-    setTimeout(() => {
-        if (document.getElementById('test-despair-overlay')) {
-            testOverlay.remove();
-        }
-    }, 30000);
-
     showStatus('Test block message displayed', 'info');
 }
 
 /**
- * Test text-to-speech functionality
+ * Test text-to-speech functionality with the current voice settings
+ * The delay before speaking is skipped so the test answers right away
  */
 function testTextToSpeech(message) {
     if (!currentConfig.enableTTS) {
@@ -1027,6 +2173,26 @@ function testTextToSpeech(message) {
         return;
     }
 
+    const settings = getTTSSettings(currentConfig);
+
+    if (settings.useChromeTTS) {
+        chrome.tts.stop();
+        chrome.tts.speak(message, {
+            ...getChromeTTSOptions(settings),
+            onEvent: (event) => {
+                if (event.type === 'start') {
+                    showStatus('Playing text-to-speech...', 'info');
+                } else if (event.type === 'end') {
+                    showStatus('Text-to-speech completed', 'success');
+                } else if (event.type === 'error') {
+                    console.error('TTS Error:', event.errorMessage);
+                    showStatus('Text-to-speech error occurred', 'error');
+                }
+            }
+        });
+        return;
+    }
+
     if (!('speechSynthesis' in window)) {
         showStatus('Text-to-speech is not supported in your browser', 'error');
         return;
@@ -1036,10 +2202,7 @@ function testTextToSpeech(message) {
         // Stop any ongoing speech
         speechSynthesis.cancel();
 
-        const utterance = new SpeechSynthesisUtterance(message);
-        utterance.rate = 0.8;
-        utterance.pitch = 0.7;
-        utterance.volume = 0.8;
+        const utterance = createSpeechUtterance(message, settings);
 
         utterance.onstart = () => {
             showStatus('Playing text-to-speech...', 'info');
@@ -1102,8 +2265,8 @@ function importSettings() {
             const text = await file.text();
             const importedConfig = JSON.parse(text);
 
-            // Validate imported configuration
-            const validatedConfig = validateAndFixConfig(importedConfig);
+            // Files exported by older versions are upgraded first
+            const validatedConfig = normalizeConfig(migrateConfig(importedConfig).config);
 
             if (confirm('Are you sure you want to import these settings? This will overwrite your current configuration.')) {
                 currentConfig = validatedConfig;
@@ -1114,7 +2277,7 @@ function importSettings() {
 
         } catch (error) {
             console.error('Import error:', error);
-            showStatus('Error importing settings. Please check the file format.', 'error');
+            showStatus(`Error importing settings: ${error.message}`, 'error');
         }
     };
 
@@ -1142,6 +2305,87 @@ function exportSettings() {
     }
 }
 
+/**
+ * Export the block history in the chosen date range as CSV or JSON
+ */
+async function exportBlockHistory(format) {
+    try {
+        const from = elements.historyFrom.value;
+        const to = elements.historyTo.value;
+
+        if (from && to && from > to) {
+            showStatus('The start date has to be before the end date', 'error');
+            return;
+        }
+
+        const events = filterBlockEventsByDate(await getBlockHistory(), from, to);
+
+        if (events.length === 0) {
+            showStatus('No blocks recorded in this range', 'info');
+            return;
+        }
+
+        const dataStr = format === 'csv'
+            ? formatBlockHistoryCsv(events)
+            : JSON.stringify({ type: 'despair-blocker-history', exportedAt: new Date().toISOString(), from, to, events }, null, 2);
+        const dataBlob = new Blob([dataStr], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = `despair-blocker-history-${from || 'start'}-to-${to || new Date().toISOString().split('T')[0]}.${format}`;
+        link.click();
+
+        showStatus(`Exported ${events.length} blocks`, 'success');
+
+    } catch (error) {
+        console.error('History export error:', error);
+        showStatus('Error exporting block history', 'error');
+    }
+}
+
+/**
+ * Import block history from a CSV or JSON export
+ */
+function importBlockHistory() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,.csv';
+
+    input.onchange = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            let rawEvents;
+
+            if (file.name.toLowerCase().endsWith('.csv')) {
+                rawEvents = parseBlockHistoryCsv(text);
+            } else {
+                const imported = JSON.parse(text);
+                rawEvents = Array.isArray(imported) ? imported : imported?.events;
+            }
+
+            if (!Array.isArray(rawEvents)) {
+                throw new Error('No events found');
+            }
+
+            const { added, skipped } = await importBlockEvents(rawEvents);
+            updateScoreHeatmap();
+
+            showStatus(skipped > 0
+                ? `Imported ${added} blocks, skipped ${skipped} already stored, invalid or older than ${BLOCK_HISTORY_DAYS} days`
+                : `Imported ${added} blocks`, 'success');
+
+        } catch (error) {
+            console.error('History import error:', error);
+            showStatus('Error importing block history. Please check the file format.', 'error');
+        }
+    };
+
+    input.click();
+}
+
 /**
  * Add import/export buttons if they exist in HTML
  */
@@ -1165,6 +2409,8 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
     if (namespace === 'sync' && changes.config) {
         const newConfig = changes.config.newValue;
 
+        savedConfig = JSON.parse(JSON.stringify(newConfig));
+
         if (JSON.stringify(newConfig) !== JSON.stringify(currentConfig)) {
             currentConfig = newConfig;
             updateUI();
@@ -1173,6 +2419,11 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
             showStatus('Settings updated from another instance', 'info');
         }
     }
+
+    // Hard mode also locks while a focus session runs
+    if (namespace === 'local' && changes.focusSession) {
+        focusSession = changes.focusSession.newValue || null;
+    }
 });
 
 /**
@@ -1222,7 +2473,7 @@ function addMultipleSites() {
 
     const sites = sitesText
         .split(/[,\n]/)
-        .map(site => cleanSiteUrl(site.trim()))
+        .map(site => normalizeSiteEntry(site.trim()))
         .filter(site => site && isValidSiteUrl(site));
 
     if (sites.length === 0) {
@@ -1232,7 +2483,7 @@ function addMultipleSites() {
 
     let addedCount = 0;
     sites.forEach(site => {
-        if (!currentConfig.blockedSites.some(existing => existing.toLowerCase() === site.toLowerCase())) {
+        if (!currentConfig.blockedSites.includes(site)) {
             currentConfig.blockedSites.push(site);
             addedCount++;
         }
@@ -1483,72 +2734,6 @@ function hideTooltip() {
 // Initialize tooltips
 document.addEventListener('DOMContentLoaded', setupTooltips);
 
-/**
- * Advanced validation for configuration
- */
-function validateCompleteConfiguration(config) {
-    const errors = [];
-
-    // Validate blocked sites
-    if (!config.blockedSites || !Array.isArray(config.blockedSites)) {
-        errors.push('Blocked sites must be an array');
-    } else {
-        config.blockedSites.forEach((site, index) => {
-            if (typeof site !== 'string' || !site.trim()) {
-                errors.push(`Blocked site at index ${index} is invalid`);
-            }
-        });
-    }
-
-    // Validate schedule
-    if (!config.schedule || typeof config.schedule !== 'object') {
-        errors.push('Schedule configuration is missing or invalid');
-    } else {
-        if (typeof config.schedule.enabled !== 'boolean') {
-            errors.push('Schedule enabled flag must be boolean');
-        }
-
-        if (!isValidTimeString(config.schedule.startTime)) {
-            errors.push('Start time format is invalid');
-        }
-
-        if (!isValidTimeString(config.schedule.endTime)) {
-            errors.push('End time format is invalid');
-        }
-
-        if (!Array.isArray(config.schedule.workDays)) {
-            errors.push('Work days must be an array');
-        } else {
-            const validDays = [0, 1, 2, 3, 4, 5, 6];
-            config.schedule.workDays.forEach(day => {
-                if (!validDays.includes(day)) {
-                    errors.push(`Invalid work day: ${day}`);
-                }
-            });
-        }
-    }
-
-    // Validate messages
-    if (!config.despairMessages || !Array.isArray(config.despairMessages)) {
-        errors.push('Despair messages must be an array');
-    } else if (config.despairMessages.length === 0) {
-        errors.push('At least one despair message is required');
-    } else {
-        config.despairMessages.forEach((message, index) => {
-            if (typeof message !== 'string' || message.trim().length < 10) {
-                errors.push(`Message at index ${index} is too short or invalid`);
-            }
-        });
-    }
-
-    // Validate TTS setting
-    if (typeof config.enableTTS !== 'boolean') {
-        errors.push('TTS setting must be boolean');
-    }
-
-    return errors;
-}
-
 /**
  * Configuration backup and restore
  */
@@ -1576,7 +2761,7 @@ function restoreConfigurationBackup() {
         const backupDate = new Date(backup.timestamp).toLocaleString();
 
         if (confirm(`Restore configuration from backup created on ${backupDate}?`)) {
-            currentConfig = backup.config;
+            currentConfig = normalizeConfig(migrateConfig(backup.config).config);
             updateUI();
             markUnsavedChanges();
             showStatus('Configuration restored from backup', 'success');
@@ -1588,6 +2773,27 @@ function restoreConfigurationBackup() {
     }
 }
 
+/**
+ * Download the config kept by a failed upgrade as a settings file
+ */
+function downloadMigrationBackup() {
+    const dataBlob = new Blob([JSON.stringify(migrationBackup.config, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(dataBlob);
+    link.download = `despair-blocker-backup-schema-${migrationBackup.fromVersion}.json`;
+    link.click();
+}
+
+/**
+ * Forget the config kept by a failed upgrade
+ */
+async function discardMigrationBackup() {
+    await chrome.storage.local.remove(['configMigrationBackup']);
+    migrationBackup = null;
+    showStatus('Upgrade backup discarded', 'info');
+}
+
 /**
  * Quick setup wizard for new users
  */
@@ -1715,14 +2921,19 @@ function finishQuickSetup(modal) {
         const selectedDays = Array.from(modal.querySelectorAll('.quick-days input:checked'))
             .map(input => parseInt(input.value));
 
+        if (!isValidTimeString(startTime) || !isValidTimeString(endTime) || startTime === endTime) {
+            showStatus('Please choose a valid start and end time', 'error');
+            return;
+        }
+
         // Collect custom message
         const customMessage = modal.querySelector('#quickMessage').value.trim();
 
         // Update configuration
         currentConfig.blockedSites = selectedSites;
-        currentConfig.schedule.startTime = startTime;
-        currentConfig.schedule.endTime = endTime;
-        currentConfig.schedule.workDays = selectedDays;
+        currentConfig.schedule.days = createEmptyWeek().map((ranges, day) =>
+            selectedDays.includes(day) ? [{ start: startTime, end: endTime }] : ranges
+        );
 
         if (customMessage) {
             currentConfig.despairMessages.unshift(customMessage);
@@ -1939,6 +3150,17 @@ function showBackupOptions() {
                     </div>
                 </div>
                 
+                ${migrationBackup ? `
+                <div class="backup-section">
+                    <h3>Upgrade Backup</h3>
+                    <p>Your settings from before the last update could not be upgraded: ${escapeHtml(migrationBackup.error)}</p>
+                    <div class="backup-actions">
+                        <button id="downloadMigrationBackup" class="btn btn-primary">Download Backup</button>
+                        <button id="discardMigrationBackup" class="btn btn-secondary">Discard Backup</button>
+                    </div>
+                </div>
+                ` : ''}
+
                 <div class="backup-section">
                     <h3>Reset Options</h3>
                     <p>Reset your configuration to defaults</p>
@@ -1975,6 +3197,15 @@ function showBackupOptions() {
         trackUsage('configImported');
     });
 
+    document.getElementById('downloadMigrationBackup')?.addEventListener('click', () => {
+        downloadMigrationBackup();
+    });
+
+    document.getElementById('discardMigrationBackup')?.addEventListener('click', async () => {
+        backupModal.remove();
+        await discardMigrationBackup();
+    });
+
     document.getElementById('resetToDefaults')?.addEventListener('click', () => {
         backupModal.remove();
         resetSettings();
@@ -2191,11 +3422,19 @@ function setupContextualHelp() {
 
     // Add help data to elements
     const helpData = {
-        'newSiteInput': 'Enter a website domain (like youtube.com) that you want to block during work hours.',
+        'newAllowedSiteInput': 'Enter an exception that should stay open even though it matches a blocked site, like music.youtube.com.',
+        'newSiteInput': 'Enter a site rule to block during work hours: a domain (youtube.com), *.domain for subdomains, a path prefix (reddit.com/r/all), a * glob or a /regex/.',
         'scheduleEnabled': 'Enable this to only block sites during specific hours and days.',
-        'startTime': 'The time when blocking should start each day.',
-        'endTime': 'The time when blocking should end each day.',
+        'scheduleWeek': 'Add one or more blocking windows for each day. A window ending before it starts (22:00 → 06:00) runs past midnight.',
         'enableTTS': 'When enabled, blocked sites will speak the despair message aloud.',
+        'themePreset': 'Despair is the original dark red look. Calm is quiet and light, High contrast is easiest to read. Custom lets you pick every colour.',
+        'ttsVoice': 'Voices come from your system and browser. The voice, rate, pitch and volume apply to every spoken message.',
+        'ttsUseChromeTTS': 'Reads the message out from the extension itself, so it is heard even when the site mutes or blocks audio.',
+        'hardMode': 'While a scheduled blocking window or focus session runs, removing sites, shrinking schedules, adding exceptions and the ignore button are all off. Set it up the evening before.',
+        'newGroupInput': 'Create a named group of sites with its own schedule, messages and text-to-speech setting.',
+        'unlockChallengeType': 'What you have to get through before "Ignore Future Me" lets you in. A successful unlock opens the site for the pass length.',
+        'countdownSeconds': 'The first wait of the day. Every block you ignore today makes the next wait longer by the extra seconds.',
+        'blockingMode': 'Overlay covers a blocked page once it has loaded. Network mode redirects the navigation before the page (and its audio or trackers) loads.',
         'newMessageInput': 'Write a personalized message from your future self to motivate you to stay focused.'
     };
 
@@ -2386,7 +3625,7 @@ function enhanceFormValidation() {
                 errorMsg.className = 'error-message';
                 this.parentNode.appendChild(errorMsg);
             }
-            errorMsg.textContent = 'Please enter a valid website domain (e.g., youtube.com)';
+            errorMsg.textContent = 'Please enter a valid site rule (e.g., youtube.com or reddit.com/r/all)';
         } else {
             this.removeAttribute('aria-describedby');
             const errorMsg = document.getElementById('site-error');
@@ -2396,24 +3635,6 @@ function enhanceFormValidation() {
         }
     });
 
-    // Real-time validation for time inputs
-    [elements.startTime, elements.endTime].forEach(input => {
-        if (!input) return;
-
-        input.addEventListener('change', function () {
-            const startTime = elements.startTime.value;
-            const endTime = elements.endTime.value;
-
-            if (startTime && endTime && startTime >= endTime) {
-                this.classList.add('invalid');
-                showStatus('End time must be after start time', 'error');
-            } else {
-                elements.startTime.classList.remove('invalid');
-                elements.endTime.classList.remove('invalid');
-            }
-        });
-    });
-
     // Message length validation
     elements.newMessageInput?.addEventListener('input', function () {
         const length = this.value.trim().length;
@@ -2572,59 +3793,6 @@ function setupAccessibilityAnnouncements() {
     };
 }
 
-/**
- * Data validation and sanitization utilities
- */
-const ValidationUtils = {
-    sanitizeUrl: function (url) {
-        return url.replace(/[<>'"]/g, '').trim();
-    },
-
-    sanitizeMessage: function (message) {
-        return message.replace(/[<>]/g, '').trim();
-    },
-
-    validateTimeRange: function (startTime, endTime) {
-        const start = new Date(`2000-01-01T${startTime}`);
-        const end = new Date(`2000-01-01T${endTime}`);
-        return end > start;
-    },
-
-    validateWorkDays: function (days) {
-        return Array.isArray(days) &&
-            days.length > 0 &&
-            days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
-    }
-};
-
-/**
- * Configuration migration utilities
- */
-const MigrationUtils = {
-    migrateFromV1: function (oldConfig) {
-        // Handle migration from older versions
-        if (oldConfig.version === '1.0') {
-            return oldConfig;
-        }
-
-        // Add migration logic here for future versions
-        return {
-            ...getDefaultConfig(),
-            ...oldConfig,
-            version: '1.0'
-        };
-    },
-
-    validateMigration: function (config) {
-        const errors = validateCompleteConfiguration(config);
-        if (errors.length > 0) {
-            console.warn('Configuration migration issues:', errors);
-            return getDefaultConfig();
-        }
-        return config;
-    }
-};
-
 /**
  * Performance monitoring and optimization
  */
@@ -2701,13 +3869,12 @@ window.addEventListener('error', (event) => {
 // Export utilities for testing or external use
 if (typeof window !== 'undefined') {
     window.DespairBlockerOptions = {
-        ValidationUtils,
-        MigrationUtils,
         PerformanceMonitor,
         // Export main functions for testing
         loadConfiguration,
         saveConfiguration,
-        validateAndFixConfig,
+        normalizeConfig,
+        validateConfig,
         getDefaultConfig
     };
 }
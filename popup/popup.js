@@ -2,18 +2,32 @@
 const elements = {
     blockingStatus: document.getElementById('blockingStatus'),
     blockingCount: document.getElementById('blockedCount'),
-    scheduleStatus: document.getElementById('scheduleStatus'),
-    toggleBlocking: document.getElementById('toggleBlocking'),
-    toggleText: document.getElementById('toggleText'),
+    groupStatusList: document.getElementById('groupStatusList'),
+    streakStatus: document.getElementById('streakStatus'),
+    scoreToday: document.getElementById('scoreToday'),
+    budgetStatusItem: document.getElementById('budgetStatusItem'),
+    budgetStatus: document.getElementById('budgetStatus'),
+    snoozeOptions: document.getElementById('snoozeOptions'),
+    snoozeButtons: document.querySelectorAll('.snooze-btn'),
+    snoozeUntilEnd: document.getElementById('snoozeUntilEnd'),
+    resumeBlocking: document.getElementById('resumeBlocking'),
     openOptions: document.getElementById('openOptions'),
+    openDashboard: document.getElementById('openDashboard'),
     testBlock: document.getElementById('testBlock'),
     quickSiteInput: document.getElementById('quickSiteInput'),
-    quickAddBtn: document.getElementById('quickAddBtn')
+    quickSiteMode: document.getElementById('quickSiteMode'),
+    quickAddBtn: document.getElementById('quickAddBtn'),
+    focusStatus: document.getElementById('focusStatus'),
+    focusBtn: document.getElementById('focusBtn'),
+    focusHistory: document.getElementById('focusHistory'),
+    passesSection: document.getElementById('passesSection'),
+    passesList: document.getElementById('passesList')
 };
 
 //current configuration
 let currentConfig = null;
-let isBlocking = true;
+let snoozedUntil = null;
+let focusSession = null;
 
 /**
  * initialize popup
@@ -32,11 +46,18 @@ document.addEventListener('DOMContentLoaded', async () => {
  */
 async function loadStatus() {
     try {
-        const result = await chrome.storage.sync.get(['config', 'temperaryDisabled']);
-        currentConfig = result.config;
-        isBlocking = !result.temperaryDisabled;
+        const result = await chrome.storage.sync.get(['config', 'snoozedUntil']);
+        currentConfig = result.config ? normalizeConfig(result.config) : null;
+        snoozedUntil = result.snoozedUntil > Date.now() ? result.snoozedUntil : null;
 
         updateStateDisplay();
+        await updateBudgetStatus();
+        await loadFocusState();
+        await loadPasses();
+        await updateScorecard();
+
+        //a running focus session can lock hard mode
+        updateStateDisplay();
     } catch (error) {
         console.error('Status load error:', error);
         elements.blockingStatus.textContent = 'Error';
@@ -49,53 +70,151 @@ function updateStateDisplay() {
         elements.blockingStatus.textContent = "Not Configured";
         elements.blockingStatus.className = 'status-value inactive';
         elements.blockingCount.textContent = '0';
-        elements.scheduleStatus.textContent = 'Disable Blocking';
+        elements.groupStatusList.innerHTML = '';
         return;
     }
 
     //Blocking status
-    if (isBlocking) {
-        elements.blockingStatus.textContent = 'Active';
+    if (snoozedUntil) {
+        const minutesLeft = Math.ceil((snoozedUntil - Date.now()) / 60000);
+        elements.blockingStatus.textContent = `Snoozed (${minutesLeft} min left)`;
+        elements.blockingStatus.className = 'status-value inactive';
+    } else if (isPopupLocked()) {
+        elements.blockingStatus.textContent = 'Locked (hard mode)';
         elements.blockingStatus.className = 'status-value active';
-        elements.toggleText.textContent = 'Disable Blocking';
     } else {
-        elements.blockingStatus.textContent = 'Disable';
-        elements.blockingStatus.className = 'status-value inactive';
-        elements.toggleText.textContent = 'Enable Blocking';
+        elements.blockingStatus.textContent = 'Active';
+        elements.blockingStatus.className = 'status-value active';
     }
 
-    //blocking sites count
-    elements.blockingCount.textContent = currentConfig.blockedSites?.length || 0;
+    //hard mode leaves no way to snooze while it locks
+    elements.snoozeOptions.hidden = Boolean(snoozedUntil) || isPopupLocked();
+    elements.resumeBlocking.hidden = !snoozedUntil;
 
-    //schedule status
-    if (currentConfig.schedule?.enable) {
-        const now = new Date();
-        const currentDay = now.getDay();
-        const isWorkDay = currentConfig.schedule.workDays?.includes(currentDay);
+    //snoozing until the end of a window needs an open window
+    elements.snoozeUntilEnd.disabled = !getRuleGroups(currentConfig).some(group => {
+        const schedule = normalizeSchedule(group.schedule);
+        return schedule?.enabled && isWithinSchedule(schedule, new Date());
+    });
 
-        if (isWorkDay) {
-            elements.scheduleStatus.textContent = `${currentConfig.schedule.startTime} - ${currentConfig.schedule.endTime}`;
-            elements.scheduleStatus.className = 'status-value active';
-        } else {
-            elements.scheduleStatus.textContent = 'Off Day';
-            elements.scheduleStatus.className = 'status-value inactive';
+    //blocking sites count across all groups
+    elements.blockingCount.textContent = countBlockedSites();
+
+    //schedule status per group
+    updateGroupStatus();
+}
+
+/**
+ * Show the streak of days without giving in and today's score
+ */
+async function updateScorecard() {
+    try {
+        const scorecard = getScorecard(await getBlockHistory(), currentConfig);
+
+        elements.streakStatus.textContent = `${scorecard.streak > 0 ? '🔥 ' : ''}${scorecard.streak} ${scorecard.streak === 1 ? 'day' : 'days'}`;
+        elements.streakStatus.className = scorecard.streak > 0 ? 'status-value active' : 'status-value inactive';
+        elements.streakStatus.title = `Days in a row without ignoring a block (best: ${scorecard.bestStreak})`;
+        elements.scoreToday.textContent = `${scorecard.resistedToday} resisted / ${scorecard.gaveInToday} gave in`;
+    } catch (error) {
+        console.error('Scorecard error:', error);
+    }
+}
+
+/**
+ * Check if hard mode currently locks the configuration
+ */
+function isPopupLocked() {
+    return isHardModeLocked(currentConfig, focusSession, new Date());
+}
+
+/**
+ * Show the daily budget left for the site in the current tab
+ */
+async function updateBudgetStatus() {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab?.url) {
+            return;
         }
-    } else {
-        elements.scheduleStatus.textContent = 'Disable';
-        elements.scheduleStatus.className = 'status-value inactive';
+
+        const response = await chrome.runtime.sendMessage({ action: 'getBudgetStatus', url: tab.url });
+        const budget = response?.budget;
+        if (!budget) {
+            return;
+        }
+
+        elements.budgetStatusItem.hidden = false;
+        elements.budgetStatusItem.title = `${budget.entry}: ${budget.usedMinutes} of ${budget.budgetMinutes} minutes used today`;
+        elements.budgetStatus.textContent = `${budget.remainingMinutes} min`;
+        elements.budgetStatus.className = budget.remainingMinutes > 0
+            ? 'status-value inactive'
+            : 'status-value active';
+    } catch (error) {
+        console.error('Budget status error:', error);
     }
 }
 
+/**
+ * Count blocked sites across all groups
+ */
+function countBlockedSites() {
+    return getRuleGroups(currentConfig).reduce((total, group) => total + group.sites.length, 0);
+}
+
+/**
+ * Show today's windows and whether each group is blocking right now
+ */
+function updateGroupStatus() {
+    elements.groupStatusList.innerHTML = '';
+    const now = new Date();
+
+    getRuleGroups(currentConfig).forEach(group => {
+        const item = document.createElement('div');
+        item.className = 'status-item';
+
+        const label = document.createElement('span');
+        label.className = 'status-label';
+        label.textContent = `${group.name}:`;
+
+        const value = document.createElement('span');
+        const schedule = normalizeSchedule(group.schedule);
+
+        if (!schedule?.enabled) {
+            value.textContent = 'Always';
+            value.className = 'status-value active';
+        } else if (schedule.days[now.getDay()].length === 0) {
+            value.textContent = 'Off Day';
+            value.className = 'status-value inactive';
+        } else {
+            value.textContent = schedule.days[now.getDay()].map(formatTimeRange).join(', ');
+            value.className = isWithinSchedule(schedule, now)
+                ? 'status-value active'
+                : 'status-value inactive';
+        }
+
+        item.appendChild(label);
+        item.appendChild(value);
+        elements.groupStatusList.appendChild(item);
+    });
+}
+
 function setupEventListeners() {
-    //toggle blocking
-    elements.toggleBlocking.addEventListener('click', toggleBlocking);
+    //snooze and resume blocking
+    elements.snoozeButtons.forEach(button => {
+        button.addEventListener('click', () => snooze(button));
+    });
+    elements.resumeBlocking.addEventListener('click', resumeBlocking);
 
     //open full options
     elements.openOptions.addEventListener('click', openOption);
+    elements.openDashboard.addEventListener('click', openDashboard);
 
     //Test block
     elements.testBlock.addEventListener('click', testBlock);
 
+    //Focus session
+    elements.focusBtn.addEventListener('click', toggleFocusSession);
+
     //Quick site add
     elements.quickAddBtn.addEventListener('click', quickAddSite);
     elements.quickSiteInput.addEventListener('keypress', (e) => {
@@ -107,24 +226,193 @@ function setupEventListeners() {
 }
 
 /**
- * Toggle blocking on/off
+ * Snooze blocking, it comes back on by itself when the snooze ends
  */
-async function toggleBlocking() {
+async function snooze(button) {
     try {
-        elements.toggleBlocking.classList.add('loading');
-        isBlocking = !isBlocking;
+        button.classList.add('loading');
 
-        //store temporary disable state
-        await chrome.storage.sync.set({ temporaryDisabled: !isBlocking });
+        const untilWindowEnd = button.dataset.untilWindowEnd === 'true';
+        const response = await chrome.runtime.sendMessage({
+            action: 'snoozeBlocking',
+            minutes: parseInt(button.dataset.minutes, 10) || 0,
+            untilWindowEnd
+        });
+
+        if (!response?.success) {
+            showFeedback(response?.error || 'Error snoozing blocking', true);
+            return;
+        }
 
+        snoozedUntil = response.snoozedUntil;
         updateStateDisplay();
-        showFeedback(isBlocking ? 'Blocking Enable' : 'Blocking Disable');
+
+        const until = new Date(snoozedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        showFeedback(`Blocking snoozed until ${until}`);
 
     } catch (error) {
-        console.error('Blocking toggle error:', error);
-        showFeedback('Error toggling blocking', 'error');
+        console.error('Snooze error:', error);
+        showFeedback('Error snoozing blocking', true);
     } finally {
-        elements.toggleBlocking.classList.remove('loading');
+        button.classList.remove('loading');
+    }
+}
+
+/**
+ * End a snooze early
+ */
+async function resumeBlocking() {
+    try {
+        elements.resumeBlocking.classList.add('loading');
+
+        await chrome.runtime.sendMessage({ action: 'resumeBlocking' });
+        snoozedUntil = null;
+
+        updateStateDisplay();
+        showFeedback('Blocking resumed');
+
+    } catch (error) {
+        console.error('Resume error:', error);
+        showFeedback('Error resuming blocking', true);
+    } finally {
+        elements.resumeBlocking.classList.remove('loading');
+    }
+}
+
+/**
+ * Load the running focus session and today's completed sessions
+ */
+async function loadFocusState() {
+    try {
+        const result = await chrome.storage.local.get(['focusSession', 'focusHistory']);
+        focusSession = result.focusSession && result.focusSession.endsAt > Date.now()
+            ? result.focusSession
+            : null;
+
+        updateFocusDisplay();
+
+        //completed sessions today
+        const todayStart = new Date().setHours(0, 0, 0, 0);
+        const completedToday = (result.focusHistory || []).filter(session => session.endedAt >= todayStart);
+        const minutesToday = completedToday.reduce((total, session) => total + session.minutes, 0);
+
+        elements.focusHistory.textContent = completedToday.length > 0
+            ? `${completedToday.length} sessions today (${minutesToday} min)`
+            : 'No sessions completed today';
+    } catch (error) {
+        console.error('Focus state error:', error);
+    }
+}
+
+function updateFocusDisplay() {
+    const { workMinutes } = getConfigSetting(currentConfig, 'focus');
+
+    if (!focusSession) {
+        elements.focusStatus.textContent = 'No focus session running';
+        elements.focusStatus.className = 'focus-status';
+        elements.focusBtn.textContent = `Start ${workMinutes}-minute focus`;
+        elements.focusBtn.hidden = false;
+        return;
+    }
+
+    const minutesLeft = Math.ceil((focusSession.endsAt - Date.now()) / 60000);
+
+    if (focusSession.phase === 'focus') {
+        elements.focusStatus.textContent = `Focusing: ${minutesLeft} min left`;
+        elements.focusStatus.className = 'focus-status focusing';
+    } else {
+        elements.focusStatus.textContent = `Break: ${minutesLeft} min left`;
+        elements.focusStatus.className = 'focus-status on-break';
+    }
+
+    elements.focusBtn.textContent = 'Stop Session';
+    elements.focusBtn.hidden = isPopupLocked();
+}
+
+/**
+ * Start a focus session, or stop the running one
+ */
+async function toggleFocusSession() {
+    try {
+        elements.focusBtn.classList.add('loading');
+
+        if (focusSession) {
+            const response = await chrome.runtime.sendMessage({ action: 'stopFocusSession' });
+            if (!response?.success) {
+                showFeedback(response?.error || 'Error changing focus session', true);
+                return;
+            }
+            focusSession = null;
+            showFeedback('Focus session stopped');
+        } else {
+            const response = await chrome.runtime.sendMessage({ action: 'startFocusSession' });
+            focusSession = response.focusSession;
+            showFeedback('Focus session started');
+        }
+
+        updateFocusDisplay();
+        updateStateDisplay();
+    } catch (error) {
+        console.error('Focus session error:', error);
+        showFeedback('Error changing focus session', true);
+    } finally {
+        elements.focusBtn.classList.remove('loading');
+    }
+}
+
+/**
+ * List the sites that are open under a temporary pass
+ */
+async function loadPasses() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getTemporaryPasses' });
+        const passes = response?.passes || [];
+
+        elements.passesList.innerHTML = '';
+        elements.passesSection.hidden = passes.length === 0;
+
+        passes.forEach(pass => {
+            const item = document.createElement('div');
+            item.className = 'pass-item';
+
+            const host = document.createElement('span');
+            host.className = 'pass-host';
+            host.textContent = pass.host;
+
+            const time = document.createElement('span');
+            time.className = 'pass-time';
+            time.textContent = `${Math.ceil((pass.expiresAt - Date.now()) / 60000)} min left`;
+
+            const revokeBtn = document.createElement('button');
+            revokeBtn.className = 'snooze-btn';
+            revokeBtn.textContent = 'Revoke';
+            revokeBtn.addEventListener('click', () => revokePass(pass.host, revokeBtn));
+
+            item.appendChild(host);
+            item.appendChild(time);
+            item.appendChild(revokeBtn);
+            elements.passesList.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Passes load error:', error);
+    }
+}
+
+/**
+ * End a pass early, its site is blocked again right away
+ */
+async function revokePass(host, button) {
+    try {
+        button.classList.add('loading');
+
+        await chrome.runtime.sendMessage({ action: 'revokeTemporaryPass', host });
+        await loadPasses();
+        showFeedback(`Pass for ${host} revoked`);
+
+    } catch (error) {
+        console.error('Revoke pass error:', error);
+        showFeedback('Error revoking pass', true);
+        button.classList.remove('loading');
     }
 }
 
@@ -136,6 +424,14 @@ function openOption() {
     window.close();
 }
 
+/**
+ * Open the block history dashboard
+ */
+function openDashboard() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html') });
+    window.close();
+}
+
 /**
  * Test block functionality
  */
@@ -144,10 +440,19 @@ async function testBlock() {
         //get current tabs
         const [tabs] = await chrome.tabs.query({ active: true, currentWindow: true });
         if (tabs) {
-            //inject test block
+            //inject test block, drawn by the same renderer as real blocks
             await chrome.scripting.executeScript({
                 target: { tabId: tabs.id },
-                func: showTestBlock
+                files: ['configuration/speech.js', 'configuration/themes.js', 'configuration/block-page.js']
+            });
+            await chrome.scripting.executeScript({
+                target: { tabId: tabs.id },
+                func: (details) => blockPage(details),
+                args: [{
+                    message: 'This is a test of the Despair Blocker. Your future self wanted you to see how this works. Now get back to work!',
+                    theme: getBlockTheme(currentConfig),
+                    mode: 'test'
+                }]
             });
             window.close();
         }
@@ -172,25 +477,40 @@ async function quickAddSite() {
         elements.quickAddBtn.classList.add('loading');
 
         //clean up the site
-        const cleanSite = cleanSiteUrl(siteInput);
+        const cleanSite = normalizeSiteEntry(siteInput);
+
+        //validate the rule
+        if (!parseSiteRule(cleanSite)) {
+            showFeedback('Invalid site rule', true);
+            return;
+        }
+
+        //add to the blocklist or the allowlist exceptions
+        const isAllow = elements.quickSiteMode.value === 'allow';
+        const targetList = isAllow ? currentConfig.allowedSites : currentConfig.blockedSites;
 
         //check if site already exists
-        if (currentConfig.blockedSites.includes(cleanSite)) {
-            showFeedback('Site already blocked', true);
+        if (targetList.includes(cleanSite)) {
+            showFeedback(isAllow ? 'Site already allowed' : 'Site already blocked', true);
             return;
         }
 
         //add to configuration
-        currentConfig.blockedSites.push(cleanSite);
+        targetList.push(cleanSite);
 
-        //save configs
-        await chrome.storage.sync.set({ config: currentConfig });
+        //save configs, hard mode may refuse new exceptions
+        const response = await chrome.runtime.sendMessage({ action: 'saveConfig', config: currentConfig });
+        if (!response?.success) {
+            targetList.pop();
+            showFeedback(response?.error || 'Error adding site', true);
+            return;
+        }
 
         //update ui
-        elements.blockingCount.textContent = currentConfig.blockedSites.length;
+        elements.blockingCount.textContent = countBlockedSites();
         elements.quickSiteInput.value = '';
 
-        showFeedback(`Added ${cleanSite}`);
+        showFeedback(isAllow ? `Allowed ${cleanSite}` : `Added ${cleanSite}`);
 
     } catch (error) {
         console.error('Quick add error:', error);
@@ -200,14 +520,6 @@ async function quickAddSite() {
     }
 }
 
-function cleanSiteUrl(url) {
-    return url
-        .replace(/^https?:\/\//, '') //remove protocol
-        .replace(/^www\./, '') //remove www\
-        .replace(/\/$/, '') //remove trailing slash
-        .toLowerCase();
-}
-
 function showFeedback(message, isError = false) {
     //create feedback element
     const feedback = document.createElement('div');
@@ -246,88 +558,3 @@ function showFeedback(message, isError = false) {
         }, 300);
     }, 2000);
 }
-
-/**
- * function to inject for test block
- */
-function showTestBlock() {
-    //remove existing test overlay
-    const existing = document.getElementById('despaire-test-overlay');
-    if (existing) {
-        existing.remove();
-    }
-
-    const testMessage = `This is a test of the Despaire Blocker. 
-    Your future self wanted you to see how this work, Now get back to work!!`;
-
-    const overlay = document.createElement('div');
-    overlay.id = 'despaire-test-overlay';
-    overlay.innerHTML = `
-        <div style="
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100vw;
-            height: 100vh;
-            background: linear-gradient(135deg, #1a1a1a 0%, #2d1b2e 50%, #1a1a1a 100%);
-            z-index: 99999;
-            display:flex;
-            align-items: center;
-            justify-content: center;
-        ">
-            <div style="
-                text-align: center;
-                max-width: 600px;
-                padding: 40px
-                background: rgba(0,0,0,0.8);
-                border-radius: 20px;
-                border: 2px solid #ff6b6b;
-                box-shadow: 0 20px 60px rgba(255,107,107,0.3);
-                animation: testFadeIn 0.4c ease-out;
-            ">
-                <div style="font-size: 4rem; margin-bottom: 20px">💀</div>
-                <h1 style="
-                    color: #ff6b6b;
-                    font-size: 2.5rem;
-                    letter-spacing: 2px;
-                    font-weight: bold;
-                    text-shadow: 0 0 20px rgba(255,107, 107, 0.5);
-                    margin: 0 0 30px 0;
-                ">TEST: Blocked by Despair</h1>
-                <div style="
-                    color: #ffff;
-                    font-size: 1.2rem;
-                    line-height: 1.6;
-                    margin-bottom: 40px;
-                    padding: 20px;
-                    background: rgba(255,107,107,0.1);
-                    border-radius: 10px;
-                    border-left: 4px solid #ff6b6b;
-                ">${testMessage}</div>
-                <button style="
-                    padding: 15px 30px;
-                    border: none;
-                    border-radius: 25px;
-                    font-size: 1rem;
-                    cursor: pointer;
-                    color: white;
-                    font-weight: bold;
-                    background: linear-gradient(45deg, #ff6b6b, #ff8e8e);
-                    box-shadow: 0 5px 15px rgba(255,107,107,0.4);
-                    trasition: all 0.3s ease;
-                "
-                onmouseover="this.style.trasform='translateY(-2px)'"
-                onmouseout="this.style.transform='translateY(0)'"
-                onClick="this.parentElement.parentElement.remove()"
-                >Close Test</button>
-            </div>
-        </div>
-        <style>
-            @keyframes testFadeIn {
-                from {opacity: 0; transform: scale(0.8);}
-                to {opacity: 1; transform: scale(1);}
-            }
-        </style>
-    `;
-    document.body.appendChild(overlay);
-}
\ No newline at end of file
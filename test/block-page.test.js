@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle, at, loadWithConfig } = require('./helpers/extension');
+
+// The overlay's shadow root, its texts and buttons
+function readOverlay(page, host) {
+    const root = page.shadowRootOf(host);
+    return {
+        text: root.textContent,
+        buttons: [...root.querySelectorAll('button')].map(button => button.textContent)
+    };
+}
+
+test('the blocked page renders the block from the worker', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const page = await loadPage('blocked/blocked.html', { ...background, search: '?url=https://www.youtube.com/watch' });
+
+    const host = page.document.getElementById('despair-blocker-overlay');
+    const overlay = readOverlay(page, host);
+
+    assert.match(overlay.text, /BLOCKED BY DESPAIR/);
+    assert.match(overlay.text, /Blocked: https:\/\/www\.youtube\.com\/watch/);
+    assert.match(overlay.text, /Matched rule: \*\.youtube\.com/);
+    assert.deepEqual(overlay.buttons, ['Go Back to Work', 'Ignore Future Me (Bad Choice)']);
+    assert.deepEqual(page.logs.error, []);
+    page.close();
+});
+
+test('hard mode leaves no way to ignore the block', async () => {
+    const background = await loadWithConfig(at(0, '10:00'), config => {
+        config.hardMode = true;
+    });
+    const page = await loadPage('blocked/blocked.html', { ...background, search: '?url=https://www.reddit.com/' });
+
+    const host = page.document.getElementById('despair-blocker-overlay');
+
+    assert.equal(host.dataset.hardMode, 'true');
+    assert.deepEqual(readOverlay(page, host).buttons, ['Go Back to Work']);
+    page.close();
+});
+
+test('the overlay uses the configured theme', async () => {
+    const background = await loadWithConfig(at(0, '10:00'), config => {
+        config.theme = { ...config.theme, preset: 'calm' };
+    });
+    const page = await loadPage('blocked/blocked.html', { ...background, search: '?url=https://www.reddit.com/' });
+
+    const overlay = readOverlay(page, page.document.getElementById('despair-blocker-overlay'));
+
+    assert.match(overlay.text, /Take a breath/);
+    assert.deepEqual(overlay.buttons, ['Back to what matters', 'Continue anyway']);
+    page.close();
+});
+
+test('once the window is over the blocked page sends the tab back', async () => {
+    const background = await loadWithConfig(at(0, '18:00'));
+    const page = await loadPage('blocked/blocked.html', { ...background, search: '?url=https://www.youtube.com/' });
+
+    assert.equal(page.document.getElementById('despair-blocker-overlay'), null);
+    assert.ok(page.logs.jsdom.some(message => /navigation/.test(message)));
+    page.close();
+});
+
+test('the blocked page offers the site back when the window ends', async () => {
+    const background = await loadWithConfig(at(0, '16:59'));
+    const tab = background.fake.addTab({ url: 'chrome-extension://test-extension/blocked/blocked.html' });
+    const page = await loadPage('blocked/blocked.html', { ...background, search: '?url=https://www.youtube.com/' });
+    const before = await background.chrome.storage.local.get(null);
+
+    // Re-checking a block that still holds shows, speaks and records nothing
+    await background.fake.sendMessage({ action: 'blockingStateChanged' }, { tab });
+    await settle();
+    assert.deepEqual(await background.chrome.storage.local.get(null), before);
+    assert.equal(page.document.getElementById('reloadOffer'), null);
+
+    background.clock.set(at(0, '17:00'));
+    await background.fake.sendMessage({ action: 'blockingStateChanged' }, { tab });
+    await settle();
+
+    assert.equal(page.document.getElementById('despair-blocker-overlay'), null);
+    assert.ok(page.document.getElementById('reloadOffer'));
+    page.close();
+});
+
+test('the worker passes the blocked URL encoded', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const url = 'https://www.youtube.com/watch?v=1&t=5#comments';
+    const pageUrl = background.context.getBlockedPageUrl(url);
+
+    const page = await loadPage('blocked/blocked.html', { ...background, search: pageUrl.slice(pageUrl.indexOf('?')) });
+    const overlay = readOverlay(page, page.document.getElementById('despair-blocker-overlay'));
+
+    assert.match(overlay.text, /Blocked: https:\/\/www\.youtube\.com\/watch\?v=1&t=5#comments/);
+    page.close();
+});
+
+test('the blocked page only sends tabs to web pages', async () => {
+    const background = await loadWithConfig(at(0, '18:00'));
+
+    for (const target of ['javascript:alert(1)', encodeURIComponent('javascript:alert(1)'), 'file:///etc/passwd', 'not a url']) {
+        const page = await loadPage('blocked/blocked.html', { ...background, search: `?url=${target}` });
+
+        assert.deepEqual(page.logs.jsdom, [], target);
+        assert.match(readOverlay(page, page.document.getElementById('despair-blocker-overlay')).text, /Your future self blocked this page\./);
+        page.close();
+    }
+});
+
+test('without the worker the blocked page still blocks', async () => {
+    const page = await loadPage('blocked/blocked.html', { now: at(0, '10:00'), search: '?url=https://www.youtube.com/' });
+
+    const overlay = readOverlay(page, page.document.getElementById('despair-blocker-overlay'));
+
+    assert.match(overlay.text, /Your future self blocked this page\./);
+    assert.equal(page.logs.error.length, 1);
+    page.close();
+});
+
+test('a test block closes on Escape', async () => {
+    const page = await loadPage('blocked/blocked.html', { now: at(0, '10:00') });
+
+    page.window.blockPage({ message: 'Just a test', mode: 'test' });
+    const host = page.document.getElementById('despair-blocker-test-overlay');
+    const overlay = readOverlay(page, host);
+
+    assert.match(overlay.text, /TEST: BLOCKED BY DESPAIR/);
+    assert.match(overlay.text, /Just a test/);
+
+    page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape' }));
+    assert.equal(page.document.getElementById('despair-blocker-test-overlay'), null);
+    page.close();
+});
+
+test('a preview is drawn inside its container', async () => {
+    const page = await loadPage('blocked/blocked.html', { now: at(0, '10:00') });
+    const container = page.document.createElement('div');
+    const theme = page.window.getBlockTheme({ theme: { ...page.window.getDefaultThemeSettings(), preset: 'highContrast' } });
+
+    page.window.blockPage({ message: 'Preview', mode: 'preview', container, theme });
+
+    assert.equal(container.children.length, 1);
+    assert.equal(container.firstChild.id, '');
+    assert.deepEqual(readOverlay(page, container.firstChild).buttons, ['Go back', 'Ignore']);
+    page.close();
+});
@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { at, loadWithConfig } = require('./helpers/extension');
+
+function shouldBlock(background, url) {
+    return background.context.shouldBlockCurrentSite(url);
+}
+
+test('blocks listed sites inside the weekday window', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+
+    assert.equal(await shouldBlock(background, 'https://www.youtube.com/watch?v=1'), true);
+    assert.equal(await shouldBlock(background, 'https://m.youtube.com/'), true);
+    assert.equal(await shouldBlock(background, 'https://example.com/'), false);
+    assert.deepEqual(background.logs.error, []);
+});
+
+test('lets sites through outside the window and on weekends', async () => {
+    const background = await loadWithConfig(at(0, '08:59'));
+    const url = 'https://www.reddit.com/';
+
+    assert.equal(await shouldBlock(background, url), false);
+
+    background.clock.set(at(0, '16:59'));
+    assert.equal(await shouldBlock(background, url), true);
+
+    // Windows close exactly at their end time
+    background.clock.set(at(0, '17:00'));
+    assert.equal(await shouldBlock(background, url), false);
+
+    background.clock.set(at(5, '10:00'));
+    assert.equal(await shouldBlock(background, url), false);
+});
+
+test('a disabled schedule blocks all the time', async () => {
+    const background = await loadWithConfig(at(6, '03:00'), config => {
+        config.schedule.enabled = false;
+    });
+
+    assert.equal(await shouldBlock(background, 'https://www.tiktok.com/'), true);
+});
+
+test('overnight windows belong to the day they start', async () => {
+    const background = await loadWithConfig(at(0, '23:00'), config => {
+        config.schedule.days = [[], [{ start: '22:00', end: '06:00' }], [], [], [], [], []];
+    });
+    const url = 'https://www.instagram.com/';
+
+    assert.equal(await shouldBlock(background, url), true);
+
+    background.clock.set(at(1, '05:59'));
+    assert.equal(await shouldBlock(background, url), true);
+
+    background.clock.set(at(1, '06:00'));
+    assert.equal(await shouldBlock(background, url), false);
+
+    // Sunday night is not Monday night
+    background.clock.set(at(-1, '23:00'));
+    assert.equal(await shouldBlock(background, url), false);
+});
+
+test('allowlist exceptions win over blocked sites', async () => {
+    const background = await loadWithConfig(at(2, '11:00'), config => {
+        config.allowedSites = ['youtube.com/feed/subscriptions'];
+    });
+
+    assert.equal(await shouldBlock(background, 'https://www.youtube.com/feed/subscriptions'), false);
+    assert.equal(await shouldBlock(background, 'https://www.youtube.com/watch?v=1'), true);
+});
+
+test('rule groups follow their own schedule', async () => {
+    const background = await loadWithConfig(at(5, '11:00'), config => {
+        config.groups = [{
+            id: 'group-news',
+            name: 'News',
+            sites: ['*.nytimes.com'],
+            schedule: { enabled: true, days: [[], [], [], [], [], [], [{ start: '10:00', end: '12:00' }]] },
+            despairMessages: [],
+            enableTTS: false
+        }];
+    });
+
+    assert.equal(await shouldBlock(background, 'https://www.nytimes.com/'), true);
+    assert.equal(await shouldBlock(background, 'https://www.youtube.com/'), false);
+
+    background.clock.set(at(5, '12:30'));
+    assert.equal(await shouldBlock(background, 'https://www.nytimes.com/'), false);
+});
+
+test('snoozes and temporary passes let sites through until they run out', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const url = 'https://www.facebook.com/';
+
+    const snooze = await background.fake.sendMessage({ action: 'snoozeBlocking', minutes: 15 });
+    assert.equal(snooze.success, true);
+    assert.equal(await shouldBlock(background, url), false);
+
+    // An expired snooze is over even when its alarm did not fire
+    background.clock.set(at(0, '10:16'));
+    assert.equal(await shouldBlock(background, url), true);
+
+    const pass = await background.fake.sendMessage({ action: 'grantTemporaryPass', url });
+    assert.equal(pass.success, true);
+    assert.equal(await shouldBlock(background, url), false);
+    assert.equal(await shouldBlock(background, 'https://www.reddit.com/'), true);
+
+    background.clock.set(at(0, '10:22'));
+    assert.equal(await shouldBlock(background, url), true);
+});
+
+test('focus sessions block regardless of the schedule', async () => {
+    const background = await loadWithConfig(at(5, '10:00'));
+    const url = 'https://www.youtube.com/';
+
+    assert.equal(await shouldBlock(background, url), false);
+
+    const response = await background.fake.sendMessage({ action: 'startFocusSession' });
+    assert.equal(response.success, true);
+    assert.equal(await shouldBlock(background, url), true);
+    assert.equal(await shouldBlock(background, 'https://example.com/'), false);
+});
+
+test('legacy work days that are not a list leave the window empty', async () => {
+    const background = await loadWithConfig(at(0, '10:00'), config => {
+        config.schedule = { enabled: true, startTime: '09:00', endTime: '17:00', workDays: '1-5' };
+    });
+
+    assert.equal(await shouldBlock(background, 'https://www.youtube.com/'), false);
+    assert.deepEqual(background.logs.error, []);
+});
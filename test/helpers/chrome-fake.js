@@ -0,0 +1,285 @@
+/**
+ * In-memory fake of the chrome.* APIs the extension uses
+ * Returns { chrome, fake }: chrome is handed to the scripts, fake lets a test
+ * fire alarms, send messages as a tab, open tabs and read what was done.
+ * Values are copied on the way in and out, like the real storage does.
+ */
+
+/**
+ * Create an event like chrome.alarms.onAlarm
+ * dispatch returns what the listeners returned, so tests can await them
+ */
+function createEvent() {
+    const listeners = [];
+
+    return {
+        addListener: listener => {
+            listeners.push(listener);
+        },
+        removeListener: listener => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        },
+        hasListener: listener => listeners.includes(listener),
+        hasListeners: () => listeners.length > 0,
+        dispatch: (...args) => listeners.map(listener => listener(...args))
+    };
+}
+
+/**
+ * Copy a value the way chrome.storage and messaging do
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Create one storage area, reporting changes to onChanged
+ */
+function createStorageArea(areaName, onChanged, initial = {}) {
+    const items = clone(initial);
+
+    const toDefaults = keys => {
+        if (typeof keys === 'string') {
+            return { [keys]: undefined };
+        }
+        if (Array.isArray(keys)) {
+            return Object.fromEntries(keys.map(key => [key, undefined]));
+        }
+        return keys;
+    };
+
+    return {
+        async get(keys = null) {
+            if (keys === null) {
+                return clone(items);
+            }
+
+            const result = {};
+            Object.entries(toDefaults(keys)).forEach(([key, fallback]) => {
+                if (Object.hasOwn(items, key)) {
+                    result[key] = clone(items[key]);
+                } else if (fallback !== undefined) {
+                    result[key] = clone(fallback);
+                }
+            });
+            return result;
+        },
+
+        async set(values) {
+            const changes = {};
+            Object.entries(clone(values)).forEach(([key, newValue]) => {
+                changes[key] = { oldValue: clone(items[key]), newValue: clone(newValue) };
+                items[key] = newValue;
+            });
+            onChanged.dispatch(changes, areaName);
+        },
+
+        async remove(keys) {
+            const changes = {};
+            (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+                if (Object.hasOwn(items, key)) {
+                    changes[key] = { oldValue: clone(items[key]) };
+                    delete items[key];
+                }
+            });
+            if (Object.keys(changes).length > 0) {
+                onChanged.dispatch(changes, areaName);
+            }
+        },
+
+        async clear() {
+            await this.remove(Object.keys(items));
+        }
+    };
+}
+
+/**
+ * Create the fake
+ * storage is { sync, local, session } with the items each area starts with,
+ * now is the clock alarms are scheduled against.
+ */
+function createChromeFake({ storage = {}, now = () => Date.now() } = {}) {
+    const onStorageChanged = createEvent();
+    const onMessage = createEvent();
+    const onAlarm = createEvent();
+    const tabEvents = {
+        onCreated: createEvent(),
+        onUpdated: createEvent(),
+        onActivated: createEvent(),
+        onRemoved: createEvent()
+    };
+
+    const alarms = new Map();
+    const tabs = new Map();
+    let nextTabId = 1;
+    let dynamicRules = [];
+
+    const fake = {
+        executedScripts: [],
+        spoken: [],
+        badge: { text: '', color: null },
+
+        /**
+         * What an injected script returns, tests replace it to answer injected functions
+         */
+        resolveScript: () => null,
+
+        /**
+         * Open a tab without firing events, returns a copy of it
+         */
+        addTab({ url, active = false, windowId = 1 } = {}) {
+            const tab = { id: nextTabId++, url, active, windowId, status: 'complete' };
+            tabs.set(tab.id, tab);
+            return clone(tab);
+        },
+
+        /**
+         * Fire an alarm and wait for the listeners
+         * One-shot alarms are removed first, like chrome does.
+         */
+        async fireAlarm(name) {
+            const alarm = alarms.get(name);
+            if (!alarm) {
+                throw new Error(`No alarm named ${name}`);
+            }
+            if (!alarm.periodInMinutes) {
+                alarms.delete(name);
+            }
+            await Promise.all(onAlarm.dispatch(clone(alarm)));
+        },
+
+        /**
+         * Send a runtime message as a sender, e.g. { tab } for content scripts
+         */
+        sendMessage(message, sender = {}) {
+            return new Promise(resolve => {
+                let responded = false;
+                const sendResponse = response => {
+                    if (!responded) {
+                        responded = true;
+                        resolve(clone(response));
+                    }
+                };
+
+                const results = onMessage.dispatch(clone(message), { id: chrome.runtime.id, ...sender }, sendResponse);
+                if (!responded && !results.includes(true)) {
+                    resolve(undefined);
+                }
+            });
+        },
+
+        getAlarm: name => clone(alarms.get(name)),
+        getDynamicRules: () => clone(dynamicRules)
+    };
+
+    const chrome = {
+        storage: {
+            sync: createStorageArea('sync', onStorageChanged, storage.sync),
+            local: createStorageArea('local', onStorageChanged, storage.local),
+            session: createStorageArea('session', onStorageChanged, storage.session),
+            onChanged: onStorageChanged
+        },
+
+        alarms: {
+            async create(name, info) {
+                const scheduledTime = info.when ?? now() + (info.delayInMinutes ?? info.periodInMinutes) * 60 * 1000;
+                alarms.set(name, { name, scheduledTime, periodInMinutes: info.periodInMinutes });
+            },
+            get: async name => clone(alarms.get(name)),
+            getAll: async () => [...alarms.values()].map(clone),
+            clear: async name => alarms.delete(name),
+            async clearAll() {
+                const hadAlarms = alarms.size > 0;
+                alarms.clear();
+                return hadAlarms;
+            },
+            onAlarm
+        },
+
+        tabs: {
+            async query(queryInfo = {}) {
+                return [...tabs.values()]
+                    .filter(tab => Object.entries(queryInfo).every(([key, value]) =>
+                        key === 'currentWindow' || key === 'lastFocusedWindow' ? true : tab[key] === value
+                    ))
+                    .map(clone);
+            },
+            async get(tabId) {
+                if (!tabs.has(tabId)) {
+                    throw new Error(`No tab with id: ${tabId}.`);
+                }
+                return clone(tabs.get(tabId));
+            },
+            async create({ url, active = true } = {}) {
+                const tab = fake.addTab({ url, active });
+                tabEvents.onCreated.dispatch(clone(tab));
+                return tab;
+            },
+            async update(tabId, properties) {
+                const tab = tabs.get(tabId);
+                if (!tab) {
+                    throw new Error(`No tab with id: ${tabId}.`);
+                }
+                Object.assign(tab, clone(properties));
+                return clone(tab);
+            },
+            async remove(tabId) {
+                tabs.delete(tabId);
+                tabEvents.onRemoved.dispatch(tabId, { windowId: 1, isWindowClosing: false });
+            },
+            sendMessage: async () => undefined,
+            ...tabEvents
+        },
+
+        scripting: {
+            async executeScript({ func, ...injection }) {
+                fake.executedScripts.push({ ...clone(injection), func });
+                return [{ frameId: 0, result: fake.resolveScript({ ...injection, func }) }];
+            },
+            insertCSS: async () => undefined
+        },
+
+        runtime: {
+            id: 'test-extension',
+            lastError: undefined,
+            getURL: path => `chrome-extension://test-extension/${String(path).replace(/^\//, '')}`,
+            sendMessage: message => fake.sendMessage(message),
+            onMessage,
+            onInstalled: createEvent(),
+            onStartup: createEvent(),
+            onConnect: createEvent()
+        },
+
+        declarativeNetRequest: {
+            getDynamicRules: async () => clone(dynamicRules),
+            async updateDynamicRules({ removeRuleIds = [], addRules = [] }) {
+                dynamicRules = dynamicRules.filter(rule => !removeRuleIds.includes(rule.id)).concat(clone(addRules));
+            },
+            isRegexSupported: async () => ({ isSupported: true })
+        },
+
+        tts: {
+            speak: (text, options) => {
+                fake.spoken.push({ text, options: clone(options) });
+            },
+            stop: () => undefined
+        },
+
+        action: {
+            setBadgeText: async ({ text }) => {
+                fake.badge.text = text;
+            },
+            setBadgeBackgroundColor: async ({ color }) => {
+                fake.badge.color = color;
+            },
+            onClicked: createEvent()
+        }
+    };
+
+    return { chrome, fake };
+}
+
+module.exports = { createChromeFake, createEvent };
@@ -0,0 +1,156 @@
+/**
+ * Load the extension's parts the way Chrome runs them
+ *
+ *   loadBackground()  the service worker in its own context
+ *   loadPage()        popup.html, options.html or blocked.html in jsdom
+ *   loadWithConfig()  the worker with a stored config, at() picks its moment
+ *
+ * Both take the chrome fake and clock to use, so a test can load the worker
+ * and a page on the same fake and let them talk through runtime messages.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { ROOT, loadScripts, runScript } = require('./load-scripts');
+const { createChromeFake } = require('./chrome-fake');
+const { createClock, settle } = require('./fake-time');
+
+/**
+ * Create a console that keeps what it was given instead of printing it
+ */
+function createConsole() {
+    const logs = { log: [], info: [], warn: [], error: [], jsdom: [] };
+    const console = Object.fromEntries(['log', 'info', 'warn', 'error'].map(level => [level, (...args) => {
+        logs[level].push(args.map(String).join(' '));
+    }]));
+
+    return { console, logs };
+}
+
+/**
+ * Create the chrome fake and clock shared by the worker and pages of one test
+ * storage is { sync, local, session }, now the moment the clock starts at
+ */
+function createExtension({ storage = {}, now } = {}) {
+    const clock = createClock(now);
+    const { chrome, fake } = createChromeFake({ storage, now: clock.now });
+
+    return { chrome, fake, clock };
+}
+
+/**
+ * Load background.js and its importScripts in a fresh context
+ * Returns the extension plus the worker's context and logs
+ */
+function loadBackground(options = {}) {
+    const extension = options.chrome ? options : createExtension(options);
+    const { console, logs } = createConsole();
+    const { clock } = extension;
+
+    const context = loadScripts([], {
+        chrome: extension.chrome,
+        console,
+        Date: clock.Date,
+        setTimeout: clock.setTimeout,
+        clearTimeout: clock.clearTimeout,
+        setInterval: clock.setInterval,
+        clearInterval: clock.clearInterval
+    });
+    context.self = context;
+    context.importScripts = (...files) => files.forEach(file => runScript(context, file.replace(/^\//, '')));
+
+    runScript(context, 'configuration/background.js');
+
+    return { ...extension, context, logs };
+}
+
+/**
+ * Load an extension page in jsdom with the scripts it lists, in order
+ * options.search is appended to the page URL, e.g. '?url=https://youtube.com/'.
+ * Waits for DOMContentLoaded handlers to finish. The overlay's shadow root is
+ * closed, page.shadowRootOf(host) still hands it to the test. What jsdom
+ * cannot do, like navigating, ends up in page.logs.jsdom.
+ */
+async function loadPage(htmlFile, options = {}) {
+    const extension = options.chrome ? options : createExtension(options);
+    const { console, logs } = createConsole();
+    const { clock } = extension;
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => logs.jsdom.push(error.message));
+
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, htmlFile), 'utf8'), {
+        url: `http://extension.test/${htmlFile}${options.search || ''}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+
+    // jsdom leaves out TextEncoder, which every extension page has
+    Object.assign(window, {
+        chrome: extension.chrome,
+        console,
+        TextEncoder,
+        Date: clock.Date,
+        setTimeout: clock.setTimeout,
+        clearTimeout: clock.clearTimeout,
+        setInterval: clock.setInterval,
+        clearInterval: clock.clearInterval
+    });
+
+    const shadowRoots = new WeakMap();
+    const attachShadow = window.Element.prototype.attachShadow;
+    window.Element.prototype.attachShadow = function (init) {
+        const root = attachShadow.call(this, init);
+        shadowRoots.set(this, root);
+        return root;
+    };
+
+    // Run like script tags, so top-level consts are shared between the files
+    const context = dom.getInternalVMContext();
+    [...window.document.querySelectorAll('script[src]')]
+        .map(script => path.join(path.dirname(htmlFile), script.getAttribute('src')))
+        .forEach(file => runScript(context, file));
+
+    // jsdom fires DOMContentLoaded on its own once the scripts have run
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    }
+    await settle();
+
+    return {
+        ...extension,
+        window,
+        document: window.document,
+        logs,
+        shadowRootOf: host => shadowRoots.get(host) || null,
+        close: () => window.close()
+    };
+}
+
+/**
+ * Monday, October 19 2026 plus a number of days, at a local "HH:MM" time
+ * Returns a timestamp
+ */
+function at(dayOffset, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(2026, 9, 19 + dayOffset, hours, minutes).getTime();
+}
+
+/**
+ * Load the worker with the default config, changed by change(config)
+ */
+async function loadWithConfig(now, change = () => {}) {
+    const background = loadBackground({ now });
+    const config = background.context.getDefaultConfig();
+    change(config);
+
+    await background.chrome.storage.sync.set({ config });
+    await settle();
+
+    return background;
+}
+
+module.exports = { createExtension, loadBackground, loadPage, settle, at, loadWithConfig };
@@ -0,0 +1,86 @@
+/**
+ * A clock the tests move by hand
+ * Scripts get its Date and timers instead of the real ones, so schedules,
+ * alarms and delayed injections run at the moment a test chooses.
+ */
+
+/**
+ * Create a clock starting at a date or timestamp
+ */
+function createClock(start = new Date(2026, 9, 19, 10, 0)) {
+    let now = new Date(start).getTime();
+    let nextTimerId = 1;
+    const timers = new Map();
+
+    class FakeDate extends Date {
+        constructor(...args) {
+            super(...(args.length === 0 ? [now] : args));
+        }
+
+        static now() {
+            return now;
+        }
+    }
+
+    function setTimer(callback, delay = 0, args = [], interval = null) {
+        const id = nextTimerId++;
+        timers.set(id, { callback, args, dueAt: now + Math.max(0, delay), interval });
+        return id;
+    }
+
+    return {
+        Date: FakeDate,
+
+        now: () => now,
+
+        /**
+         * Jump to a moment without running the timers in between
+         */
+        set(date) {
+            now = new Date(date).getTime();
+        },
+
+        /**
+         * Move forward, running every timer that comes due on the way in order
+         */
+        advance(milliseconds) {
+            const target = now + milliseconds;
+
+            for (;;) {
+                const due = [...timers.entries()]
+                    .filter(([, timer]) => timer.dueAt <= target)
+                    .sort(([, a], [, b]) => a.dueAt - b.dueAt)[0];
+                if (!due) {
+                    break;
+                }
+
+                const [id, timer] = due;
+                now = timer.dueAt;
+                if (timer.interval === null) {
+                    timers.delete(id);
+                } else {
+                    timer.dueAt += timer.interval;
+                }
+                timer.callback(...timer.args);
+            }
+
+            now = target;
+        },
+
+        pendingTimers: () => timers.size,
+
+        setTimeout: (callback, delay, ...args) => setTimer(callback, delay, args),
+        clearTimeout: id => timers.delete(id),
+        setInterval: (callback, delay, ...args) => setTimer(callback, delay, args, Math.max(1, delay || 0)),
+        clearInterval: id => timers.delete(id)
+    };
+}
+
+/**
+ * Wait until every promise chain started so far has run
+ */
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = { createClock, settle };
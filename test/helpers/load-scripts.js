@@ -0,0 +1,52 @@
+/**
+ * Load the extension's classic scripts into a fresh context for tests
+ * The scripts share one global scope, like script tags on a page.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Run scripts in order in a new context and return it
+ * globals are set on the context before the first script runs
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ console, URL, TextEncoder, setTimeout, clearTimeout, ...globals });
+
+    files.forEach(file => runScript(context, file));
+
+    return context;
+}
+
+/**
+ * Run one script, given relative to the repository root, in a context
+ */
+function runScript(context, file) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+}
+
+/**
+ * Evaluate an expression in a loaded context, for consts that are not globals
+ */
+function evaluate(context, source) {
+    return vm.runInContext(source, context);
+}
+
+/**
+ * Copy a value out of a context, so deepStrictEqual compares plain objects
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Read a JSON fixture below test/fixtures
+ */
+function readFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'test', 'fixtures', name), 'utf8'));
+}
+
+module.exports = { ROOT, loadScripts, runScript, evaluate, plain, readFixture };
@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, settle, at } = require('./helpers/extension');
+const { evaluate, plain, readFixture } = require('./helpers/load-scripts');
+
+async function install(background, reason = 'install') {
+    await Promise.all(background.chrome.runtime.onInstalled.dispatch({ reason }));
+    await settle();
+}
+
+test('installing stores the default config and arms the next window', async () => {
+    const background = loadBackground({ now: at(0, '10:00') });
+    await install(background);
+
+    const { config } = await background.chrome.storage.sync.get(['config']);
+    assert.equal(config.schemaVersion, 2);
+    assert.deepEqual(config.blockedSites, plain(background.context.getDefaultConfig().blockedSites));
+
+    assert.equal(background.fake.getAlarm('blockingEnd').scheduledTime, at(0, '17:00'));
+    assert.equal(background.fake.getAlarm('blockingStart').scheduledTime, at(1, '09:00'));
+    assert.equal(background.fake.getAlarm('budgetReset').scheduledTime, at(1, '00:00'));
+    assert.deepEqual(background.logs.error, []);
+});
+
+test('on a weekend the next window starts on Monday', async () => {
+    const background = loadBackground({ now: at(5, '12:00') });
+    await install(background);
+
+    assert.equal(background.fake.getAlarm('blockingStart').scheduledTime, at(7, '09:00'));
+    assert.equal(background.fake.getAlarm('blockingEnd').scheduledTime, at(7, '17:00'));
+});
+
+test('a window alarm re-arms itself and sweeps open tabs', async () => {
+    const background = loadBackground({ now: at(0, '08:59') });
+    await install(background);
+    const youtube = background.fake.addTab({ url: 'https://www.youtube.com/watch?v=1' });
+    background.fake.addTab({ url: 'https://example.com/' });
+
+    background.clock.set(at(0, '09:00'));
+    await background.fake.fireAlarm('blockingStart');
+    await settle();
+
+    const [files, render] = background.fake.executedScripts
+        .filter(injection => injection.target.tabId === youtube.id && (injection.files || injection.args));
+    assert.deepEqual(files.files, ['configuration/speech.js', 'configuration/themes.js', 'configuration/block-page.js']);
+    assert.equal(render.args[0].url, youtube.url);
+    assert.equal(typeof render.args[0].message, 'string');
+
+    // The other tab only gets asked for an overlay
+    const other = background.fake.executedScripts.filter(injection => injection.target.tabId !== youtube.id);
+    assert.equal(other.some(injection => injection.files || injection.args), false);
+
+    assert.equal(background.fake.getAlarm('blockingStart').scheduledTime, at(1, '09:00'));
+    assert.equal(background.fake.getAlarm('blockingEnd').scheduledTime, at(0, '17:00'));
+});
+
+test('a sweep leaves tabs that already show the overlay alone', async () => {
+    const background = loadBackground({ now: at(0, '08:59') });
+    await install(background);
+    background.fake.addTab({ url: 'https://www.youtube.com/watch?v=1' });
+
+    // Functions injected without arguments are overlay checks here
+    background.fake.resolveScript = injection => Boolean(injection.func && !injection.args);
+
+    background.clock.set(at(0, '09:00'));
+    await background.fake.fireAlarm('blockingStart');
+    await settle();
+
+    assert.equal(background.fake.executedScripts.some(injection => injection.files || injection.args), false);
+    assert.equal((await background.context.getBlockHistory()).length, 0);
+});
+
+test('when a window ends only tabs with an overlay get it lifted', async () => {
+    const background = loadBackground({ now: at(0, '16:59') });
+    await install(background);
+    const youtube = background.fake.addTab({ url: 'https://www.youtube.com/watch?v=1' });
+    background.fake.addTab({ url: 'https://example.com/' });
+
+    // Only the YouTube tab shows an overlay
+    background.fake.resolveScript = injection =>
+        injection.target.tabId === youtube.id && Boolean(injection.func && !injection.args);
+
+    background.clock.set(at(0, '17:00'));
+    await background.fake.fireAlarm('blockingEnd');
+    await settle();
+
+    const lifted = background.fake.executedScripts.filter(injection => injection.files);
+    assert.deepEqual(lifted.map(injection => injection.target.tabId), [youtube.id]);
+});
+
+test('schedule changes re-arm the alarms through updateSchedule', async () => {
+    const background = loadBackground({ now: at(0, '10:00') });
+    await install(background);
+
+    const { config } = await background.chrome.storage.sync.get(['config']);
+    config.schedule.days[1] = [{ start: '12:00', end: '13:00' }];
+    await background.chrome.storage.sync.set({ config });
+
+    const response = await background.fake.sendMessage({ action: 'updateSchedule' });
+    assert.equal(response.success, true);
+    assert.equal(background.fake.getAlarm('blockingStart').scheduledTime, at(0, '12:00'));
+    assert.equal(background.fake.getAlarm('blockingEnd').scheduledTime, at(0, '13:00'));
+});
+
+test('without a config there are no window alarms', async () => {
+    const background = loadBackground({ now: at(0, '10:00') });
+
+    await background.fake.sendMessage({ action: 'updateSchedule' });
+
+    assert.equal(background.fake.getAlarm('blockingStart'), undefined);
+    assert.equal(background.fake.getAlarm('blockingEnd'), undefined);
+});
+
+test('an update migrates the stored config', async () => {
+    const background = loadBackground({
+        now: at(0, '10:00'),
+        storage: { sync: { config: readFixture('migrations/schema-0.json') } }
+    });
+    await install(background, 'update');
+
+    const { config } = await background.chrome.storage.sync.get(['config']);
+    assert.deepEqual(config, readFixture('migrations/schema-2.json'));
+    assert.equal(await background.context.shouldBlockCurrentSite('https://m.youtube.com/'), true);
+});
+
+test('a failed migration keeps the config and a backup', async () => {
+    const stored = readFixture('migrations/schema-1.json');
+    const background = loadBackground({ now: at(0, '10:00'), storage: { sync: { config: stored } } });
+    evaluate(background.context, 'CONFIG_MIGRATIONS')[1].migrate = () => {
+        throw new Error('broken on purpose');
+    };
+
+    await install(background, 'update');
+
+    const { config } = await background.chrome.storage.sync.get(['config']);
+    const { configMigrationBackup } = await background.chrome.storage.local.get(['configMigrationBackup']);
+
+    assert.deepEqual(config, stored);
+    assert.deepEqual(configMigrationBackup.config, stored);
+    assert.match(configMigrationBackup.error, /^Upgrade to schema 2 .* failed: broken on purpose$/);
+});
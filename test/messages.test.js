@@ -0,0 +1,217 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, settle, at, loadWithConfig } = require('./helpers/extension');
+
+async function getStoredConfig(background) {
+    const { config } = await background.chrome.storage.sync.get(['config']);
+    return config;
+}
+
+test('saveConfig stores a valid config', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const config = await getStoredConfig(background);
+    config.blockedSites.push('*.example.com');
+
+    const response = await background.fake.sendMessage({ action: 'saveConfig', config });
+
+    assert.deepEqual(response, { success: true });
+    assert.ok((await getStoredConfig(background)).blockedSites.includes('*.example.com'));
+});
+
+test('saveConfig refuses an invalid config and names the setting', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const config = await getStoredConfig(background);
+    config.schedule.days[1] = [{ start: '9am', end: '17:00' }];
+
+    const response = await background.fake.sendMessage({ action: 'saveConfig', config });
+
+    assert.equal(response.success, false);
+    assert.equal(response.error, 'Cannot save: schedule.days[1][0] has an invalid time format');
+    assert.deepEqual((await getStoredConfig(background)).schedule.days[1], [{ start: '09:00', end: '17:00' }]);
+});
+
+test('saveConfig refuses a config too big for chrome.storage.sync', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const config = await getStoredConfig(background);
+    config.despairMessages = Array.from({ length: 60 }, (_, index) => `Message number ${index} `.padEnd(150, '.'));
+
+    const response = await background.fake.sendMessage({ action: 'saveConfig', config });
+
+    assert.equal(response.success, false);
+    assert.match(response.error, /^Cannot save: config takes \d+\.\d KB, Chrome sync stores at most 8 KB/);
+    assert.equal((await getStoredConfig(background)).despairMessages.length, background.context.getDefaultConfig().despairMessages.length);
+});
+
+test('saveConfig refuses a deadline that is not a real day', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const config = await getStoredConfig(background);
+
+    for (const deadline of ['2026-13-45', '2026-02-30']) {
+        config.deadline = deadline;
+        const response = await background.fake.sendMessage({ action: 'saveConfig', config });
+
+        assert.deepEqual(response, { success: false, error: 'Cannot save: deadline must be a YYYY-MM-DD date or empty' }, deadline);
+    }
+
+    assert.equal(background.context.formatMessageDeadline('2026-13-45'), null);
+    assert.equal(background.context.formatMessageDeadline('2026-10-23', at(0, '10:00')), 'Friday, October 23 (in 4 days)');
+});
+
+test('hard mode refuses weakening changes during a window', async () => {
+    const background = await loadWithConfig(at(0, '10:00'), config => {
+        config.hardMode = true;
+    });
+    const config = await getStoredConfig(background);
+    config.blockedSites = config.blockedSites.filter(site => site !== '*.youtube.com');
+
+    const weakening = await background.fake.sendMessage({ action: 'saveConfig', config });
+    assert.equal(weakening.success, false);
+    assert.match(weakening.error, /^Hard mode is on: .*youtube\.com/);
+
+    // Blocking more is always fine
+    config.blockedSites.push('*.youtube.com', '*.example.com');
+    const strengthening = await background.fake.sendMessage({ action: 'saveConfig', config });
+    assert.equal(strengthening.success, true);
+
+    const pass = await background.fake.sendMessage({ action: 'grantTemporaryPass', url: 'https://www.youtube.com/' });
+    assert.deepEqual(pass, { success: false, error: 'Hard mode is on' });
+});
+
+test('hard mode refuses going from network blocking back to the overlay', async () => {
+    const background = await loadWithConfig(at(0, '10:00'), config => {
+        config.hardMode = true;
+        config.blockingMode = 'network';
+    });
+    const config = await getStoredConfig(background);
+    config.blockingMode = 'overlay';
+
+    const response = await background.fake.sendMessage({ action: 'saveConfig', config });
+
+    assert.deepEqual(response, { success: false, error: 'Hard mode is on: switching from network blocking to the overlay has to wait until the blocking window ends' });
+    assert.equal((await getStoredConfig(background)).blockingMode, 'network');
+});
+
+test('getBlockDetails describes the block for a URL', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+
+    const { success, details } = await background.fake.sendMessage({
+        action: 'getBlockDetails',
+        url: 'https://www.youtube.com/watch?v=1'
+    });
+
+    assert.equal(success, true);
+    assert.equal(details.blocked, true);
+    assert.equal(details.rule, '*.youtube.com');
+    assert.equal(details.windowEndsAt, at(0, '17:00'));
+    assert.equal(details.hardMode, false);
+    assert.equal(details.theme.title, 'BLOCKED BY DESPAIR');
+    assert.ok(details.message.length > 0);
+
+    const { details: open } = await background.fake.sendMessage({ action: 'getBlockDetails', url: 'https://example.com/' });
+    assert.equal(open.blocked, false);
+    assert.equal(open.rule, null);
+});
+
+test('escalation moves one step per block, not per injection', async () => {
+    const background = await loadWithConfig(at(0, '10:00'), config => {
+        config.despairMessages = ['First warning', 'Second warning', 'Last warning'];
+        config.messageRotation = 'escalation';
+    });
+    const url = 'https://www.youtube.com/watch?v=1';
+    const first = background.fake.addTab({ url });
+    const second = background.fake.addTab({ url });
+    const showBlock = async tab => (await background.fake.sendMessage({ action: 'getBlockDetails', url }, { tab })).details;
+
+    const block = await showBlock(first);
+    assert.equal(block.message, 'First warning');
+    assert.equal((await showBlock(first)).message, 'First warning');
+
+    await background.fake.sendMessage({ action: 'blockOutcome', eventId: block.eventId, outcome: 'wentBack' });
+    assert.equal((await showBlock(first)).message, 'Second warning');
+    assert.equal((await showBlock(second)).message, 'Last warning');
+});
+
+test('showing an open block again leaves the shuffle bag alone', async () => {
+    const background = await loadWithConfig(at(0, '10:00'), config => {
+        config.despairMessages = ['One', 'Two', 'Three', 'Four'];
+        config.messageRotation = 'shuffle';
+    });
+    const url = 'https://www.youtube.com/watch?v=1';
+    const tab = background.fake.addTab({ url });
+
+    const { details: shown } = await background.fake.sendMessage({ action: 'getBlockDetails', url }, { tab });
+    const { details: again } = await background.fake.sendMessage({ action: 'getBlockDetails', url }, { tab });
+
+    assert.equal(again.message, shown.message);
+    const { messageRotationState } = await background.chrome.storage.local.get(['messageRotationState']);
+    assert.equal(messageRotationState.bags.general.length, 3);
+    assert.equal(messageRotationState.bags.general.includes(shown.message), false);
+});
+
+test('chrome.tts reads a block out once, however often it is shown', async () => {
+    const background = await loadWithConfig(at(0, '10:00'), config => {
+        config.enableTTS = true;
+        config.tts = { ...config.tts, useChromeTTS: true, oncePerSitePerHour: false };
+    });
+    const url = 'https://www.youtube.com/watch?v=1';
+    const tab = background.fake.addTab({ url, active: true });
+
+    await background.context.injectBlockPage(tab.id, url);
+    await background.context.injectBlockPage(tab.id, url);
+    await background.context.enforceOnOpenTabs();
+    background.clock.advance(1000);
+
+    assert.equal(background.fake.spoken.length, 1);
+});
+
+test('a URL change in a blocked tab injects the overlay', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const tab = background.fake.addTab({ url: 'https://www.reddit.com/', active: true });
+
+    const response = await background.fake.sendMessage({ action: 'urlChanged', url: tab.url }, { tab });
+    assert.deepEqual(response, { success: true });
+    assert.deepEqual(background.fake.executedScripts, []);
+
+    // The overlay follows half a second later, after the page settled
+    background.clock.advance(500);
+    await settle();
+
+    const [files, render] = background.fake.executedScripts;
+    assert.equal(files.target.tabId, tab.id);
+    assert.deepEqual(files.files, ['configuration/speech.js', 'configuration/themes.js', 'configuration/block-page.js']);
+    assert.equal(render.args[0].url, tab.url);
+});
+
+test('a URL change in an allowed tab leaves it alone', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const tab = background.fake.addTab({ url: 'https://example.com/', active: true });
+
+    await background.fake.sendMessage({ action: 'urlChanged', url: tab.url }, { tab });
+    background.clock.advance(500);
+    await settle();
+
+    assert.deepEqual(background.fake.executedScripts, []);
+});
+
+test('temporary passes can be listed and revoked', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+
+    const granted = await background.fake.sendMessage({ action: 'grantTemporaryPass', url: 'https://www.youtube.com/watch' });
+    assert.equal(granted.success, true);
+
+    const { passes } = await background.fake.sendMessage({ action: 'getTemporaryPasses' });
+    assert.deepEqual(passes, [{ host: 'youtube.com', expiresAt: granted.expiresAt }]);
+
+    await background.fake.sendMessage({ action: 'revokeTemporaryPass', host: 'youtube.com' });
+    const { passes: remaining } = await background.fake.sendMessage({ action: 'getTemporaryPasses' });
+    assert.deepEqual(remaining, []);
+    assert.equal(await background.context.shouldBlockCurrentSite('https://www.youtube.com/watch'), true);
+});
+
+test('unknown actions get an error response', async () => {
+    const background = loadBackground({ now: at(0, '10:00') });
+
+    const response = await background.fake.sendMessage({ action: 'selfDestruct' });
+
+    assert.deepEqual(response, { success: false, error: 'Unknown action: selfDestruct' });
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, evaluate, plain, readFixture } = require('./helpers/load-scripts');
+
+const CONFIG_SCRIPTS = [
+    'configuration/site-rules.js',
+    'configuration/schedule.js',
+    'configuration/groups.js',
+    'configuration/message-templates.js',
+    'configuration/message-rotation.js',
+    'configuration/speech.js',
+    'configuration/themes.js',
+    'configuration/config.js',
+    'configuration/migrations.js'
+];
+
+function loadMigrations() {
+    return loadScripts(CONFIG_SCRIPTS);
+}
+
+test('every step has fixtures and the last step is the current schema', () => {
+    const context = loadMigrations();
+    const versions = plain(evaluate(context, 'CONFIG_MIGRATIONS.map(migration => migration.version)'));
+
+    assert.deepEqual(versions, versions.map((version, index) => index + 1));
+    assert.equal(versions[versions.length - 1], evaluate(context, 'CONFIG_SCHEMA_VERSION'));
+    versions.forEach(version => {
+        assert.doesNotThrow(() => readFixture(`migrations/schema-${version}.json`));
+    });
+});
+
+test('each step lifts the previous fixture to its own', async (t) => {
+    const context = loadMigrations();
+    const migrations = evaluate(context, 'CONFIG_MIGRATIONS');
+
+    for (const migration of migrations) {
+        await t.test(`schema ${migration.version}: ${migration.description}`, () => {
+            const migrated = migration.migrate(readFixture(`migrations/schema-${migration.version - 1}.json`));
+            migrated.schemaVersion = migration.version;
+
+            assert.deepEqual(plain(migrated), readFixture(`migrations/schema-${migration.version}.json`));
+        });
+    }
+});
+
+test('an unversioned baseline config runs the whole chain', () => {
+    const context = loadMigrations();
+    const result = context.migrateConfig(readFixture('migrations/schema-0.json'));
+
+    assert.equal(result.fromVersion, 0);
+    assert.deepEqual(plain(result.applied), [1, 2]);
+    assert.deepEqual(plain(result.config), readFixture('migrations/schema-2.json'));
+});
+
+test('a migrated config passes validation once normalized', () => {
+    const context = loadMigrations();
+    const { config } = context.migrateConfig(readFixture('migrations/schema-0.json'));
+
+    assert.deepEqual(plain(context.validateConfig(context.normalizeConfig(config))), []);
+});
+
+test('unversioned configs that already have the current shape only get a version', () => {
+    const context = loadMigrations();
+    const fixture = readFixture('migrations/unversioned-current.json');
+    const { config } = context.migrateConfig(fixture);
+
+    assert.deepEqual(plain(config), { ...fixture, schemaVersion: 2 });
+});
+
+test('current configs need no migration', () => {
+    const context = loadMigrations();
+
+    assert.equal(context.needsConfigMigration(context.getDefaultConfig()), false);
+    assert.equal(context.needsConfigMigration(readFixture('migrations/schema-1.json')), true);
+    assert.deepEqual(plain(context.migrateConfig(context.getDefaultConfig()).applied), []);
+});
+
+test('a failing step names itself and leaves the input untouched', () => {
+    const context = loadMigrations();
+    evaluate(context, "CONFIG_MIGRATIONS[1].migrate = () => { throw new Error('broken schedule'); }");
+    const fixture = readFixture('migrations/schema-0.json');
+    const before = plain(fixture);
+
+    assert.throws(() => context.migrateConfig(fixture), /schema 2 .*broken schedule/);
+    assert.deepEqual(fixture, before);
+});
+
+test('configs from a newer version are refused', () => {
+    const context = loadMigrations();
+
+    assert.throws(() => context.migrateConfig({ schemaVersion: 99 }), /newer version/);
+    assert.throws(() => context.migrateConfig([]), /JSON object/);
+});
@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle, at, loadWithConfig } = require('./helpers/extension');
+
+// Type a site into the popup's quick add field and add it
+async function quickAdd(popup, site) {
+    popup.document.getElementById('quickSiteInput').value = site;
+    popup.document.getElementById('quickAddBtn').click();
+    await settle();
+
+    return popup.document.body.lastElementChild.textContent;
+}
+
+test('the popup shows the blocking status', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const popup = await loadPage('popup/popup.html', background);
+
+    assert.equal(popup.document.getElementById('blockingStatus').textContent, 'Active');
+    assert.deepEqual(popup.logs.error, []);
+    popup.close();
+});
+
+test('the popup quick add saves through the worker', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const popup = await loadPage('popup/popup.html', background);
+
+    assert.equal(await quickAdd(popup, 'https://www.example.org/'), 'Added example.org');
+    assert.equal(popup.document.getElementById('quickSiteInput').value, '');
+
+    const { config } = await background.chrome.storage.sync.get(['config']);
+    assert.ok(config.blockedSites.includes('example.org'));
+    assert.equal(await background.context.shouldBlockCurrentSite('https://example.org/news'), true);
+
+    assert.equal(await quickAdd(popup, 'example.org'), 'Site already blocked');
+    popup.close();
+});
+
+test('hard mode refuses a new exception from the popup', async () => {
+    const background = await loadWithConfig(at(0, '10:00'), config => {
+        config.hardMode = true;
+    });
+    const popup = await loadPage('popup/popup.html', background);
+
+    popup.document.getElementById('quickSiteMode').value = 'allow';
+    assert.match(await quickAdd(popup, 'youtube.com/feed'), /^Hard mode is on/);
+
+    const { config } = await background.chrome.storage.sync.get(['config']);
+    assert.deepEqual(config.allowedSites, []);
+    popup.close();
+});
+
+test('the popup test block is injected into the active tab', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const tab = background.fake.addTab({ url: 'https://example.com/', active: true });
+    const popup = await loadPage('popup/popup.html', background);
+
+    popup.document.getElementById('testBlock').click();
+    await settle();
+
+    const [files, render] = background.fake.executedScripts;
+    assert.equal(files.target.tabId, tab.id);
+    assert.equal(render.args[0].mode, 'test');
+    assert.equal(render.args[0].theme.title, 'BLOCKED BY DESPAIR');
+});
+
+test('the options page loads the stored settings', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const options = await loadPage('options/options.html', background);
+
+    assert.equal(options.document.getElementById('statusMessage').textContent, 'Settings loaded successfully');
+    assert.deepEqual(options.logs.error, []);
+    options.close();
+});
+
+test('the options page warns about a failed upgrade', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    await background.chrome.storage.local.set({
+        configMigrationBackup: { config: { blockedSites: 'youtube.com' }, fromVersion: 0, error: 'broken', failedAt: at(0, '09:00') }
+    });
+    const options = await loadPage('options/options.html', background);
+
+    assert.match(options.document.getElementById('statusMessage').textContent, /could not be upgraded/);
+    options.close();
+});
+
+// Import a message pack file on the options page, picked instead of chosen
+async function importPack(options, pack) {
+    let input;
+    options.window.HTMLInputElement.prototype.click = function () {
+        input = this;
+    };
+    options.window.importMessagePack();
+
+    // jsdom files cannot be read with text(), the import only needs that
+    Object.defineProperty(input, 'files', { value: [{ name: 'pack.json', text: async () => JSON.stringify(pack) }] });
+    await input.onchange({ target: input });
+    await settle();
+
+    return options.document.getElementById('statusMessage').textContent;
+}
+
+test('the options page refuses a message pack too big to sync', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const options = await loadPage('options/options.html', background);
+
+    const huge = { name: 'Huge', messages: Array.from({ length: 60 }, (_, index) => `Pack message ${index} `.padEnd(150, '.')) };
+    assert.match(await importPack(options, huge), /^Error importing message pack: config takes \d+\.\d KB, Chrome sync stores at most 8 KB/);
+
+    assert.equal(await importPack(options, { name: 'Small', messages: ['Just one more message'] }), 'Imported Small with 1 new messages');
+    assert.ok(options.document.body.textContent.includes('Just one more message'));
+    options.close();
+});
+
+test('the options page refuses a message pack with messages that cannot be saved', async () => {
+    const background = await loadWithConfig(at(0, '10:00'));
+    const options = await loadPage('options/options.html', background);
+
+    assert.equal(
+        await importPack(options, { name: 'Short', messages: ['Get back to work now', 'Short'] }),
+        'Error importing message pack: "Short" must be text of at least 10 characters'
+    );
+    assert.equal(
+        await importPack(options, { name: 'Unknown', messages: ['Hi {user} go work now please'] }),
+        'Error importing message pack: "Hi {user} go work now please" uses unknown placeholder {user}'
+    );
+
+    // Nothing of a refused pack is kept
+    assert.equal(options.document.body.textContent.includes('Get back to work now'), false);
+    options.close();
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const context = loadScripts(['configuration/site-rules.js']);
+
+function matches(entry, url) {
+    return context.matchesSiteRule(context.parseSiteRule(entry), url);
+}
+
+// The declarativeNetRequest filter of an entry, tested the way Chrome does
+function filterMatches(entry, url) {
+    return new RegExp(context.siteRuleToRegexSource(context.parseSiteRule(entry)), 'i').test(url);
+}
+
+test('host-only globs match the host', () => {
+    for (const check of [matches, filterMatches]) {
+        assert.equal(check('*tube.com', 'https://www.youtube.com/watch?v=1'), true);
+        assert.equal(check('*tube.com', 'https://youtube.com'), true);
+        assert.equal(check('*tube.com', 'https://m.youtube.com:8080/'), true);
+        assert.equal(check('*tube.com', 'https://example.com/youtube.com'), false);
+        assert.equal(check('*tube.com', 'https://youtube.com.evil.net/'), false);
+    }
+});
+
+test('a leading *. in a glob also matches the bare domain', () => {
+    for (const check of [matches, filterMatches]) {
+        assert.equal(check('*.example.com/*', 'https://example.com/'), true);
+        assert.equal(check('*.example.com/*', 'https://news.example.com/today'), true);
+        assert.equal(check('*.example.com/*', 'https://notexample.com/'), false);
+    }
+});
+
+test('path globs still need the path to match', () => {
+    for (const check of [matches, filterMatches]) {
+        assert.equal(check('*tube.com/watch*', 'https://www.youtube.com/watch?v=1'), true);
+        assert.equal(check('*tube.com/watch*', 'https://www.youtube.com/feed'), false);
+    }
+});
@@ -159,8 +159,25 @@ function isDespairBlockerActive() {
  * Handle visibility changes (tab switching)
  */
 document.addEventListener('visibilitychange', () => {
-    if (!document.hidden) {
-        // Tab became visible, check if we need to block
+    // Visible: check if we need to block. Hidden: stop counting budget time
+    try {
+        chrome.runtime.sendMessage({
+            action: document.hidden ? 'tabHidden' : 'tabVisible',
+            url: window.location.href
+        }).catch(() => {
+            // Ignore errors if background script is not ready
+        });
+    } catch (error) {
+        // Ignore messaging errors
+    }
+});
+
+/**
+ * Handle focus events (when user returns to tab)
+ */
+window.addEventListener('focus', () => {
+    // Small delay to ensure focus is properly established
+    setTimeout(() => {
         try {
             chrome.runtime.sendMessage({
                 action: 'tabVisible',
@@ -171,18 +188,24 @@ document.addEventListener('visibilitychange', () => {
         } catch (error) {
             // Ignore messaging errors
         }
-    }
+    }, 100);
 });
 
 /**
- * Handle focus events (when user returns to tab)
+ * Handle blur events (when the window loses focus)
+ * Focus moving into one of the page's frames (e.g. an embedded video player)
+ * still counts as being on the site
  */
-window.addEventListener('focus', () => {
-    // Small delay to ensure focus is properly established
+window.addEventListener('blur', () => {
+    // Wait for focus to settle, the frame is the active element only afterwards
     setTimeout(() => {
+        if (document.activeElement instanceof HTMLIFrameElement) {
+            return;
+        }
+
         try {
             chrome.runtime.sendMessage({
-                action: 'tabVisible',
+                action: 'tabHidden',
                 url: window.location.href
             }).catch(() => {
                 // Ignore errors if background script is not ready
@@ -190,7 +213,7 @@ window.addEventListener('focus', () => {
         } catch (error) {
             // Ignore messaging errors
         }
-    }, 100);
+    }, 0);
 });
 
 /**
@@ -232,11 +255,12 @@ window.addEventListener('load', () => {
 /**
  * Emergency cleanup function
  * Removes any blocking overlays if they get stuck
+ * Hard mode overlays stay unless force is set (extension context gone)
  */
-function emergencyCleanup() {
+function emergencyCleanup(force = false) {
     try {
         const overlay = document.getElementById('despair-blocker-overlay');
-        if (overlay) {
+        if (overlay && (force || overlay.dataset.hardMode !== 'true')) {
             overlay.remove();
             document.documentElement.style.overflow = '';
         }
@@ -289,11 +313,11 @@ function checkExtensionContext() {
     try {
         chrome.runtime.sendMessage({ action: 'ping' }).catch(() => {
             // Extension context is invalid, clean up
-            emergencyCleanup();
+            emergencyCleanup(true);
         });
     } catch (error) {
         // Extension context is invalid, clean up
-        emergencyCleanup();
+        emergencyCleanup(true);
     }
 }
 